@@ -11,6 +11,16 @@ module.exports = {
   parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
   settings: { react: { version: '18.2' } },
   plugins: ['react-refresh'],
+  overrides: [
+    {
+      files: ['server/**/*.js'],
+      env: { node: true, browser: false },
+    },
+    {
+      files: ['public/**/*.js'],
+      env: { serviceworker: true, browser: false },
+    },
+  ],
   rules: {
     'react/jsx-no-target-blank': 'off',
     'react-refresh/only-export-components': [
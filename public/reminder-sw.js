@@ -0,0 +1,53 @@
+/**
+ * reminder-sw.js - Service worker for todo reminder notifications
+ *
+ * Handles clicks on reminder notifications, including while no tab of
+ * the app is focused or open:
+ *
+ * - "Mark complete" / "Snooze": forwarded to an open tab (without
+ *   focusing it) as a `reminder-action` message; with no tab open, a new
+ *   one is opened with `?reminderAction=<action>&todoId=<id>` and the app
+ *   applies it on load
+ * - Clicking the notification itself focuses (or opens) the app
+ *
+ * The notifications themselves are created by the app (see
+ * src/features/reminders/notifier.js).
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+self.addEventListener('install', () => {
+    self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim())
+})
+
+const openApp = async (action, todoId) => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    const client = windows.find(item => item.focused) || windows[0]
+
+    if (client) {
+        // Actions are applied in the background; only a plain click brings the app forward
+        if (action === 'open') return client.focus()
+        return client.postMessage({ type: 'reminder-action', action, todoId })
+    }
+
+    const url = new URL(self.registration.scope)
+    if (action !== 'open') {
+        url.searchParams.set('reminderAction', action)
+        url.searchParams.set('todoId', todoId)
+    }
+    return self.clients.openWindow(url.href)
+}
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close()
+    const todoId = event.notification.data?.todoId
+    const action = event.action || 'open'
+    if (!todoId) return
+
+    event.waitUntil(openApp(action, todoId))
+})
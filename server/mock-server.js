@@ -0,0 +1,294 @@
+/**
+ * mock-server.js - Local mock of the REST backend
+ *
+ * A dependency-free Node server that implements the API expected by the
+ * HTTP providers in `src/`, persisting everything to a JSON file so the
+ * full flow runs offline in development and tests.
+ *
+ * Usage:
+ *   npm run mock-server
+ *   VITE_AUTH_API_URL=http://localhost:3001 VITE_TODO_API_URL=http://localhost:3001 npm run dev
+ *
+ * Environment:
+ * - MOCK_PORT: Port to listen on (default 3001)
+ * - MOCK_DB_PATH: JSON file used as the database (default server/db.json)
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { createServer } from 'node:http'
+import { readFile, writeFile } from 'node:fs/promises'
+import { pbkdf2Sync, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto'
+import { fileURLToPath } from 'node:url'
+import path from 'node:path'
+
+const PORT = Number(process.env.MOCK_PORT) || 3001
+const DB_PATH = process.env.MOCK_DB_PATH ||
+    path.join(path.dirname(fileURLToPath(import.meta.url)), 'db.json')
+
+const EMPTY_DB = { users: [], sessions: [], todos: [] }
+
+/**
+ * HTTP error with a status code, reported to the client as `{ message }`
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.status = status
+    }
+}
+
+// ---- Database ----------------------------------------------------------
+
+const readDb = async () => {
+    try {
+        return { ...EMPTY_DB, ...JSON.parse(await readFile(DB_PATH, 'utf8')) }
+    } catch (error) {
+        return structuredClone(EMPTY_DB)
+    }
+}
+
+const writeDb = (db) => writeFile(DB_PATH, JSON.stringify(db, null, 2))
+
+// ---- Helpers -----------------------------------------------------------
+
+const hashPassword = (password, salt) => (
+    pbkdf2Sync(password, salt, 100000, 32, 'sha256').toString('base64')
+)
+
+const toPublicUser = ({ id, name, email }) => ({ id, name, email })
+
+const createSession = (db, user) => {
+    const token = randomBytes(24).toString('hex')
+    db.sessions.push({ token, userId: user.id, createdAt: new Date().toISOString() })
+    return { user: toPublicUser(user), token }
+}
+
+/**
+ * Resolve the user for the request's Bearer token
+ *
+ * @throws {HttpError} 401 when the token is missing or unknown
+ */
+const requireUser = (db, req) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '')
+    const session = db.sessions.find(session => session.token === token)
+    const user = session && db.users.find(user => user.id === session.userId)
+    if (!user) throw new HttpError(401, 'Not authenticated')
+    return user
+}
+
+// Fields of a todo the client may set; everything else is server-owned
+const TODO_FIELDS = [
+    'title', 'description', 'targetDate', 'priority', 'tags', 'isCompleted', 'createdAt',
+    'subtasks', 'completeWithSubtasks', 'recurrence', 'nextOccurrenceId', 'reminders', 'snoozedUntil',
+    'deletedAt', 'order', 'status', 'projectId',
+]
+
+const pickTodoFields = (body) => Object.fromEntries(
+    TODO_FIELDS.filter(field => field in body).map(field => [field, body[field]])
+)
+
+// Strip the owner before sending a todo to the client
+const toPublicTodo = (todo) => {
+    const copy = { ...todo }
+    delete copy.userId
+    return copy
+}
+
+/**
+ * Find one of the user's todos by ID
+ *
+ * @throws {HttpError} 404 when the todo does not exist or belongs to someone else
+ */
+const requireTodo = (db, user, id) => {
+    const todo = db.todos.find(todo => todo.id === id && todo.userId === user.id)
+    if (!todo) throw new HttpError(404, 'Task not found')
+    return todo
+}
+
+const readBody = async (req) => {
+    let raw = ''
+    for await (const chunk of req) raw += chunk
+    try {
+        return raw ? JSON.parse(raw) : {}
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be valid JSON')
+    }
+}
+
+// ---- Routes ------------------------------------------------------------
+
+/**
+ * Route table: `METHOD /path` → handler({ db, req, body, params })
+ * Handlers return `[status, body]`; the database is saved after every
+ * non-GET request.
+ */
+const routes = {
+    'POST /auth/register': ({ db, body }) => {
+        const { name, email, password } = body
+        if (!name || !email || !password) {
+            throw new HttpError(400, 'Please fill in all fields')
+        }
+        const normalizedEmail = String(email).trim().toLowerCase()
+        if (db.users.some(user => user.email === normalizedEmail)) {
+            throw new HttpError(409, 'An account with this email already exists')
+        }
+        const salt = randomBytes(16).toString('base64')
+        const user = {
+            id: randomUUID(),
+            name: String(name).trim(),
+            email: normalizedEmail,
+            salt,
+            passwordHash: hashPassword(password, salt),
+        }
+        db.users.push(user)
+        return [201, createSession(db, user)]
+    },
+
+    'POST /auth/login': ({ db, body }) => {
+        const { email, password } = body
+        const user = db.users.find(user => user.email === String(email || '').trim().toLowerCase())
+        if (!user) {
+            throw new HttpError(401, 'No account found with this email. Please sign up first.')
+        }
+        const expected = Buffer.from(user.passwordHash, 'base64')
+        const actual = Buffer.from(hashPassword(String(password || ''), user.salt), 'base64')
+        if (!timingSafeEqual(expected, actual)) {
+            throw new HttpError(401, 'Incorrect password. Please try again.')
+        }
+        return [200, createSession(db, user)]
+    },
+
+    'POST /auth/logout': ({ db, req }) => {
+        requireUser(db, req)
+        const token = req.headers.authorization.replace(/^Bearer /, '')
+        db.sessions = db.sessions.filter(session => session.token !== token)
+        return [204, null]
+    },
+
+    'GET /todos': ({ db, req }) => {
+        const user = requireUser(db, req)
+        return [200, db.todos.filter(todo => todo.userId === user.id).map(toPublicTodo)]
+    },
+
+    'POST /todos': ({ db, req, body }) => {
+        const user = requireUser(db, req)
+        if (!body.title) throw new HttpError(400, 'A task needs a title')
+        if (body.id && db.todos.some(todo => todo.id === body.id)) {
+            throw new HttpError(409, 'A task with this ID already exists')
+        }
+        const now = new Date().toISOString()
+        const todo = {
+            tags: [],
+            priority: null,
+            isCompleted: false,
+            subtasks: [],
+            completeWithSubtasks: false,
+            recurrence: null,
+            reminders: [],
+            snoozedUntil: null,
+            deletedAt: null,
+            order: null,
+            status: null,
+            projectId: null,
+            createdAt: now,
+            ...pickTodoFields(body),
+            id: body.id || randomUUID(),
+            userId: user.id,
+            updatedAt: now,
+        }
+        db.todos.push(todo)
+        return [201, toPublicTodo(todo)]
+    },
+
+    'PUT /todos/:id': ({ db, req, body, params }) => {
+        const todo = requireTodo(db, requireUser(db, req), params.id)
+        Object.assign(todo, pickTodoFields(body), { updatedAt: new Date().toISOString() })
+        return [200, toPublicTodo(todo)]
+    },
+
+    'PATCH /todos/:id': ({ db, req, body, params }) => {
+        const todo = requireTodo(db, requireUser(db, req), params.id)
+        Object.assign(todo, pickTodoFields(body), { updatedAt: new Date().toISOString() })
+        return [200, toPublicTodo(todo)]
+    },
+
+    'DELETE /todos/:id': ({ db, req, params }) => {
+        const todo = requireTodo(db, requireUser(db, req), params.id)
+        db.todos = db.todos.filter(item => item !== todo)
+        return [204, null]
+    },
+}
+
+/**
+ * Find the handler for a request, matching `:param` path segments
+ *
+ * @returns {{handler: Function, params: Object}|null}
+ */
+const matchRoute = (method, pathname) => {
+    for (const [key, handler] of Object.entries(routes)) {
+        const [routeMethod, routePath] = key.split(' ')
+        if (routeMethod !== method) continue
+
+        const routeParts = routePath.split('/')
+        const pathParts = pathname.split('/')
+        if (routeParts.length !== pathParts.length) continue
+
+        const params = {}
+        const matches = routeParts.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(pathParts[i])
+                return true
+            }
+            return part === pathParts[i]
+        })
+        if (matches) return { handler, params }
+    }
+    return null
+}
+
+// ---- Server ------------------------------------------------------------
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+}
+
+const send = (res, status, body) => {
+    res.writeHead(status, {
+        ...CORS_HEADERS,
+        ...(body === null ? {} : { 'Content-Type': 'application/json' }),
+    })
+    res.end(body === null ? undefined : JSON.stringify(body))
+}
+
+const handleRequest = async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204, null)
+
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`)
+    const route = matchRoute(req.method, pathname.replace(/\/+$/, ''))
+    if (!route) return send(res, 404, { message: `Cannot ${req.method} ${pathname}` })
+
+    try {
+        const body = req.method === 'GET' ? {} : await readBody(req)
+        const db = await readDb()
+        const [status, payload] = await route.handler({ db, req, body, params: route.params })
+        if (req.method !== 'GET') await writeDb(db)
+        send(res, status, payload)
+    } catch (error) {
+        if (!(error instanceof HttpError)) console.error(error)
+        send(res, error.status || 500, { message: error.message })
+    }
+}
+
+// Requests are handled one at a time so concurrent writes never interleave
+let queue = Promise.resolve()
+const server = createServer((req, res) => {
+    queue = queue.then(() => handleRequest(req, res))
+})
+
+server.listen(PORT, () => {
+    console.log(`Mock API listening on http://localhost:${PORT} (data: ${DB_PATH})`)
+})
@@ -71,6 +71,20 @@ function App() {
         } 
       />
       
+      {/* 
+        Project Route (Protected)
+        - Same app, showing one project or the Inbox
+        - Home redirects unknown projects back to the home page
+      */}
+      <Route 
+        path="/projects/:projectId" 
+        element={
+          <PrivateRoute>
+            <Home />
+          </PrivateRoute>
+        } 
+      />
+      
       {/* 
         Catch-all Route
         - Redirects any unknown routes to home page
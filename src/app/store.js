@@ -1,12 +1,57 @@
 import { configureStore } from "@reduxjs/toolkit";
 import todoReducer from '@/features/todo/todoSlice'
+import { withTodoHistory } from '@/features/todo/todoHistory'
 import darkModeReducer from '@/features/darkMode/darkModeSlice'
 import authReducer from '@/features/auth/authSlice'
+import reminderReducer, { permissionChanged, reminderPromptRestored } from '@/features/reminders/reminderSlice'
+import { createAuthProvider } from '@/features/auth/providers'
+import { createTodoApi } from '@/features/todo/api'
+import { createStorageAdapter } from '@/features/todo/storage'
+import { createTodoPersistence } from '@/features/todo/todoPersistence'
+import { hydrateTodos } from '@/features/todo/todoThunks'
+import { createNotifier } from '@/features/reminders/notifier'
+import { createReminderScheduler, isReminderPromptDismissed } from '@/features/reminders/reminderScheduler'
+
+const storage = createStorageAdapter()
+const todoPersistence = createTodoPersistence({ storage })
+const notifier = createNotifier()
+const reminderScheduler = createReminderScheduler({ notifier })
 
 export const store = configureStore({
     reducer: {
-        todo: todoReducer,
+        todo: withTodoHistory(todoReducer),
         darkMode: darkModeReducer,
-        auth: authReducer
+        auth: authReducer,
+        reminders: reminderReducer
+    },
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware({
+        thunk: {
+            // Thunks reach the backend and storage only through these services
+            extraArgument: {
+                authProvider: createAuthProvider(),
+                todoApi: createTodoApi(),
+                storage,
+                notifier
+            }
+        }
+    }).prepend(todoPersistence.middleware, reminderScheduler.middleware)
+})
+
+// Notification permission may have changed since the last visit
+store.dispatch(permissionChanged(notifier.getPermission()))
+store.dispatch(reminderPromptRestored(isReminderPromptDismissed()))
+
+// ...or while the tab was in the background
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+        store.dispatch(permissionChanged(notifier.getPermission()))
     }
-})
\ No newline at end of file
+})
+
+// Load the todos of the user restored from the previous session
+store.dispatch(hydrateTodos())
+
+// Write pending changes before the page goes away
+window.addEventListener('pagehide', () => {
+    todoPersistence.flush()
+})
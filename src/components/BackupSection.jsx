@@ -0,0 +1,159 @@
+/**
+ * BackupSection.jsx - JSON backup export and import
+ *
+ * Exports all of the user's data to a versioned JSON file. Importing one
+ * shows a preview first: what the file holds, the records that failed
+ * validation, and what the chosen strategy will do to the current tasks
+ * (see todoBackup.js).
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { format } from 'date-fns'
+import { Download, Upload } from 'lucide-react'
+import { Button } from './ui/button'
+import { importBackup } from '@/features/todo/todoThunks'
+import { IMPORT_STRATEGIES, createBackup, getBackupFileName, mergeBackup, parseBackup } from '@/features/todo/todoBackup'
+import { downloadFile } from '@/lib/download'
+
+// Rejected records listed by name before the rest are only counted
+const REJECTED_LIST_LIMIT = 10
+
+/**
+ * Describe what an import did or will do
+ *
+ * @param {{added: number, skipped: number, copied: number, removed: number}} summary - Result of mergeBackup
+ * @returns {string} e.g. "12 tasks added, 3 skipped"
+ */
+const describeSummary = ({ added, skipped, copied, removed }) => [
+    `${added} ${added === 1 ? 'task' : 'tasks'} added`,
+    removed > 0 && `${removed} removed`,
+    skipped > 0 && `${skipped} already here skipped`,
+    copied > 0 && `${copied} already here copied with a new ID`,
+].filter(Boolean).join(', ')
+
+/**
+ * BackupSection Component
+ *
+ * @returns {JSX.Element} The backup controls
+ */
+const BackupSection = () => {
+    const dispatch = useDispatch()
+    const todoState = useSelector(state => state.todo)
+    const [backup, setBackup] = useState(null)          // Parsed file waiting for confirmation
+    const [fileName, setFileName] = useState('')
+    const [strategy, setStrategy] = useState('skip')
+    const [error, setError] = useState(null)
+    const [result, setResult] = useState(null)          // Message after an import
+
+    const handleExport = () => {
+        downloadFile(getBackupFileName(), JSON.stringify(createBackup(todoState), null, 2), 'application/json')
+    }
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0]
+        e.target.value = ''
+        if (!file) return
+        setResult(null)
+        try {
+            setBackup(parseBackup(await file.text()))
+            setFileName(file.name)
+            setError(null)
+        } catch (parseError) {
+            setBackup(null)
+            setError(parseError.message)
+        }
+    }
+
+    const handleImport = async () => {
+        if (strategy === 'replace' && !window.confirm('Replace all your tasks, projects and settings with this backup?')) return
+        const action = await dispatch(importBackup({ backup, strategy }))
+        setBackup(null)
+        setResult(importBackup.fulfilled.match(action) ? `Imported: ${describeSummary(action.payload)}.` : null)
+    }
+
+    const preview = backup && mergeBackup(todoState, backup, strategy).summary
+
+    return (
+        <section aria-labelledby='backup-heading' className='space-y-2'>
+            <h4 id='backup-heading' className='font-semibold'>Backup (JSON)</h4>
+            <p className='text-xs text-gray-500 dark:text-gray-400'>
+                All tasks (including the trash), tags, projects and settings, for moving to another machine or keeping a copy.
+            </p>
+            <div className='flex flex-wrap gap-2'>
+                <Button type="button" variant="outline" size="sm" onClick={handleExport} disabled={!todoState.isHydrated}>
+                    <Download size={14} /> Export backup
+                </Button>
+                <Button type="button" variant="outline" size="sm" asChild>
+                    <label className='cursor-pointer'>
+                        <Upload size={14} /> Import backup
+                        <input type='file' accept='.json,application/json' onChange={handleFileChange} className='sr-only' disabled={!todoState.isHydrated} />
+                    </label>
+                </Button>
+            </div>
+
+            {error && <p role='alert' className='text-red-600 dark:text-red-400'>{error}</p>}
+            {result && <p role='status' className='text-green-700 dark:text-green-400'>{result}</p>}
+
+            {backup && (
+                <div className='p-2 rounded-md border dark:border-gray-600 space-y-2'>
+                    <p>
+                        <span className='font-semibold'>{fileName}</span>
+                        {backup.exportedAt && ` — exported ${format(new Date(backup.exportedAt), 'PPp')}`}
+                    </p>
+                    <p>
+                        {backup.todos.length} {backup.todos.length === 1 ? 'task' : 'tasks'},{' '}
+                        {backup.projects.length} {backup.projects.length === 1 ? 'project' : 'projects'},{' '}
+                        {backup.availableTags.length} {backup.availableTags.length === 1 ? 'tag' : 'tags'}
+                        {backup.settings ? ' and settings' : ''}
+                    </p>
+
+                    {backup.rejected.length > 0 && (
+                        <div className='text-red-700 dark:text-red-400'>
+                            <p>{backup.rejected.length} {backup.rejected.length === 1 ? 'record' : 'records'} will be left out:</p>
+                            <ul className='list-disc pl-5 text-xs'>
+                                {backup.rejected.slice(0, REJECTED_LIST_LIMIT).map((record, index) => (
+                                    <li key={index}>{record.kind} “{record.label}”: {record.reason}</li>
+                                ))}
+                                {backup.rejected.length > REJECTED_LIST_LIMIT && (
+                                    <li>and {backup.rejected.length - REJECTED_LIST_LIMIT} more</li>
+                                )}
+                            </ul>
+                        </div>
+                    )}
+
+                    <fieldset className='space-y-1'>
+                        <legend className='font-semibold'>How to import</legend>
+                        {IMPORT_STRATEGIES.map(option => (
+                            <label key={option.value} className='flex items-start gap-2'>
+                                <input
+                                    type='radio'
+                                    name='backup-strategy'
+                                    value={option.value}
+                                    checked={strategy === option.value}
+                                    onChange={() => setStrategy(option.value)}
+                                    className='mt-1'
+                                />
+                                <span>
+                                    {option.label}
+                                    <span className='block text-xs text-gray-500 dark:text-gray-400'>{option.description}</span>
+                                </span>
+                            </label>
+                        ))}
+                    </fieldset>
+
+                    <p className='text-xs'>Result: {describeSummary(preview)}.</p>
+                    <div className='flex gap-2'>
+                        <Button type="button" size="sm" onClick={handleImport}>Import</Button>
+                        <Button type="button" variant="ghost" size="sm" onClick={() => setBackup(null)}>Cancel</Button>
+                    </div>
+                </div>
+            )}
+        </section>
+    )
+}
+
+export default BackupSection
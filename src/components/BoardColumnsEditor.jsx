@@ -0,0 +1,141 @@
+/**
+ * BoardColumnsEditor.jsx - Edit the board's status columns
+ *
+ * Lets the user rename, reorder, add and remove columns. The last column
+ * always holds the completed todos, so it stays in place: new columns are
+ * added before it and the others can't be moved past it.
+ * Todos in a removed column move to the first column. Changes are saved
+ * per user in `settings.boardColumns`.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { ChevronLeft, ChevronRight, Plus, X } from 'lucide-react'
+import { updateSettings } from '@/features/todo/todoSlice'
+import { MIN_BOARD_COLUMNS, createBoardColumn, groupTodosByColumn } from '@/features/todo/todoBoard'
+
+/**
+ * BoardColumnsEditor Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.columns - Current board columns
+ * @param {Array} props.todos - Live todos, to warn before removing a column that has some
+ * @returns {JSX.Element} The column editor
+ */
+const BoardColumnsEditor = ({ columns, todos }) => {
+    const dispatch = useDispatch()
+    const [newName, setNewName] = useState('')
+
+    const saveColumns = (boardColumns) => dispatch(updateSettings({ boardColumns }))
+
+    const rename = (columnId, name) => {
+        const trimmed = name.trim()
+        if (!trimmed) return
+        saveColumns(columns.map(column => column.id === columnId ? { ...column, name: trimmed } : column))
+    }
+
+    // The done column stays last; moving into or out of that place would re-sort the cards
+    const lastIndex = columns.length - 1
+
+    const move = (index, toIndex) => {
+        if (index === lastIndex || toIndex < 0 || toIndex >= lastIndex) return
+        const reordered = [...columns]
+        const [column] = reordered.splice(index, 1)
+        reordered.splice(toIndex, 0, column)
+        saveColumns(reordered)
+    }
+
+    const remove = (index) => {
+        const column = columns[index]
+        const count = groupTodosByColumn(todos, columns)[column.id].length
+        const remaining = columns.filter(item => item.id !== column.id)
+        const target = index === columns.length - 1 ? remaining[remaining.length - 1] : remaining[0]
+        const message = index === columns.length - 1
+            ? `Remove "${column.name}"? "${target.name}" becomes the column for completed tasks.`
+            : `Remove "${column.name}"?${count > 0 ? ` Its ${count} ${count === 1 ? 'task moves' : 'tasks move'} to "${target.name}".` : ''}`
+        if (!window.confirm(message)) return
+        saveColumns(remaining)
+    }
+
+    const handleAdd = (e) => {
+        e.preventDefault()
+        const name = newName.trim()
+        if (!name) return
+        saveColumns([...columns.slice(0, -1), createBoardColumn(name), columns[columns.length - 1]])
+        setNewName('')
+    }
+
+    return (
+        <div className='mb-4 p-3 rounded-md bg-white/80 dark:bg-black/60 text-sm font-normal dark:text-white'>
+            <ul className='flex flex-wrap gap-2'>
+                {columns.map((column, index) => (
+                    <li key={column.id} className='flex items-center gap-1 rounded-md border px-1 py-1 dark:border-gray-600'>
+                        <button
+                            type="button"
+                            onClick={() => move(index, index - 1)}
+                            disabled={index === 0 || index === lastIndex}
+                            className='disabled:opacity-30'
+                            aria-label={`Move ${column.name} left`}
+                        >
+                            <ChevronLeft size={14} />
+                        </button>
+                        <input
+                            type='text'
+                            defaultValue={column.name}
+                            key={column.name}
+                            onBlur={(e) => {
+                                if (e.target.value.trim()) rename(column.id, e.target.value)
+                                else e.target.value = column.name
+                            }}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') e.target.blur()
+                            }}
+                            maxLength={30}
+                            className='w-28 bg-transparent border-b border-black/20 dark:border-white/40 focus:outline-none'
+                            aria-label='Column name'
+                        />
+                        <button
+                            type="button"
+                            onClick={() => move(index, index + 1)}
+                            disabled={index >= lastIndex - 1}
+                            className='disabled:opacity-30'
+                            aria-label={`Move ${column.name} right`}
+                        >
+                            <ChevronRight size={14} />
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => remove(index)}
+                            disabled={columns.length <= MIN_BOARD_COLUMNS}
+                            className='hover:text-red-600 disabled:opacity-30'
+                            aria-label={`Remove ${column.name}`}
+                        >
+                            <X size={14} />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <form onSubmit={handleAdd} className='flex items-center gap-2 mt-2'>
+                <input
+                    type='text'
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder='New column name...'
+                    maxLength={30}
+                    className='h-8 px-2 rounded-md border bg-transparent dark:border-gray-600 focus:outline-none'
+                />
+                <button type='submit' className='flex items-center gap-1 font-semibold hover:underline'>
+                    <Plus size={14} /> Add column
+                </button>
+            </form>
+            <p className='mt-2 text-xs text-gray-500 dark:text-gray-400'>
+                The last column holds completed tasks and stays at the end.
+            </p>
+        </div>
+    )
+}
+
+export default BoardColumnsEditor
@@ -0,0 +1,164 @@
+/**
+ * BulkActionBar.jsx - Actions on the selected todos
+ *
+ * Shown above the list in selection mode. Each action changes every
+ * selected todo in one step (see bulkUpdateTodos), so a single undo puts
+ * them all back: complete or reopen, move to the trash, set the priority,
+ * set, clear or shift the due date, and add or remove a tag.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { CheckCheck, RotateCcw, Tag, Trash2, X } from 'lucide-react'
+import { Button } from './ui/button'
+import { DatePickerWithPresets } from './DatePickerWithPresets'
+import { bulkEditTodos } from '@/features/todo/todoThunks'
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select"
+
+// Ways to move the due dates, in days
+const DATE_SHIFTS = [
+    { value: '-7', label: '1 week earlier' },
+    { value: '-1', label: '1 day earlier' },
+    { value: '1', label: '1 day later' },
+    { value: '7', label: '1 week later' },
+    { value: '30', label: '30 days later' },
+]
+
+/**
+ * BulkActionBar Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.selectedIds - IDs of the selected todos shown in the list
+ * @param {number} props.totalCount - Number of todos shown in the list
+ * @param {Function} props.onSelectAll - Selects every todo shown in the list
+ * @param {Function} props.onClear - Clears the selection
+ * @param {Function} props.onExit - Leaves selection mode
+ * @returns {JSX.Element} The action bar
+ */
+const BulkActionBar = ({ selectedIds, totalCount, onSelectAll, onClear, onExit }) => {
+    const dispatch = useDispatch()
+    const availableTags = useSelector(state => state.todo.availableTags)
+    const [tag, setTag] = useState('')
+    const count = selectedIds.length
+    const isEmpty = count === 0
+    const tagName = tag.trim()
+
+    const apply = (changes) => {
+        if (!isEmpty) dispatch(bulkEditTodos({ ids: selectedIds, changes }))
+    }
+
+    const applyTag = (field) => {
+        if (!tagName) return
+        apply({ [field]: [tagName] })
+        setTag('')
+    }
+
+    return (
+        <div
+            role='toolbar'
+            aria-label='Bulk actions'
+            className='mb-3 p-2 rounded-md border border-blue-300 bg-blue-50 dark:bg-gray-900 dark:border-cyan-700 text-sm font-normal space-y-2'
+        >
+            <div className='flex flex-wrap items-center gap-2'>
+                <span className='font-semibold' aria-live='polite'>
+                    {count} of {totalCount} selected
+                </span>
+                <button type="button" onClick={onSelectAll} disabled={count === totalCount} className='text-blue-600 dark:text-cyan-400 hover:underline disabled:opacity-50'>
+                    Select all ({totalCount})
+                </button>
+                <button type="button" onClick={onClear} disabled={isEmpty} className='text-blue-600 dark:text-cyan-400 hover:underline disabled:opacity-50'>
+                    Clear
+                </button>
+                <span className='text-xs text-gray-500 dark:text-gray-400'>Shift-click a checkbox to select a range.</span>
+                <button type="button" onClick={onExit} className='ml-auto' aria-label='Leave selection mode'>
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className='flex flex-wrap items-center gap-2'>
+                <Button type="button" variant="outline" size="sm" onClick={() => apply({ isCompleted: true })} disabled={isEmpty}>
+                    <CheckCheck size={14} /> Complete
+                </Button>
+                <Button type="button" variant="outline" size="sm" onClick={() => apply({ isCompleted: false })} disabled={isEmpty}>
+                    <RotateCcw size={14} /> Reopen
+                </Button>
+                <Button type="button" variant="outline" size="sm" onClick={() => apply({ trash: true })} disabled={isEmpty} className='text-red-600'>
+                    <Trash2 size={14} /> Delete
+                </Button>
+                <Select value='' onValueChange={(value) => apply({ priority: value === 'none' ? null : value })} disabled={isEmpty}>
+                    <SelectTrigger className="w-36 h-9" aria-label="Set priority">
+                        <SelectValue placeholder="Set priority" />
+                    </SelectTrigger>
+                    <SelectContent>
+                        <SelectItem value="high">🚩 High</SelectItem>
+                        <SelectItem value="medium">🟡 Medium</SelectItem>
+                        <SelectItem value="low">🔵 Low</SelectItem>
+                        <SelectItem value="none">No Priority</SelectItem>
+                    </SelectContent>
+                </Select>
+            </div>
+
+            <div className='flex flex-wrap items-center gap-2'>
+                <DatePickerWithPresets
+                    label="Set due date"
+                    value={null}
+                    onStateChange={(date) => apply({ targetDate: date ? date.toISOString() : null })}
+                    isEditable={!isEmpty}
+                    classNames="w-44 h-9"
+                />
+                <Button type="button" variant="ghost" size="sm" onClick={() => apply({ targetDate: null })} disabled={isEmpty}>
+                    Clear due date
+                </Button>
+                <Select value='' onValueChange={(value) => apply({ shiftDays: Number(value) })} disabled={isEmpty}>
+                    <SelectTrigger className="w-44 h-9" aria-label="Shift due dates">
+                        <SelectValue placeholder="Shift due dates" />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {DATE_SHIFTS.map(option => (
+                            <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+            </div>
+
+            <div className='flex flex-wrap items-center gap-2'>
+                <Tag size={14} aria-hidden='true' />
+                <input
+                    type='text'
+                    value={tag}
+                    onChange={(e) => setTag(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault()
+                            applyTag('addTags')
+                        }
+                    }}
+                    list='bulk-tag-options'
+                    className='w-40 h-9 px-2 rounded-md border bg-transparent focus:outline-none dark:text-white dark:border-gray-500'
+                    placeholder='Tag'
+                    aria-label='Tag to add or remove'
+                />
+                <datalist id='bulk-tag-options'>
+                    {availableTags.map(option => <option key={option} value={option} />)}
+                </datalist>
+                <Button type="button" variant="outline" size="sm" onClick={() => applyTag('addTags')} disabled={isEmpty || !tagName}>
+                    Add tag
+                </Button>
+                <Button type="button" variant="outline" size="sm" onClick={() => applyTag('removeTags')} disabled={isEmpty || !tagName}>
+                    Remove tag
+                </Button>
+            </div>
+        </div>
+    )
+}
+
+export default BulkActionBar
@@ -0,0 +1,293 @@
+/**
+ * CommandPalette.jsx - Search tasks and run actions from the keyboard
+ *
+ * Opened with Ctrl+K (Cmd+K on Mac) from anywhere. Typing filters the
+ * actions (new task, dark mode, list filters, views, shortcuts, logout)
+ * and projects by name, and searches the tasks with the same query
+ * language as the search box (see todoSearch.js). ↑ / ↓ choose a result,
+ * Enter runs it and Esc closes the palette. Choosing a task opens its
+ * project in the list view and selects it for the list shortcuts.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useEffect, useMemo, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useNavigate } from 'react-router-dom'
+import {
+    CalendarDays,
+    CheckCircle2,
+    Circle,
+    Keyboard,
+    KanbanSquare,
+    LayoutList,
+    List,
+    ListFilter,
+    LogOut,
+    Moon,
+    Plus,
+    Search,
+    Sun,
+} from 'lucide-react'
+import { toggleDarkMode } from '@/features/darkMode/darkModeSlice'
+import { setActiveTodo, setListFilter, updateSettings } from '@/features/todo/todoSlice'
+import { selectActiveTodos, selectProjects } from '@/features/todo/todoSelectors'
+import { matchesSearch, parseSearchQuery } from '@/features/todo/todoSearch'
+import { SMART_LISTS } from '@/features/todo/smartLists'
+import { INBOX_ID, getProjectPath, getTodoProjectId } from '@/features/todo/projects'
+import { getProjectIcon } from '@/lib/projectStyles'
+
+// Matching tasks listed after the actions and projects
+const TASK_RESULT_LIMIT = 8
+
+const STATUS_FILTERS = [
+    { value: 'all', label: 'Show all tasks' },
+    { value: 'pending', label: 'Show pending tasks' },
+    { value: 'completed', label: 'Show completed tasks' },
+]
+
+const VIEWS = [
+    { value: 'list', label: 'Switch to the list view', Icon: List },
+    { value: 'board', label: 'Switch to the board view', Icon: KanbanSquare },
+    { value: 'calendar', label: 'Switch to the calendar view', Icon: CalendarDays },
+]
+
+/**
+ * Check whether every word of a query appears in a command's text
+ *
+ * @param {Object} command - Command with a label and optional keywords
+ * @param {Array<string>} words - Lowercased query words
+ * @returns {boolean} Whether the command matches
+ */
+const matchesWords = (command, words) => {
+    const text = `${command.label} ${command.keywords || ''}`.toLowerCase()
+    return words.every(word => text.includes(word))
+}
+
+/**
+ * CommandPalette Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called to close the palette
+ * @param {Function} props.onLogout - Logs the user out
+ * @param {Function} props.onShowShortcuts - Opens the keyboard shortcut help
+ * @returns {JSX.Element} The palette
+ */
+const CommandPalette = ({ onClose, onLogout, onShowShortcuts }) => {
+    const dispatch = useDispatch()
+    const navigate = useNavigate()
+    const darkMode = useSelector(state => state.darkMode.darkMode)
+    const view = useSelector(state => state.todo.settings.view)
+    const projects = useSelector(selectProjects)
+    const todos = useSelector(selectActiveTodos)
+    const [query, setQuery] = useState('')
+    const [highlighted, setHighlighted] = useState(0)   // Index of the chosen result
+
+    const results = useMemo(() => {
+        // The filters and tasks are in the list view
+        const showList = () => {
+            if (view !== 'list') dispatch(updateSettings({ view: 'list' }))
+        }
+
+        const actions = [
+            {
+                id: 'new-task',
+                label: 'New task',
+                keywords: 'add create todo',
+                Icon: Plus,
+                run: () => {
+                    showList()
+                    // The form may only appear on the next render
+                    setTimeout(() => document.getElementById('new-todo-title')?.focus(), 0)
+                },
+            },
+            {
+                id: 'dark-mode',
+                label: darkMode ? 'Switch to light mode' : 'Switch to dark mode',
+                keywords: 'toggle dark mode theme',
+                Icon: darkMode ? Sun : Moon,
+                run: () => dispatch(toggleDarkMode()),
+            },
+            ...STATUS_FILTERS.map(filter => ({
+                id: `filter-${filter.value}`,
+                label: filter.label,
+                keywords: 'filter',
+                Icon: ListFilter,
+                run: () => {
+                    showList()
+                    dispatch(setListFilter(filter.value === 'all' ? { status: 'all', smartList: null } : { status: filter.value }))
+                },
+            })),
+            ...SMART_LISTS.map(list => ({
+                id: `smart-list-${list.id}`,
+                label: `Show ${list.label}`,
+                keywords: 'filter smart list',
+                Icon: LayoutList,
+                run: () => {
+                    showList()
+                    dispatch(setListFilter({ smartList: list.id }))
+                },
+            })),
+            ...VIEWS.map(option => ({
+                id: `view-${option.value}`,
+                label: option.label,
+                keywords: 'view',
+                Icon: option.Icon,
+                run: () => dispatch(updateSettings({ view: option.value })),
+            })),
+            {
+                id: 'shortcuts',
+                label: 'Keyboard shortcuts',
+                keywords: 'help keys bindings',
+                Icon: Keyboard,
+                run: onShowShortcuts,
+            },
+            {
+                id: 'logout',
+                label: 'Log out',
+                keywords: 'logout sign out',
+                Icon: LogOut,
+                run: onLogout,
+            },
+        ].map(action => ({ ...action, group: 'Actions' }))
+
+        const projectCommands = [
+            { id: 'project-all', label: 'All tasks', Icon: List, path: '/' },
+            { id: `project-${INBOX_ID}`, label: 'Inbox', Icon: getProjectIcon(null), path: getProjectPath(INBOX_ID) },
+            ...projects.filter(project => !project.archived).map(project => ({
+                id: `project-${project.id}`,
+                label: project.name,
+                Icon: getProjectIcon(project),
+                path: getProjectPath(project.id),
+            })),
+        ].map(project => ({
+            ...project,
+            group: 'Projects',
+            keywords: 'project go to jump',
+            run: () => navigate(project.path),
+        }))
+
+        const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean)
+        const commands = [...actions, ...projectCommands].filter(command => matchesWords(command, words))
+        if (words.length === 0) return commands
+
+        const terms = parseSearchQuery(query)
+        const now = new Date()
+        const taskCommands = todos
+            .filter(todo => matchesSearch(todo, terms, now))
+            .slice(0, TASK_RESULT_LIMIT)
+            .map(todo => ({
+                id: `task-${todo.id}`,
+                group: 'Tasks',
+                label: todo.title,
+                Icon: todo.isCompleted ? CheckCircle2 : Circle,
+                run: () => {
+                    navigate(getProjectPath(getTodoProjectId(todo, projects)))
+                    showList()
+                    dispatch(setListFilter({ status: 'all', smartList: null }))
+                    dispatch(setActiveTodo(todo.id))
+                },
+            }))
+        return [...commands, ...taskCommands]
+    }, [query, todos, projects, darkMode, view, dispatch, navigate, onLogout, onShowShortcuts])
+
+    // Start from the top whenever the results change
+    useEffect(() => {
+        setHighlighted(0)
+    }, [query])
+
+    // Keep the chosen result in view
+    useEffect(() => {
+        const result = results[highlighted]
+        if (result) document.getElementById(`command-${result.id}`)?.scrollIntoView({ block: 'nearest' })
+    }, [results, highlighted])
+
+    const runCommand = (command) => {
+        onClose()
+        command.run()
+    }
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault()
+            if (results.length === 0) return
+            const step = e.key === 'ArrowDown' ? 1 : -1
+            setHighlighted((highlighted + step + results.length) % results.length)
+        } else if (e.key === 'Enter') {
+            e.preventDefault()
+            if (results[highlighted]) runCommand(results[highlighted])
+        } else if (e.key === 'Escape') {
+            e.preventDefault()
+            onClose()
+        }
+    }
+
+    const activeResult = results[highlighted]
+
+    return (
+        <div
+            className='fixed inset-0 z-50 flex items-start justify-center p-3 pt-[15vh] bg-black/50'
+            onMouseDown={(e) => {
+                if (e.target === e.currentTarget) onClose()
+            }}
+        >
+            <div
+                role='dialog'
+                aria-modal='true'
+                aria-label='Command palette'
+                className='w-full max-w-lg rounded-md bg-white dark:bg-gray-900 text-sm dark:text-white shadow-lg overflow-hidden'
+            >
+                <div className='flex items-center gap-2 px-3 border-b dark:border-gray-700'>
+                    <Search size={16} className='text-gray-400' />
+                    <input
+                        type='text'
+                        role='combobox'
+                        aria-expanded='true'
+                        aria-controls='command-palette-results'
+                        aria-activedescendant={activeResult ? `command-${activeResult.id}` : undefined}
+                        aria-autocomplete='list'
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        className='flex-1 h-11 bg-transparent focus:outline-none'
+                        placeholder='Search tasks or type a command…'
+                        autoFocus
+                    />
+                </div>
+                <ul id='command-palette-results' role='listbox' aria-label='Results' className='max-h-80 overflow-y-auto py-1'>
+                    {results.length === 0 && (
+                        <li className='px-3 py-2 text-gray-500 dark:text-gray-400'>No matching tasks or commands.</li>
+                    )}
+                    {results.map((command, index) => {
+                        const isNewGroup = index === 0 || results[index - 1].group !== command.group
+                        const Icon = command.Icon
+                        return (
+                            <li key={command.id} role='presentation'>
+                                {isNewGroup && (
+                                    <div className='px-3 pt-2 pb-1 text-xs font-semibold text-gray-500 dark:text-gray-400'>
+                                        {command.group}
+                                    </div>
+                                )}
+                                <div
+                                    id={`command-${command.id}`}
+                                    role='option'
+                                    aria-selected={index === highlighted}
+                                    onMouseMove={() => setHighlighted(index)}
+                                    onClick={() => runCommand(command)}
+                                    className={`flex items-center gap-2 px-3 py-2 cursor-pointer
+                                        ${index === highlighted ? 'bg-blue-500 text-white' : ''}`}
+                                >
+                                    <Icon size={16} className='flex-shrink-0' />
+                                    <span className='truncate'>{command.label}</span>
+                                </div>
+                            </li>
+                        )
+                    })}
+                </ul>
+            </div>
+        </div>
+    )
+}
+
+export default CommandPalette
@@ -0,0 +1,166 @@
+/**
+ * CsvImportDialog.jsx - Map the columns of a CSV file to todo fields
+ *
+ * Shown after the user picks a CSV file. They choose which column holds
+ * each field (a mapping is guessed from the header row), whether the
+ * first row is a header and how dates are written. The dialog previews
+ * how many rows will be imported and lists the rows that will not, with
+ * the reason (see todoCsv.js).
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useEffect, useMemo, useState } from 'react'
+import { X } from 'lucide-react'
+import { Button } from './ui/button'
+import { CSV_DATE_FORMATS, CSV_IMPORT_FIELDS, csvToTodos, guessCsvMapping } from '@/features/todo/todoCsv'
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select"
+
+// Select value for a field that is not imported
+const NOT_MAPPED = 'none'
+
+// Invalid rows listed before the rest are only counted
+const ERROR_LIST_LIMIT = 10
+
+/**
+ * CsvImportDialog Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.fileName - Name of the chosen file
+ * @param {Array<Array<string>>} props.rows - Rows of the file (see parseCsv)
+ * @param {Function} props.onImport - Called with the todo data to import
+ * @param {Function} props.onClose - Called when the dialog is closed without importing
+ * @returns {JSX.Element} The dialog
+ */
+const CsvImportDialog = ({ fileName, rows, onImport, onClose }) => {
+    const [hasHeader, setHasHeader] = useState(true)
+    const [mapping, setMapping] = useState(() => guessCsvMapping(rows[0]))
+    const [dateFormat, setDateFormat] = useState(CSV_DATE_FORMATS[0].value)
+
+    const columnCount = Math.max(...rows.map(row => row.length))
+    const columnNames = Array.from({ length: columnCount }, (_, index) => (
+        hasHeader && rows[0][index]?.trim() ? rows[0][index].trim() : `Column ${index + 1}`
+    ))
+    const sampleRow = rows[hasHeader ? 1 : 0] || []
+
+    const { todos, errors } = useMemo(
+        () => csvToTodos(rows, mapping, { hasHeader, dateFormat }),
+        [rows, mapping, hasHeader, dateFormat]
+    )
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose()
+        }
+        document.addEventListener('keydown', handleKeyDown)
+        return () => document.removeEventListener('keydown', handleKeyDown)
+    }, [onClose])
+
+    const setFieldColumn = (field, value) => {
+        setMapping({ ...mapping, [field]: value === NOT_MAPPED ? null : Number(value) })
+    }
+
+    return (
+        <div className='fixed inset-0 z-40 flex items-center justify-center p-3 bg-black/50'>
+            <div
+                role='dialog'
+                aria-modal='true'
+                aria-labelledby='csv-import-heading'
+                className='w-full max-w-lg max-h-full overflow-y-auto p-4 rounded-md bg-white dark:bg-gray-900 text-sm dark:text-white space-y-3'
+            >
+                <div className='flex justify-between items-center'>
+                    <h3 id='csv-import-heading' className='text-base font-semibold'>Import {fileName}</h3>
+                    <button type="button" onClick={onClose} aria-label='Close'>
+                        <X size={16} />
+                    </button>
+                </div>
+
+                <label className='flex items-center gap-2'>
+                    <input type='checkbox' checked={hasHeader} onChange={(e) => setHasHeader(e.target.checked)} />
+                    The first row holds column names
+                </label>
+
+                <table className='w-full'>
+                    <thead>
+                        <tr className='text-left text-xs text-gray-500 dark:text-gray-400'>
+                            <th className='font-normal pb-1'>Field</th>
+                            <th className='font-normal pb-1'>Column</th>
+                            <th className='font-normal pb-1'>First value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {CSV_IMPORT_FIELDS.map(field => (
+                            <tr key={field.value}>
+                                <td className='pr-2 py-1'>{field.label}{field.required && ' *'}</td>
+                                <td className='pr-2 py-1'>
+                                    <Select
+                                        value={mapping[field.value] === null ? NOT_MAPPED : String(mapping[field.value])}
+                                        onValueChange={(value) => setFieldColumn(field.value, value)}
+                                    >
+                                        <SelectTrigger className="w-40 h-8" aria-label={`Column for ${field.label}`}>
+                                            <SelectValue />
+                                        </SelectTrigger>
+                                        <SelectContent>
+                                            <SelectItem value={NOT_MAPPED}>Not imported</SelectItem>
+                                            {columnNames.map((name, index) => (
+                                                <SelectItem key={index} value={String(index)}>{name}</SelectItem>
+                                            ))}
+                                        </SelectContent>
+                                    </Select>
+                                </td>
+                                <td className='py-1 text-xs text-gray-500 dark:text-gray-400 truncate max-w-[8rem]'>
+                                    {mapping[field.value] === null ? '' : sampleRow[mapping[field.value]]}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                <div className='flex items-center gap-2'>
+                    <span>Dates are written as</span>
+                    <Select value={dateFormat} onValueChange={setDateFormat}>
+                        <SelectTrigger className="w-56 h-8" aria-label="Date format">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {CSV_DATE_FORMATS.map(option => (
+                                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                </div>
+
+                <p className='font-semibold'>
+                    {todos.length} {todos.length === 1 ? 'task' : 'tasks'} will be imported.
+                </p>
+                {errors.length > 0 && (
+                    <div className='text-red-700 dark:text-red-400'>
+                        <p>{errors.length} {errors.length === 1 ? 'row' : 'rows'} will be skipped:</p>
+                        <ul className='list-disc pl-5 text-xs'>
+                            {errors.slice(0, ERROR_LIST_LIMIT).map(error => (
+                                <li key={error.row}>Row {error.row}: {error.message}</li>
+                            ))}
+                            {errors.length > ERROR_LIST_LIMIT && <li>and {errors.length - ERROR_LIST_LIMIT} more</li>}
+                        </ul>
+                    </div>
+                )}
+
+                <div className='flex justify-end gap-2'>
+                    <Button type="button" variant="ghost" size="sm" onClick={onClose}>Cancel</Button>
+                    <Button type="button" size="sm" onClick={() => onImport(todos)} disabled={todos.length === 0}>
+                        Import {todos.length} {todos.length === 1 ? 'task' : 'tasks'}
+                    </Button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default CsvImportDialog
@@ -0,0 +1,86 @@
+/**
+ * CsvImportSection.jsx - Import todos from a CSV file
+ *
+ * Reads the chosen file and opens CsvImportDialog to map its columns.
+ * Imported todos go into the project being viewed. (CSV export lives
+ * next to the task list, since it exports the filtered list.)
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Upload } from 'lucide-react'
+import { Button } from './ui/button'
+import CsvImportDialog from './CsvImportDialog'
+import { importTodos } from '@/features/todo/todoThunks'
+import { parseCsv } from '@/features/todo/todoCsv'
+import { toTodoProjectId } from '@/features/todo/projects'
+
+/**
+ * CsvImportSection Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.projectId] - Project being viewed (see projects.js)
+ * @returns {JSX.Element} The CSV import controls
+ */
+const CsvImportSection = ({ projectId }) => {
+    const dispatch = useDispatch()
+    const isHydrated = useSelector(state => state.todo.isHydrated)
+    const [file, setFile] = useState(null)      // { name, rows } of the file being mapped
+    const [error, setError] = useState(null)
+    const [result, setResult] = useState(null)  // Message after an import
+
+    const handleFileChange = async (e) => {
+        const chosen = e.target.files[0]
+        e.target.value = ''
+        if (!chosen) return
+        const rows = parseCsv(await chosen.text())
+        setResult(null)
+        if (rows.length === 0) {
+            setError('The file is empty.')
+            return
+        }
+        setError(null)
+        setFile({ name: chosen.name, rows })
+    }
+
+    const handleImport = async (todos) => {
+        setFile(null)
+        const projectTodoId = toTodoProjectId(projectId)
+        const action = await dispatch(importTodos(todos.map(todo => ({ ...todo, projectId: projectTodoId }))))
+        if (importTodos.fulfilled.match(action)) {
+            setResult(`Imported ${todos.length} ${todos.length === 1 ? 'task' : 'tasks'}.`)
+        }
+    }
+
+    return (
+        <section aria-labelledby='csv-heading' className='space-y-2'>
+            <h4 id='csv-heading' className='font-semibold'>Spreadsheet (CSV)</h4>
+            <p className='text-xs text-gray-500 dark:text-gray-400'>
+                Import tasks from a spreadsheet, choosing which column holds what. To export, use “Export CSV” above the task list.
+            </p>
+            <Button type="button" variant="outline" size="sm" asChild>
+                <label className='cursor-pointer'>
+                    <Upload size={14} /> Import CSV
+                    <input type='file' accept='.csv,text/csv' onChange={handleFileChange} className='sr-only' disabled={!isHydrated} />
+                </label>
+            </Button>
+
+            {error && <p role='alert' className='text-red-600 dark:text-red-400'>{error}</p>}
+            {result && <p role='status' className='text-green-700 dark:text-green-400'>{result}</p>}
+
+            {file && (
+                <CsvImportDialog
+                    fileName={file.name}
+                    rows={file.rows}
+                    onImport={handleImport}
+                    onClose={() => setFile(null)}
+                />
+            )}
+        </section>
+    )
+}
+
+export default CsvImportSection
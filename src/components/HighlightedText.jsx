@@ -0,0 +1,36 @@
+/**
+ * HighlightedText.jsx - Text with search matches highlighted
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * HighlightedText Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to show
+ * @param {Array<string>} props.terms - Terms to highlight (case-insensitive)
+ * @returns {JSX.Element} The text with matches wrapped in <mark>
+ */
+const HighlightedText = ({ text, terms }) => {
+  if (!text || terms.length === 0) return <>{text}</>
+
+  // Longer terms first so "report" wins over "rep"
+  const pattern = new RegExp(`(${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`, 'gi')
+  const lowerTerms = terms.map(term => term.toLowerCase())
+
+  return (
+    <>
+      {text.split(pattern).map((part, index) => (
+        lowerTerms.includes(part.toLowerCase())
+          ? <mark key={index} className="bg-yellow-200 text-black rounded-sm px-0.5">{part}</mark>
+          : part
+      ))}
+    </>
+  )
+}
+
+export default HighlightedText
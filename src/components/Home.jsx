@@ -1,14 +1,41 @@
 import { useDispatch, useSelector } from 'react-redux'
-import { useNavigate } from 'react-router-dom'
+import { Navigate, useNavigate, useParams } from 'react-router-dom'
 import TodoForm from './TodoForm'
+import TodoBoard from './TodoBoard'
+import TodoCalendar from './TodoCalendar'
+import UndoToast from './UndoToast'
+import ProjectSidebar from './ProjectSidebar'
+import ImportExportPanel from './ImportExportPanel'
+import CommandPalette from './CommandPalette'
+import ShortcutHelp from './ShortcutHelp'
 import { Switch } from './ui/switch'
 import { toggleDarkMode } from '@/features/darkMode/darkModeSlice'
-import { logout } from '@/features/auth/authSlice'
-import { useEffect } from 'react'
+import { logoutUser } from '@/features/auth/authSlice'
+import { updateSettings } from '@/features/todo/todoSlice'
+import { selectProjects } from '@/features/todo/todoSelectors'
+import { INBOX_ID } from '@/features/todo/projects'
+import { getProjectIcon, getProjectTextColor } from '@/lib/projectStyles'
+import { MOD_KEY, isShortcutBlocked } from '@/lib/keyboard'
+import { ArrowDownUp, CalendarDays, KanbanSquare, Keyboard, List } from 'lucide-react'
+import { useCallback, useEffect, useState } from 'react'
+
+// Views of the todos; the chosen one is saved in the user's settings
+const VIEWS = [
+    { value: 'list', label: 'List', Icon: List },
+    { value: 'board', label: 'Board', Icon: KanbanSquare },
+    { value: 'calendar', label: 'Calendar', Icon: CalendarDays },
+]
 
 const Home = () => {
     const darkMode = useSelector(state => state.darkMode.darkMode)
     const { user } = useSelector(state => state.auth)
+    const view = useSelector(state => state.todo.settings.view)
+    const projects = useSelector(selectProjects)
+    const isHydrated = useSelector(state => state.todo.isHydrated)
+    const { projectId } = useParams()      // Project from /projects/:projectId; all tasks when missing
+    const [showImportExport, setShowImportExport] = useState(false)
+    const [showPalette, setShowPalette] = useState(false)
+    const [showShortcuts, setShowShortcuts] = useState(false)
     const dispatch = useDispatch()
     const navigate = useNavigate()
 
@@ -18,10 +45,34 @@ const Home = () => {
         document.querySelector('html').classList.add(darkMode ? 'dark' : 'light')
     }, [darkMode])
 
-    const handleLogout = () => {
-        dispatch(logout())
+    // Ctrl/Cmd+K opens the command palette (even while typing), ? the shortcut help
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault()
+                setShowShortcuts(false)
+                setShowPalette(open => !open)
+            } else if (e.key === '?' && !isShortcutBlocked(e)) {
+                e.preventDefault()
+                setShowShortcuts(true)
+            }
+        }
+        window.addEventListener('keydown', handleKeyDown)
+        return () => window.removeEventListener('keydown', handleKeyDown)
+    }, [])
+
+    const handleLogout = useCallback(async () => {
+        await dispatch(logoutUser())
         navigate('/login')
-    }
+    }, [dispatch, navigate])
+
+    const closePalette = useCallback(() => setShowPalette(false), [])
+    const openShortcuts = useCallback(() => setShowShortcuts(true), [])
+    const closeShortcuts = useCallback(() => setShowShortcuts(false), [])
+
+    const project = projects.find(item => item.id === projectId)
+    if (projectId && projectId !== INBOX_ID && isHydrated && !project) return <Navigate to="/" />
+    const ProjectIcon = getProjectIcon(project || null)
 
     const BackgroundImage = 'https://images.pexels.com/photos/242124/pexels-photo-242124.jpeg'
     
@@ -47,6 +98,24 @@ const Home = () => {
                                     checked={darkMode} 
                                 />
                             </div>
+                            <button
+                                type="button"
+                                onClick={() => setShowImportExport(!showImportExport)}
+                                aria-expanded={showImportExport}
+                                className="flex items-center justify-center gap-1 px-3 py-2 sm:px-4 sm:py-2 bg-white/80 text-gray-800 rounded-md hover:bg-white transition-colors text-sm sm:text-base w-full sm:w-auto dark:bg-black/60 dark:text-gray-200"
+                            >
+                                <ArrowDownUp size={16} />
+                                Import / Export
+                            </button>
+                            <button
+                                type="button"
+                                onClick={openShortcuts}
+                                title={`Keyboard shortcuts (?) · Command palette (${MOD_KEY}+K)`}
+                                className="flex items-center justify-center gap-1 px-3 py-2 sm:px-4 sm:py-2 bg-white/80 text-gray-800 rounded-md hover:bg-white transition-colors text-sm sm:text-base w-full sm:w-auto dark:bg-black/60 dark:text-gray-200"
+                            >
+                                <Keyboard size={16} />
+                                Shortcuts
+                            </button>
                             <button
                                 onClick={handleLogout}
                                 className="px-3 py-2 sm:px-4 sm:py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors text-sm sm:text-base w-full sm:w-auto"
@@ -61,10 +130,55 @@ const Home = () => {
                     </h2>
                 </header>
                 
-                <div className='w-full bg-transparent'>
-                    <TodoForm />
+                {showImportExport && <ImportExportPanel projectId={projectId} onClose={() => setShowImportExport(false)} />}
+                
+                <div className='flex flex-col md:flex-row gap-4 px-3'>
+                    <aside className='md:w-60 md:shrink-0'>
+                        <ProjectSidebar projectId={projectId} />
+                    </aside>
+                
+                    <main className='flex-1 min-w-0'>
+                        {/* Project heading */}
+                        {projectId && (
+                            <h3 className='flex items-center justify-center gap-2 mb-3 text-lg font-semibold text-white'>
+                                <ProjectIcon size={20} className={project ? getProjectTextColor(project.color) : ''} />
+                                {project ? project.name : 'Inbox'}
+                                {project?.archived && <span className='text-xs font-normal opacity-80'>(archived)</span>}
+                            </h3>
+                        )}
+                
+                        {/* View switcher */}
+                        <div className='flex justify-center' role='group' aria-label='View'>
+                            <div className='flex rounded-md overflow-hidden shadow-md'>
+                                {VIEWS.map(({ value, label, Icon }) => (
+                                    <button
+                                        key={value}
+                                        type="button"
+                                        onClick={() => dispatch(updateSettings({ view: value }))}
+                                        aria-pressed={view === value}
+                                        className={`flex items-center gap-1 px-4 py-2 text-sm
+                                            ${view === value ? 'bg-blue-500 text-white' : 'bg-white/80 text-gray-700 hover:bg-white dark:bg-black/60 dark:text-gray-300'}`}
+                                    >
+                                        <Icon size={16} />
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                
+                        <div className='w-full bg-transparent'>
+                            {view === 'board'
+                                ? <TodoBoard projectId={projectId} />
+                                : view === 'calendar' ? <TodoCalendar projectId={projectId} /> : <TodoForm projectId={projectId} />}
+                        </div>
+                    </main>
                 </div>
             </div>
+            <UndoToast />
+            {showPalette && (
+                <CommandPalette onClose={closePalette} onLogout={handleLogout} onShowShortcuts={openShortcuts} />
+            )}
+            {showShortcuts && <ShortcutHelp onClose={closeShortcuts} />}
         </div>
     )
 }
@@ -0,0 +1,180 @@
+/**
+ * IcsSection.jsx - iCalendar (.ics) export, calendar feed and import
+ *
+ * Exports the dated todos of the project being viewed as tasks or
+ * events, regenerates the calendar feed (all dated todos, under a fixed
+ * file name), and imports the tasks (VTODO) of an .ics file into the
+ * project being viewed after a preview. Entries exported by this app
+ * whose todo still exists are skipped, so re-importing does not create
+ * duplicates (see todoIcal.js).
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { format } from 'date-fns'
+import { CalendarPlus, RefreshCw, Upload } from 'lucide-react'
+import { Button } from './ui/button'
+import { updateSettings } from '@/features/todo/todoSlice'
+import { importTodos } from '@/features/todo/todoThunks'
+import { selectActiveTodos, selectProjectTodos } from '@/features/todo/todoSelectors'
+import { toTodoProjectId } from '@/features/todo/projects'
+import {
+    CALENDAR_FEED_FILE_NAME,
+    ICAL_ENTRY_TYPES,
+    getIcsFileName,
+    getTodoIdFromUid,
+    parseIcs,
+    toIcs,
+} from '@/features/todo/todoIcal'
+import { downloadFile } from '@/lib/download'
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select"
+
+const ICS_TYPE = 'text/calendar'
+
+// Entries left out that are listed before the rest are only counted
+const ERROR_LIST_LIMIT = 10
+
+/**
+ * IcsSection Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.projectId] - Project being viewed (see projects.js)
+ * @returns {JSX.Element} The calendar controls
+ */
+const IcsSection = ({ projectId }) => {
+    const dispatch = useDispatch()
+    const projectTodos = useSelector(state => selectProjectTodos(state, projectId))
+    const allTodos = useSelector(state => state.todo.todos)
+    const activeTodos = useSelector(selectActiveTodos)
+    const isHydrated = useSelector(state => state.todo.isHydrated)
+    const feedUpdatedAt = useSelector(state => state.todo.settings.calendarFeedUpdatedAt)
+    const [type, setType] = useState('VTODO')
+    const [preview, setPreview] = useState(null)    // Parsed file waiting for confirmation
+    const [error, setError] = useState(null)
+    const [result, setResult] = useState(null)      // Message after an import
+
+    const datedCount = projectTodos.filter(todo => todo.targetDate).length
+
+    const handleExport = () => {
+        downloadFile(getIcsFileName(), toIcs(projectTodos, { type }), ICS_TYPE)
+    }
+
+    const handleRegenerateFeed = () => {
+        const now = new Date()
+        downloadFile(CALENDAR_FEED_FILE_NAME, toIcs(activeTodos, { type, feed: true, now }), ICS_TYPE)
+        dispatch(updateSettings({ calendarFeedUpdatedAt: now.toISOString() }))
+    }
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0]
+        e.target.value = ''
+        if (!file) return
+        setResult(null)
+        try {
+            const parsed = parseIcs(await file.text())
+            // Entries this app exported for todos that still exist (even in the trash)
+            const existingIds = new Set(allTodos.map(todo => todo.id))
+            const isExisting = (entry) => existingIds.has(getTodoIdFromUid(entry.uid))
+            setPreview({
+                ...parsed,
+                fileName: file.name,
+                newEntries: parsed.entries.filter(entry => !isExisting(entry)),
+                existingCount: parsed.entries.filter(isExisting).length,
+            })
+            setError(null)
+        } catch (parseError) {
+            setPreview(null)
+            setError(parseError.message)
+        }
+    }
+
+    const handleImport = async () => {
+        const projectTodoId = toTodoProjectId(projectId)
+        const todos = preview.newEntries.map(entry => ({ ...entry.todo, projectId: projectTodoId }))
+        setPreview(null)
+        const action = await dispatch(importTodos(todos))
+        if (importTodos.fulfilled.match(action)) {
+            setResult(`Imported ${todos.length} ${todos.length === 1 ? 'task' : 'tasks'}.`)
+        }
+    }
+
+    return (
+        <section aria-labelledby='ics-heading' className='space-y-2'>
+            <h4 id='ics-heading' className='font-semibold'>Calendar (iCalendar .ics)</h4>
+            <p className='text-xs text-gray-500 dark:text-gray-400'>
+                Tasks with a target date, with their priority, tags and completion. {datedCount} {datedCount === 1 ? 'task' : 'tasks'} here {datedCount === 1 ? 'has' : 'have'} a date.
+            </p>
+            <div className='flex flex-wrap items-center gap-2'>
+                <Select value={type} onValueChange={setType}>
+                    <SelectTrigger className="w-40 h-9" aria-label="Export as">
+                        <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {ICAL_ENTRY_TYPES.map(option => (
+                            <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+                <Button type="button" variant="outline" size="sm" onClick={handleExport} disabled={datedCount === 0}>
+                    <CalendarPlus size={14} /> Export .ics
+                </Button>
+                <Button type="button" variant="outline" size="sm" asChild>
+                    <label className='cursor-pointer'>
+                        <Upload size={14} /> Import .ics
+                        <input type='file' accept='.ics,text/calendar' onChange={handleFileChange} className='sr-only' disabled={!isHydrated} />
+                    </label>
+                </Button>
+            </div>
+
+            <div className='flex flex-wrap items-center gap-2'>
+                <Button type="button" variant="outline" size="sm" onClick={handleRegenerateFeed} disabled={!isHydrated}>
+                    <RefreshCw size={14} /> Regenerate calendar feed
+                </Button>
+                <span className='text-xs text-gray-500 dark:text-gray-400'>
+                    {feedUpdatedAt ? `Last generated ${format(new Date(feedUpdatedAt), 'PPp')}. ` : ''}
+                    Save {CALENDAR_FEED_FILE_NAME} over the previous copy in a synced or hosted folder your calendar subscribes to.
+                </span>
+            </div>
+
+            {error && <p role='alert' className='text-red-600 dark:text-red-400'>{error}</p>}
+            {result && <p role='status' className='text-green-700 dark:text-green-400'>{result}</p>}
+
+            {preview && (
+                <div className='p-2 rounded-md border dark:border-gray-600 space-y-2'>
+                    <p>
+                        <span className='font-semibold'>{preview.fileName}</span>:{' '}
+                        {preview.newEntries.length} new {preview.newEntries.length === 1 ? 'task' : 'tasks'}
+                        {preview.existingCount > 0 && `, ${preview.existingCount} already here (skipped)`}
+                        {preview.otherCount > 0 && `, ${preview.otherCount} events ignored`}
+                    </p>
+                    {preview.errors.length > 0 && (
+                        <div className='text-red-700 dark:text-red-400'>
+                            <p>{preview.errors.length} {preview.errors.length === 1 ? 'task' : 'tasks'} will be left out:</p>
+                            <ul className='list-disc pl-5 text-xs'>
+                                {preview.errors.slice(0, ERROR_LIST_LIMIT).map((entry, index) => (
+                                    <li key={index}>“{entry.label}”: {entry.message}</li>
+                                ))}
+                                {preview.errors.length > ERROR_LIST_LIMIT && <li>and {preview.errors.length - ERROR_LIST_LIMIT} more</li>}
+                            </ul>
+                        </div>
+                    )}
+                    <div className='flex gap-2'>
+                        <Button type="button" size="sm" onClick={handleImport} disabled={preview.newEntries.length === 0}>Import</Button>
+                        <Button type="button" variant="ghost" size="sm" onClick={() => setPreview(null)}>Cancel</Button>
+                    </div>
+                </div>
+            )}
+        </section>
+    )
+}
+
+export default IcsSection
@@ -0,0 +1,43 @@
+/**
+ * ImportExportPanel.jsx - Getting data in and out of the app
+ *
+ * Opened from the header. Each format has its own section.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { X } from 'lucide-react'
+import BackupSection from './BackupSection'
+import CsvImportSection from './CsvImportSection'
+import IcsSection from './IcsSection'
+import PlainTextSection from './PlainTextSection'
+
+/**
+ * ImportExportPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.projectId] - Project being viewed; imported tasks go there
+ * @param {Function} props.onClose - Called when the panel is closed
+ * @returns {JSX.Element} The panel
+ */
+const ImportExportPanel = ({ projectId, onClose }) => (
+    <div
+        role='region'
+        aria-labelledby='import-export-heading'
+        className='mx-3 mb-4 p-3 rounded-md bg-white/90 dark:bg-black/70 text-sm dark:text-white space-y-4'
+    >
+        <div className='flex justify-between items-center'>
+            <h3 id='import-export-heading' className='text-base font-semibold'>Import & export</h3>
+            <button type="button" onClick={onClose} aria-label='Close import and export'>
+                <X size={16} />
+            </button>
+        </div>
+        <BackupSection />
+        <CsvImportSection projectId={projectId} />
+        <IcsSection projectId={projectId} />
+        <PlainTextSection projectId={projectId} />
+    </div>
+)
+
+export default ImportExportPanel
@@ -1,7 +1,7 @@
 import { useState } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
 import { Link, useNavigate } from 'react-router-dom'
-import { loginStart, loginSuccess, loginFailure } from '@/features/auth/authSlice'
+import { loginUser } from '@/features/auth/authSlice'
 
 const Login = () => {
     const [formData, setFormData] = useState({
@@ -22,27 +22,11 @@ const Login = () => {
 
     const handleSubmit = async (e) => {
         e.preventDefault()
-        dispatch(loginStart())
         
-        // Simulate API call - replace with actual authentication logic
-        try {
-            // For demo purposes, accept any email/password combination
-            if (formData.email && formData.password) {
-                const user = {
-                    id: 1,
-                    email: formData.email,
-                    name: formData.email.split('@')[0]
-                }
-                
-                setTimeout(() => {
-                    dispatch(loginSuccess(user))
-                    navigate('/')
-                }, 1000)
-            } else {
-                dispatch(loginFailure('Please enter both email and password'))
-            }
-        } catch (error) {
-            dispatch(loginFailure('Login failed. Please try again.'))
+        // Authenticate through the configured auth provider
+        const result = await dispatch(loginUser(formData))
+        if (loginUser.fulfilled.match(result)) {
+            navigate('/')
         }
     }
 
@@ -0,0 +1,168 @@
+/**
+ * PlainTextSection.jsx - todo.txt and Markdown checklist export and import
+ *
+ * Exports the live todos of the project being viewed, in the saved sort
+ * order, as a todo.txt file or a Markdown checklist, and imports either
+ * format into the project being viewed after a preview. What each format
+ * keeps is described in todoTxt.js and todoMarkdown.js.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { FileDown, Upload } from 'lucide-react'
+import { Button } from './ui/button'
+import { importTodos } from '@/features/todo/todoThunks'
+import { selectProjectTodos } from '@/features/todo/todoSelectors'
+import { sortTodos } from '@/features/todo/todoSort'
+import { toTodoProjectId } from '@/features/todo/projects'
+import { getTodoTxtFileName, parseTodoTxt, toTodoTxt } from '@/features/todo/todoTxt'
+import { getMarkdownFileName, parseMarkdown, toMarkdown } from '@/features/todo/todoMarkdown'
+import { downloadFile } from '@/lib/download'
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select"
+
+const PLAIN_TEXT_FORMATS = {
+    todoTxt: {
+        label: 'todo.txt',
+        type: 'text/plain',
+        getFileName: getTodoTxtFileName,
+        serialize: toTodoTxt,
+        parse: parseTodoTxt,
+    },
+    markdown: {
+        label: 'Markdown checklist',
+        type: 'text/markdown',
+        getFileName: getMarkdownFileName,
+        serialize: toMarkdown,
+        parse: parseMarkdown,
+    },
+}
+
+// Lines left out that are listed before the rest are only counted
+const ERROR_LIST_LIMIT = 10
+
+/**
+ * Format of an imported file, from its extension
+ *
+ * @param {string} fileName - Name of the chosen file
+ * @param {string} fallback - Format selected in the section
+ * @returns {string} Key of PLAIN_TEXT_FORMATS
+ */
+const getFileFormat = (fileName, fallback) => {
+    if (/\.(md|markdown)$/i.test(fileName)) return 'markdown'
+    if (/\.txt$/i.test(fileName)) return 'todoTxt'
+    return fallback
+}
+
+/**
+ * PlainTextSection Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.projectId] - Project being viewed (see projects.js)
+ * @returns {JSX.Element} The todo.txt and Markdown controls
+ */
+const PlainTextSection = ({ projectId }) => {
+    const dispatch = useDispatch()
+    const projectTodos = useSelector(state => selectProjectTodos(state, projectId))
+    const sortMode = useSelector(state => state.todo.settings.sortMode)
+    const isHydrated = useSelector(state => state.todo.isHydrated)
+    const [formatKey, setFormatKey] = useState('todoTxt')
+    const [preview, setPreview] = useState(null)    // Parsed file waiting for confirmation
+    const [result, setResult] = useState(null)      // Message after an import
+
+    const handleExport = () => {
+        const { getFileName, serialize, type } = PLAIN_TEXT_FORMATS[formatKey]
+        downloadFile(getFileName(), serialize(sortTodos(projectTodos, sortMode)), type)
+    }
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0]
+        e.target.value = ''
+        if (!file) return
+        setResult(null)
+        const fileFormat = getFileFormat(file.name, formatKey)
+        setPreview({
+            skippedCount: 0,
+            ...PLAIN_TEXT_FORMATS[fileFormat].parse(await file.text()),
+            fileName: file.name,
+            formatLabel: PLAIN_TEXT_FORMATS[fileFormat].label,
+        })
+    }
+
+    const handleImport = async () => {
+        const projectTodoId = toTodoProjectId(projectId)
+        const todos = preview.todos.map(todo => ({ ...todo, projectId: projectTodoId }))
+        setPreview(null)
+        const action = await dispatch(importTodos(todos))
+        if (importTodos.fulfilled.match(action)) {
+            setResult(`Imported ${todos.length} ${todos.length === 1 ? 'task' : 'tasks'}.`)
+        }
+    }
+
+    return (
+        <section aria-labelledby='plain-text-heading' className='space-y-2'>
+            <h4 id='plain-text-heading' className='font-semibold'>todo.txt & Markdown</h4>
+            <p className='text-xs text-gray-500 dark:text-gray-400'>
+                Plain-text lists for other todo apps and notes. todo.txt keeps priority, tags, dates and completion; Markdown checklists keep tags, subtasks and completion.
+            </p>
+            <div className='flex flex-wrap items-center gap-2'>
+                <Select value={formatKey} onValueChange={setFormatKey}>
+                    <SelectTrigger className="w-48 h-9" aria-label="Plain-text format">
+                        <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {Object.entries(PLAIN_TEXT_FORMATS).map(([key, option]) => (
+                            <SelectItem key={key} value={key}>{option.label}</SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+                <Button type="button" variant="outline" size="sm" onClick={handleExport} disabled={projectTodos.length === 0}>
+                    <FileDown size={14} /> Export
+                </Button>
+                <Button type="button" variant="outline" size="sm" asChild>
+                    <label className='cursor-pointer'>
+                        <Upload size={14} /> Import
+                        <input type='file' accept='.txt,.md,.markdown,text/plain,text/markdown' onChange={handleFileChange} className='sr-only' disabled={!isHydrated} />
+                    </label>
+                </Button>
+            </div>
+
+            {result && <p role='status' className='text-green-700 dark:text-green-400'>{result}</p>}
+
+            {preview && (
+                <div className='p-2 rounded-md border dark:border-gray-600 space-y-2'>
+                    <p>
+                        <span className='font-semibold'>{preview.fileName}</span> ({preview.formatLabel}):{' '}
+                        {preview.todos.length} {preview.todos.length === 1 ? 'task' : 'tasks'}
+                        {preview.skippedCount > 0 && `, ${preview.skippedCount} other ${preview.skippedCount === 1 ? 'line' : 'lines'} ignored`}
+                    </p>
+                    {preview.errors.length > 0 && (
+                        <div className='text-red-700 dark:text-red-400'>
+                            <p>{preview.errors.length} {preview.errors.length === 1 ? 'line' : 'lines'} will be left out:</p>
+                            <ul className='list-disc pl-5 text-xs'>
+                                {preview.errors.slice(0, ERROR_LIST_LIMIT).map(error => (
+                                    <li key={error.line}>Line {error.line}: {error.message}</li>
+                                ))}
+                                {preview.errors.length > ERROR_LIST_LIMIT && <li>and {preview.errors.length - ERROR_LIST_LIMIT} more</li>}
+                            </ul>
+                        </div>
+                    )}
+                    <div className='flex gap-2'>
+                        <Button type="button" size="sm" onClick={handleImport} disabled={preview.todos.length === 0}>Import</Button>
+                        <Button type="button" variant="ghost" size="sm" onClick={() => setPreview(null)}>Cancel</Button>
+                    </div>
+                </div>
+            )}
+        </section>
+    )
+}
+
+export default PlainTextSection
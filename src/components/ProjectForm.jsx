@@ -0,0 +1,99 @@
+/**
+ * ProjectForm.jsx - Name, color and icon fields for a project
+ *
+ * Used by the project sidebar both to create a project and to edit one.
+ * The colors and icons to pick from are listed in projects.js.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { PROJECT_COLORS, PROJECT_ICONS } from '@/features/todo/projects'
+import { getProjectBackgroundColor, getProjectIcon, getProjectTextColor } from '@/lib/projectStyles'
+
+/**
+ * ProjectForm Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} [props.project] - Project being edited; a new project when omitted
+ * @param {string} props.submitLabel - Text of the submit button
+ * @param {Function} props.onSubmit - Called with { name, color, icon }
+ * @param {Function} props.onCancel - Called when the user cancels
+ * @returns {JSX.Element} The project form
+ */
+const ProjectForm = ({ project, submitLabel, onSubmit, onCancel }) => {
+    const [name, setName] = useState(project?.name || '')
+    const [color, setColor] = useState(project?.color || PROJECT_COLORS[0])
+    const [icon, setIcon] = useState(project?.icon || PROJECT_ICONS[0])
+
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        const trimmed = name.trim()
+        if (!trimmed) return
+        onSubmit({ name: trimmed, color, icon })
+    }
+
+    return (
+        <form
+            onSubmit={handleSubmit}
+            onKeyDown={(e) => {
+                if (e.key === 'Escape') onCancel()
+            }}
+            className='space-y-2 p-2 rounded-md border dark:border-gray-600'
+        >
+            <input
+                type='text'
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder='Project name...'
+                maxLength={40}
+                autoFocus
+                className='w-full h-8 px-2 rounded-md border bg-transparent dark:border-gray-600 focus:outline-none'
+                aria-label='Project name'
+            />
+            <div className='flex flex-wrap gap-1' role='radiogroup' aria-label='Color'>
+                {PROJECT_COLORS.map(value => (
+                    <button
+                        key={value}
+                        type="button"
+                        role='radio'
+                        aria-checked={color === value}
+                        aria-label={value}
+                        onClick={() => setColor(value)}
+                        className={`w-5 h-5 rounded-full ${getProjectBackgroundColor(value)}
+                            ${color === value ? 'ring-2 ring-offset-1 ring-black dark:ring-white dark:ring-offset-black' : ''}`}
+                    />
+                ))}
+            </div>
+            <div className='flex flex-wrap gap-1' role='radiogroup' aria-label='Icon'>
+                {PROJECT_ICONS.map(value => {
+                    const Icon = getProjectIcon({ icon: value })
+                    return (
+                        <button
+                            key={value}
+                            type="button"
+                            role='radio'
+                            aria-checked={icon === value}
+                            aria-label={value}
+                            onClick={() => setIcon(value)}
+                            className={`p-1 rounded-md ${icon === value ? `bg-black/10 dark:bg-white/20 ${getProjectTextColor(color)}` : ''}`}
+                        >
+                            <Icon size={14} />
+                        </button>
+                    )
+                })}
+            </div>
+            <div className='flex gap-2'>
+                <button type='submit' disabled={!name.trim()} className='font-semibold hover:underline disabled:opacity-50'>
+                    {submitLabel}
+                </button>
+                <button type="button" onClick={onCancel} className='hover:underline'>
+                    Cancel
+                </button>
+            </div>
+        </form>
+    )
+}
+
+export default ProjectForm
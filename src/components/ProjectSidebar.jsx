@@ -0,0 +1,197 @@
+/**
+ * ProjectSidebar.jsx - Project list and management
+ *
+ * Links to all tasks, the Inbox and each project, with the number of
+ * open todos in each. From here the user can:
+ * - Create a project (name, color and icon)
+ * - Rename, recolor, archive or unarchive a project
+ * - Delete a project, moving its todos to the Inbox or trashing them too
+ *
+ * Archived projects are listed in a collapsible section at the bottom.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { NavLink, useNavigate } from 'react-router-dom'
+import { Archive, ArchiveRestore, ChevronDown, ChevronRight, LayoutList, Pencil, Plus, Trash2 } from 'lucide-react'
+import ProjectForm from './ProjectForm'
+import { addProject, updateProject } from '@/features/todo/todoSlice'
+import { deleteProject } from '@/features/todo/todoThunks'
+import { selectProjectCounts, selectProjects } from '@/features/todo/todoSelectors'
+import { INBOX_ID, getProjectPath } from '@/features/todo/projects'
+import { getProjectIcon, getProjectTextColor } from '@/lib/projectStyles'
+
+const linkClassName = ({ isActive }) => `flex items-center gap-2 flex-1 min-w-0 px-2 py-1 rounded-md
+    ${isActive ? 'bg-blue-500 text-white' : 'hover:bg-black/10 dark:hover:bg-white/10'}`
+
+/**
+ * ProjectSidebar Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.projectId] - Project being shown; all tasks when omitted
+ * @returns {JSX.Element} The sidebar
+ */
+const ProjectSidebar = ({ projectId }) => {
+    const dispatch = useDispatch()
+    const navigate = useNavigate()
+    const projects = useSelector(selectProjects)
+    const counts = useSelector(selectProjectCounts)
+    const [isAdding, setIsAdding] = useState(false)
+    const [editingId, setEditingId] = useState(null)     // Project whose form is open
+    const [deletingId, setDeletingId] = useState(null)   // Project asking how to delete
+    const [showArchived, setShowArchived] = useState(false)
+
+    const activeProjects = projects.filter(project => !project.archived)
+    const archivedProjects = projects.filter(project => project.archived)
+
+    const handleAdd = (fields) => {
+        const { payload } = dispatch(addProject(fields))
+        setIsAdding(false)
+        navigate(getProjectPath(payload.id))
+    }
+
+    const handleEdit = (id, changes) => {
+        dispatch(updateProject({ id, changes }))
+        setEditingId(null)
+    }
+
+    const handleArchive = (project) => {
+        dispatch(updateProject({ id: project.id, changes: { archived: !project.archived } }))
+        if (!project.archived) setShowArchived(true)
+    }
+
+    const handleDelete = (id, deleteTodos) => {
+        setDeletingId(null)
+        if (projectId === id) navigate('/')
+        dispatch(deleteProject({ id, deleteTodos }))
+    }
+
+    const renderProject = (project) => {
+        const Icon = getProjectIcon(project)
+        if (editingId === project.id) {
+            return (
+                <li key={project.id}>
+                    <ProjectForm
+                        project={project}
+                        submitLabel='Save'
+                        onSubmit={(changes) => handleEdit(project.id, changes)}
+                        onCancel={() => setEditingId(null)}
+                    />
+                </li>
+            )
+        }
+        return (
+            <li key={project.id}>
+                <div className='group flex items-center gap-1'>
+                    <NavLink to={getProjectPath(project.id)} className={linkClassName}>
+                        {({ isActive }) => (
+                            <>
+                                <Icon size={16} className={`shrink-0 ${isActive ? '' : getProjectTextColor(project.color)}`} />
+                                <span className='truncate flex-1'>{project.name}</span>
+                                <span className='text-xs opacity-70'>{counts[project.id]}</span>
+                            </>
+                        )}
+                    </NavLink>
+                    <div className='flex gap-1 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100'>
+                        <button type="button" onClick={() => setEditingId(project.id)} aria-label={`Edit ${project.name}`}>
+                            <Pencil size={14} />
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => handleArchive(project)}
+                            aria-label={`${project.archived ? 'Unarchive' : 'Archive'} ${project.name}`}
+                        >
+                            {project.archived ? <ArchiveRestore size={14} /> : <Archive size={14} />}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setDeletingId(project.id)}
+                            className='hover:text-red-600'
+                            aria-label={`Delete ${project.name}`}
+                        >
+                            <Trash2 size={14} />
+                        </button>
+                    </div>
+                </div>
+                {deletingId === project.id && (
+                    <div role='alertdialog' aria-label={`Delete ${project.name}`} className='mt-1 p-2 rounded-md border dark:border-gray-600 space-y-1'>
+                        <p>
+                            Delete “{project.name}”?
+                            {counts[project.id] > 0 && ` It has ${counts[project.id]} open ${counts[project.id] === 1 ? 'task' : 'tasks'}.`}
+                        </p>
+                        <div className='flex flex-wrap gap-x-3'>
+                            <button type="button" onClick={() => handleDelete(project.id, false)} className='font-semibold hover:underline'>
+                                Move tasks to Inbox
+                            </button>
+                            <button type="button" onClick={() => handleDelete(project.id, true)} className='font-semibold text-red-600 hover:underline'>
+                                Delete tasks too
+                            </button>
+                            <button type="button" onClick={() => setDeletingId(null)} className='hover:underline'>
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </li>
+        )
+    }
+
+    const InboxIcon = getProjectIcon(null)
+
+    return (
+        <nav aria-label='Projects' className='p-3 rounded-md bg-white/80 dark:bg-black/60 text-sm dark:text-white space-y-2'>
+            <ul className='space-y-1'>
+                <li className='flex'>
+                    <NavLink to='/' end className={linkClassName}>
+                        <LayoutList size={16} className='shrink-0' />
+                        <span className='flex-1'>All tasks</span>
+                    </NavLink>
+                </li>
+                <li className='flex'>
+                    <NavLink to={getProjectPath(INBOX_ID)} className={linkClassName}>
+                        <InboxIcon size={16} className='shrink-0' />
+                        <span className='flex-1'>Inbox</span>
+                        <span className='text-xs opacity-70'>{counts[INBOX_ID]}</span>
+                    </NavLink>
+                </li>
+            </ul>
+
+            <h3 className='px-2 pt-2 text-xs font-semibold uppercase text-gray-500 dark:text-gray-400'>Projects</h3>
+            <ul className='space-y-1'>
+                {activeProjects.map(renderProject)}
+            </ul>
+
+            {isAdding ? (
+                <ProjectForm submitLabel='Add project' onSubmit={handleAdd} onCancel={() => setIsAdding(false)} />
+            ) : (
+                <button type="button" onClick={() => setIsAdding(true)} className='flex items-center gap-1 px-2 font-semibold hover:underline'>
+                    <Plus size={14} /> New project
+                </button>
+            )}
+
+            {archivedProjects.length > 0 && (
+                <div>
+                    <button
+                        type="button"
+                        onClick={() => setShowArchived(!showArchived)}
+                        aria-expanded={showArchived}
+                        className='flex items-center gap-1 px-2 text-xs font-semibold uppercase text-gray-500 dark:text-gray-400'
+                    >
+                        {showArchived ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                        Archived ({archivedProjects.length})
+                    </button>
+                    {showArchived && (
+                        <ul className='mt-1 space-y-1 opacity-80'>
+                            {archivedProjects.map(renderProject)}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </nav>
+    )
+}
+
+export default ProjectSidebar
@@ -0,0 +1,88 @@
+/**
+ * QuickAddPreview.jsx - Chips for what quick add read from the title
+ *
+ * Shown under the title field of TodoForm while the text holds a date,
+ * time, priority or tags (see quickAdd.js). Each chip can be undone,
+ * which keeps its phrase in the title instead.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { format, isThisYear, isToday, isTomorrow } from 'date-fns'
+import { CalendarDays, Clock, Flag, Hash, X } from 'lucide-react'
+import { getTagColor } from '@/lib/tagColors'
+
+const PRIORITY_LABELS = { high: 'High priority', medium: 'Medium priority', low: 'Low priority' }
+
+const PRIORITY_COLORS = {
+    high: 'bg-red-100 text-red-800 border-red-200',
+    medium: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+    low: 'bg-blue-100 text-blue-800 border-blue-200',
+}
+
+const NEUTRAL_COLOR = 'bg-gray-100 text-gray-800 border-gray-200'
+
+/**
+ * Icon, text and colors of a detection's chip
+ *
+ * @param {Object} detection - Detection from parseQuickAdd
+ * @returns {{Icon: Function, label: string, color: string}} Chip contents
+ */
+const getChip = ({ type, value }) => {
+    switch (type) {
+        case 'date':
+            return {
+                Icon: CalendarDays,
+                label: isToday(value) ? 'Today' : isTomorrow(value) ? 'Tomorrow'
+                    : format(value, isThisYear(value) ? 'EEE, MMM d' : 'EEE, MMM d, yyyy'),
+                color: NEUTRAL_COLOR,
+            }
+        case 'time':
+            return { Icon: Clock, label: format(new Date(2000, 0, 1, value.hours, value.minutes), 'p'), color: NEUTRAL_COLOR }
+        case 'priority':
+            return { Icon: Flag, label: PRIORITY_LABELS[value], color: PRIORITY_COLORS[value] }
+        default:
+            return { Icon: Hash, label: value, color: getTagColor(value) }
+    }
+}
+
+/**
+ * QuickAddPreview Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.detections - Detections from parseQuickAdd
+ * @param {Function} props.onUndo - Called with a detection's phrase to keep it in the title
+ * @returns {JSX.Element|null} The chip row, or nothing when nothing was detected
+ */
+const QuickAddPreview = ({ detections, onUndo }) => {
+    if (detections.length === 0) return null
+
+    return (
+        <ul aria-label='Read from the title' className='flex flex-wrap gap-1 px-2 pt-1'>
+            {detections.map(detection => {
+                const { Icon, label, color } = getChip(detection)
+                return (
+                    <li
+                        key={`${detection.type}:${detection.text}`}
+                        className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full border ${color}`}
+                        title={`From “${detection.text}”`}
+                    >
+                        <Icon size={12} aria-hidden='true' />
+                        {label}
+                        <button
+                            type="button"
+                            onClick={() => onUndo(detection.text)}
+                            className='ml-0.5 hover:opacity-70'
+                            aria-label={`Keep “${detection.text}” in the title`}
+                        >
+                            <X size={12} />
+                        </button>
+                    </li>
+                )
+            })}
+        </ul>
+    )
+}
+
+export default QuickAddPreview
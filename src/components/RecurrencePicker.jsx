@@ -0,0 +1,140 @@
+/**
+ * RecurrencePicker.jsx - Repeat rule selector for todos
+ *
+ * Lets the user pick how a todo repeats: daily, on weekdays, weekly on
+ * chosen days, monthly on a day, every N days, or a custom RRULE string.
+ * Extra controls appear for the rule types that need them.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { WEEKDAY_LABELS, getRRuleError } from '@/features/todo/recurrence'
+
+// Default settings for each rule type when it is first selected
+const createDefaultRule = (type) => {
+  switch (type) {
+    case 'weekly':
+      return { type, days: [new Date().getDay()] }
+    case 'monthly':
+      return { type, dayOfMonth: new Date().getDate() }
+    case 'interval':
+      return { type, interval: 2 }
+    case 'rrule':
+      return { type, rrule: 'FREQ=WEEKLY;BYDAY=MO' }
+    default:
+      return { type }
+  }
+}
+
+/**
+ * RecurrencePicker Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.value - Current repeat rule (null for one-off todos)
+ * @param {Function} props.onChange - Called with the new rule (or null)
+ * @param {string} props.className - Extra classes for the wrapper
+ * @returns {JSX.Element} The recurrence picker
+ */
+const RecurrencePicker = ({ value, onChange, className = "" }) => {
+  const type = value?.type || 'none'
+  const rruleError = type === 'rrule' ? getRRuleError(value.rrule) : null
+
+  const toggleDay = (day) => {
+    const days = value.days || []
+    const nextDays = days.includes(day) ? days.filter(item => item !== day) : [...days, day]
+    // Keep at least one day selected
+    if (nextDays.length > 0) onChange({ ...value, days: nextDays })
+  }
+
+  return (
+    <div className={`flex flex-col gap-2 ${className}`}>
+      <Select
+        value={type}
+        onValueChange={(newType) => onChange(newType === 'none' ? null : createDefaultRule(newType))}
+      >
+        <SelectTrigger className="w-full sm:w-40">
+          <SelectValue placeholder="Repeat" />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="none">Does not repeat</SelectItem>
+          <SelectItem value="daily">🔁 Daily</SelectItem>
+          <SelectItem value="weekdays">🔁 Weekdays</SelectItem>
+          <SelectItem value="weekly">🔁 Weekly on...</SelectItem>
+          <SelectItem value="monthly">🔁 Monthly on day...</SelectItem>
+          <SelectItem value="interval">🔁 Every N days</SelectItem>
+          <SelectItem value="rrule">🔁 Custom (RRULE)</SelectItem>
+        </SelectContent>
+      </Select>
+
+      {type === 'weekly' && (
+        <div className="flex flex-wrap gap-1" role="group" aria-label="Repeat on days">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleDay(day)}
+              aria-pressed={value.days?.includes(day)}
+              className={`px-2 py-1 text-xs rounded-md border ${value.days?.includes(day) ? 'bg-blue-500 text-white border-blue-500' : 'bg-transparent'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {type === 'monthly' && (
+        <label className="flex items-center gap-2 text-sm font-normal">
+          Day
+          <input
+            type="number"
+            min={1}
+            max={31}
+            value={value.dayOfMonth}
+            onChange={(e) => onChange({ ...value, dayOfMonth: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+            className="w-16 px-2 py-1 rounded-md border bg-transparent"
+          />
+        </label>
+      )}
+
+      {type === 'interval' && (
+        <label className="flex items-center gap-2 text-sm font-normal">
+          Every
+          <input
+            type="number"
+            min={1}
+            max={365}
+            value={value.interval}
+            onChange={(e) => onChange({ ...value, interval: Math.min(365, Math.max(1, Number(e.target.value) || 1)) })}
+            className="w-16 px-2 py-1 rounded-md border bg-transparent"
+          />
+          days
+        </label>
+      )}
+
+      {type === 'rrule' && (
+        <div className="text-sm font-normal">
+          <input
+            type="text"
+            value={value.rrule}
+            onChange={(e) => onChange({ ...value, rrule: e.target.value })}
+            placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR"
+            className="w-full px-2 py-1 rounded-md border bg-transparent"
+          />
+          {rruleError && (
+            <p className="text-xs text-red-600 mt-1">{rruleError}</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RecurrencePicker
@@ -0,0 +1,70 @@
+/**
+ * ReminderPicker.jsx - Reminder selector for todos
+ *
+ * Toggle buttons for when to be reminded about a todo (at the due time,
+ * 1 hour before, ...). Reminders need a target date, so the buttons are
+ * disabled until one is picked. While notifications are not allowed yet,
+ * a button to turn them on is shown next to the selected reminders.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { Bell } from 'lucide-react'
+import { useDispatch, useSelector } from 'react-redux'
+import { REMINDER_OPTIONS } from '@/features/reminders/reminders'
+import { requestReminderPermission } from '@/features/reminders/reminderSlice'
+
+/**
+ * ReminderPicker Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<number>} props.value - Selected offsets in minutes before the due time
+ * @param {Function} props.onChange - Called with the new list of offsets
+ * @param {boolean} props.hasTargetDate - Whether the todo has a target date
+ * @param {string} props.className - Extra classes for the wrapper
+ * @returns {JSX.Element} The reminder picker
+ */
+const ReminderPicker = ({ value, onChange, hasTargetDate, className = "" }) => {
+  const dispatch = useDispatch()
+  const permission = useSelector(state => state.reminders.permission)
+
+  const toggleOption = (offset) => {
+    onChange(value.includes(offset)
+      ? value.filter(item => item !== offset)
+      : [...value, offset].sort((a, b) => b - a))
+  }
+
+  return (
+    <div className={`flex flex-wrap items-center gap-1 text-xs font-normal ${className}`} role="group" aria-label="Reminders">
+      <Bell size={14} className="mr-1" />
+      {REMINDER_OPTIONS.map(option => (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => toggleOption(option.value)}
+          disabled={!hasTargetDate}
+          aria-pressed={value.includes(option.value)}
+          className={`px-2 py-1 rounded-md border disabled:opacity-50 disabled:cursor-not-allowed
+            ${value.includes(option.value) ? 'bg-blue-500 text-white border-blue-500' : 'bg-transparent'}`}
+        >
+          {option.label}
+        </button>
+      ))}
+      {!hasTargetDate && (
+        <span className="text-gray-500 dark:text-gray-400">Pick a target date to add reminders</span>
+      )}
+      {hasTargetDate && value.length > 0 && permission === 'default' && (
+        <button
+          type="button"
+          onClick={() => dispatch(requestReminderPermission())}
+          className="ml-1 text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          Turn on notifications
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default ReminderPicker
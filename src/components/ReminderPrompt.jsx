@@ -0,0 +1,60 @@
+/**
+ * ReminderPrompt.jsx - Notification permission prompt
+ *
+ * Shown once the user has set a reminder on a todo:
+ * - Permission not decided yet: asks to turn notifications on
+ *   (browsers only show their permission dialog after a click)
+ * - Permission denied or notifications unsupported: explains why
+ *   reminders will not appear
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useDispatch, useSelector } from 'react-redux'
+import { dismissReminderPrompt, requestReminderPermission } from '@/features/reminders/reminderSlice'
+
+const MESSAGES = {
+    default: 'Turn on notifications to get reminders before your tasks are due.',
+    denied: 'Notifications are blocked for this site, so reminders cannot be shown. You can allow them in your browser settings.',
+    unsupported: 'This browser does not support notifications, so reminders cannot be shown.',
+}
+
+/**
+ * ReminderPrompt Component
+ *
+ * @returns {JSX.Element|null} The prompt banner, or null when it is not needed
+ */
+const ReminderPrompt = () => {
+    const dispatch = useDispatch()
+    const { permission, promptDismissed } = useSelector(state => state.reminders)
+    const hasReminders = useSelector(state => state.todo.todos.some(todo => !todo.isCompleted && !todo.deletedAt && todo.reminders?.length > 0))
+
+    if (!hasReminders || promptDismissed || permission === 'granted') return null
+
+    return (
+        <div className='w-full flex justify-between items-center mt-4 px-3 py-2 rounded-md bg-blue-100 text-blue-800 text-sm font-normal'>
+            <span>{MESSAGES[permission]}</span>
+            <div className='flex flex-shrink-0 ml-2 gap-3'>
+                {permission === 'default' && (
+                    <button
+                        type="button"
+                        onClick={() => dispatch(requestReminderPermission())}
+                        className="font-semibold hover:underline"
+                    >
+                        Turn on
+                    </button>
+                )}
+                <button
+                    type="button"
+                    onClick={() => dispatch(dismissReminderPrompt())}
+                    className="font-semibold hover:underline"
+                >
+                    {permission === 'default' ? 'Not now' : 'Dismiss'}
+                </button>
+            </div>
+        </div>
+    )
+}
+
+export default ReminderPrompt
@@ -0,0 +1,79 @@
+/**
+ * ShortcutHelp.jsx - Overlay listing every keyboard shortcut
+ *
+ * Opened with "?" outside a text field, from the command palette or the
+ * header. The bindings are listed in lib/keyboard.js.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { Fragment, useEffect } from 'react'
+import { X } from 'lucide-react'
+import { KEYBOARD_SHORTCUTS } from '@/lib/keyboard'
+
+/**
+ * ShortcutHelp Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called to close the overlay
+ * @returns {JSX.Element} The overlay
+ */
+const ShortcutHelp = ({ onClose }) => {
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose()
+        }
+        document.addEventListener('keydown', handleKeyDown)
+        return () => document.removeEventListener('keydown', handleKeyDown)
+    }, [onClose])
+
+    return (
+        <div
+            className='fixed inset-0 z-50 flex items-center justify-center p-3 bg-black/50'
+            onMouseDown={(e) => {
+                if (e.target === e.currentTarget) onClose()
+            }}
+        >
+            <div
+                role='dialog'
+                aria-modal='true'
+                aria-labelledby='shortcut-help-heading'
+                className='w-full max-w-lg max-h-full overflow-y-auto p-4 rounded-md bg-white dark:bg-gray-900 text-sm dark:text-white space-y-4'
+            >
+                <div className='flex justify-between items-center'>
+                    <h3 id='shortcut-help-heading' className='text-base font-semibold'>Keyboard shortcuts</h3>
+                    <button type="button" onClick={onClose} aria-label='Close' autoFocus>
+                        <X size={16} />
+                    </button>
+                </div>
+                {KEYBOARD_SHORTCUTS.map(group => (
+                    <section key={group.title}>
+                        <h4 className='mb-1 font-semibold text-gray-500 dark:text-gray-400'>{group.title}</h4>
+                        <dl className='grid grid-cols-[auto_1fr] gap-x-4 gap-y-1'>
+                            {group.bindings.map(binding => (
+                                <Fragment key={binding.label}>
+                                    <dt className='whitespace-nowrap'>
+                                        {binding.keys.map((combo, index) => (
+                                            <Fragment key={combo.join('+')}>
+                                                {index > 0 && <span className='mx-1 text-gray-500'>/</span>}
+                                                {combo.map(key => (
+                                                    <kbd key={key} className='inline-block min-w-6 mr-0.5 px-1.5 py-0.5 rounded border text-xs text-center font-mono bg-gray-100 dark:bg-gray-800 dark:border-gray-600'>
+                                                        {key}
+                                                    </kbd>
+                                                ))}
+                                            </Fragment>
+                                        ))}
+                                    </dt>
+                                    <dd>{binding.label}</dd>
+                                </Fragment>
+                            ))}
+                        </dl>
+                    </section>
+                ))}
+            </div>
+        </div>
+    )
+}
+
+export default ShortcutHelp
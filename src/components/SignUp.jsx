@@ -1,7 +1,7 @@
 import { useState } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
 import { Link, useNavigate } from 'react-router-dom'
-import { loginStart, loginSuccess, loginFailure } from '@/features/auth/authSlice'
+import { registerUser, loginFailure } from '@/features/auth/authSlice'
 
 const SignUp = () => {
     const [formData, setFormData] = useState({
@@ -24,7 +24,6 @@ const SignUp = () => {
 
     const handleSubmit = async (e) => {
         e.preventDefault()
-        dispatch(loginStart())
         
         // Basic validation
         if (formData.password !== formData.confirmPassword) {
@@ -37,24 +36,14 @@ const SignUp = () => {
             return
         }
         
-        // Simulate API call - replace with actual registration logic
-        try {
-            if (formData.name && formData.email && formData.password) {
-                const user = {
-                    id: Date.now(),
-                    email: formData.email,
-                    name: formData.name
-                }
-                
-                setTimeout(() => {
-                    dispatch(loginSuccess(user))
-                    navigate('/')
-                }, 1000)
-            } else {
-                dispatch(loginFailure('Please fill in all fields'))
-            }
-        } catch (error) {
-            dispatch(loginFailure('Registration failed. Please try again.'))
+        // Create the account through the configured auth provider
+        const result = await dispatch(registerUser({
+            name: formData.name,
+            email: formData.email,
+            password: formData.password
+        }))
+        if (registerUser.fulfilled.match(result)) {
+            navigate('/')
         }
     }
 
@@ -0,0 +1,145 @@
+/**
+ * SortableTodoList.jsx - Todo list in manual order
+ *
+ * Used when the list is sorted manually. Todos can be reordered by:
+ * - Dragging them by the grip handle
+ * - Alt+↑ / Alt+↓ anywhere on a todo (or on the focused handle)
+ *
+ * A move usually changes only the moved todo's `order` (the list is
+ * renumbered once orders run too close, see todoSort.js) and is saved
+ * through the reorderTodo sync thunk, so it can be undone.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { GripVertical } from 'lucide-react'
+import Todo from './Todo'
+import { reorderTodo } from '@/features/todo/todoThunks'
+import { getMovedOrder } from '@/features/todo/todoSort'
+
+/**
+ * SortableTodoList Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.todos - Todos to show, already in manual order
+ * @param {string|null} props.activeTodoId - Todo selected with the keyboard
+ * @param {Array<string>} props.highlightTerms - Passed on to each Todo
+ * @param {Function} props.onTagClick - Passed on to each Todo
+ * @param {boolean} [props.isSelecting] - Show the selection checkboxes
+ * @param {Set<string>} [props.selectedIds] - Todos selected for the bulk actions
+ * @param {Function} [props.onSelect] - Called with a todo ID and whether Shift was held
+ * @returns {JSX.Element} The reorderable list
+ */
+const SortableTodoList = ({ todos, activeTodoId, highlightTerms, onTagClick, isSelecting = false, selectedIds, onSelect }) => {
+    const dispatch = useDispatch()
+    const [draggableId, setDraggableId] = useState(null)  // Todo whose handle is held
+    const [draggedId, setDraggedId] = useState(null)      // Todo being dragged
+    const [dropIndex, setDropIndex] = useState(null)      // Gap the todo would be dropped in (0 = above the first)
+
+    /**
+     * Move a todo to a position in the list
+     *
+     * @param {string} todoId - Todo ID
+     * @param {number} toIndex - Position counted without the todo itself
+     */
+    const move = (todoId, toIndex) => {
+        if (toIndex < 0 || toIndex >= todos.length) return
+        const order = getMovedOrder(todos, todoId, toIndex)
+        if (order !== null) dispatch(reorderTodo({ todoId, order }))
+    }
+
+    /**
+     * Keyboard support on a todo: Alt+↑ / Alt+↓ moves it
+     *
+     * @param {KeyboardEvent} e - Keyboard event
+     * @param {string} todoId - Todo ID
+     * @param {number} index - Current position of the todo
+     */
+    const handleItemKeyDown = (e, todoId, index) => {
+        // Already handled by a subtask inside the todo
+        if (!e.altKey || e.defaultPrevented) return
+        if (e.key === 'ArrowUp') {
+            e.preventDefault()
+            move(todoId, index - 1)
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault()
+            move(todoId, index + 1)
+        }
+    }
+
+    const handleDragOver = (e, index) => {
+        if (!draggedId) return
+        e.preventDefault()
+        const { top, height } = e.currentTarget.getBoundingClientRect()
+        setDropIndex(e.clientY < top + height / 2 ? index : index + 1)
+    }
+
+    const endDrag = () => {
+        setDraggableId(null)
+        setDraggedId(null)
+        setDropIndex(null)
+    }
+
+    const handleDrop = (e) => {
+        e.preventDefault()
+        const fromIndex = todos.findIndex(todo => todo.id === draggedId)
+        if (fromIndex !== -1 && dropIndex !== null) {
+            // Gaps below the dragged todo shift up by one once it is taken out
+            move(draggedId, dropIndex > fromIndex ? dropIndex - 1 : dropIndex)
+        }
+        endDrag()
+    }
+
+    return (
+        <div className="max-h-[450px] overflow-y-auto pr-2 space-y-2" onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDropIndex(null)
+        }}>
+            {todos.map((todo, index) => (
+                <div
+                    key={todo.id}
+                    draggable={draggableId === todo.id}
+                    onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move'
+                        e.dataTransfer.setData('text/plain', todo.title)
+                        setDraggedId(todo.id)
+                    }}
+                    onDragEnd={endDrag}
+                    onDragOver={(e) => handleDragOver(e, index)}
+                    onDrop={handleDrop}
+                    onKeyDown={(e) => handleItemKeyDown(e, todo.id, index)}
+                    className={`flex items-stretch gap-1 border-y-2 border-transparent
+                        ${dropIndex === index ? 'border-t-blue-500' : ''}
+                        ${dropIndex === index + 1 && index === todos.length - 1 ? 'border-b-blue-500' : ''}
+                        ${draggedId === todo.id ? 'opacity-50' : ''}`}
+                >
+                    <button
+                        type="button"
+                        onPointerDown={() => setDraggableId(todo.id)}
+                        onPointerUp={() => setDraggableId(null)}
+                        className='flex-shrink-0 px-0.5 rounded text-gray-400 cursor-grab hover:text-gray-700 dark:hover:text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500'
+                        aria-label={`Move ${todo.title} (Alt+↑ / Alt+↓)`}
+                        title='Drag to reorder, or press Alt+↑ / Alt+↓'
+                    >
+                        <GripVertical size={16} />
+                    </button>
+                    <div className='flex-1 min-w-0'>
+                        <Todo
+                            todo={todo}
+                            isActive={todo.id === activeTodoId}
+                            highlightTerms={highlightTerms}
+                            onTagClick={onTagClick}
+                            isSelectable={isSelecting}
+                            isSelected={isSelecting && selectedIds.has(todo.id)}
+                            onSelect={(shiftKey) => onSelect(todo.id, shiftKey)}
+                        />
+                    </div>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+export default SortableTodoList
@@ -0,0 +1,197 @@
+/**
+ * SubtaskList.jsx - Checklist of subtasks inside a todo
+ *
+ * Renders a todo's ordered subtasks and lets the user:
+ * - Check and uncheck items
+ * - Rename items inline (click the title, Enter to save, Escape to cancel)
+ * - Reorder items with the arrow buttons (or Alt+↑ / Alt+↓ on an item)
+ * - Delete items and add new ones
+ * - Choose whether the todo completes itself when every item is done
+ *
+ * Every change is dispatched through the subtask sync thunks.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { ChevronDown, ChevronUp, Plus, X } from 'lucide-react'
+import {
+  createSubtask,
+  deleteSubtask,
+  reorderSubtask,
+  saveCompleteWithSubtasks,
+  saveSubtask,
+  toggleSubtaskComplete,
+} from '@/features/todo/todoThunks'
+
+/**
+ * SubtaskList Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.todo - Parent todo (with subtasks and completeWithSubtasks)
+ * @returns {JSX.Element} The subtask checklist
+ */
+const SubtaskList = ({ todo }) => {
+  const dispatch = useDispatch()
+  const [newTitle, setNewTitle] = useState('')          // Title of the item being added
+  const [editingId, setEditingId] = useState(null)      // Subtask currently renamed inline
+  const [editingTitle, setEditingTitle] = useState('')
+
+  const subtasks = todo.subtasks || []
+
+  const handleAdd = () => {
+    const title = newTitle.trim()
+    if (!title) return
+    dispatch(createSubtask({ todoId: todo.id, title }))
+    setNewTitle('')
+  }
+
+  const startEditing = (subtask) => {
+    setEditingId(subtask.id)
+    setEditingTitle(subtask.title)
+  }
+
+  const finishEditing = () => {
+    const title = editingTitle.trim()
+    const subtask = subtasks.find(item => item.id === editingId)
+    if (subtask && title && title !== subtask.title) {
+      dispatch(saveSubtask({ todoId: todo.id, subtaskId: editingId, title }))
+    }
+    setEditingId(null)
+  }
+
+  const move = (subtaskId, toIndex) => {
+    if (toIndex < 0 || toIndex >= subtasks.length) return
+    dispatch(reorderSubtask({ todoId: todo.id, subtaskId, toIndex }))
+  }
+
+  /**
+   * Keyboard support on an item: Alt+↑ / Alt+↓ moves it
+   *
+   * @param {KeyboardEvent} e - Keyboard event
+   * @param {string} subtaskId - Subtask ID
+   * @param {number} index - Current position of the item
+   */
+  const handleItemKeyDown = (e, subtaskId, index) => {
+    if (!e.altKey) return
+    if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      move(subtaskId, index - 1)
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      move(subtaskId, index + 1)
+    }
+  }
+
+  return (
+    <div className="px-4 py-2 w-full text-sm">
+      <ul className="space-y-1">
+        {subtasks.map((subtask, index) => (
+          <li
+            key={subtask.id}
+            className="flex items-center gap-2"
+            onKeyDown={(e) => handleItemKeyDown(e, subtask.id, index)}
+          >
+            <input
+              type="checkbox"
+              className="cursor-pointer"
+              checked={subtask.isCompleted}
+              onChange={() => dispatch(toggleSubtaskComplete({ todoId: todo.id, subtaskId: subtask.id }))}
+              aria-label={`Complete ${subtask.title}`}
+            />
+            {editingId === subtask.id ? (
+              <input
+                type="text"
+                value={editingTitle}
+                onChange={(e) => setEditingTitle(e.target.value)}
+                onBlur={finishEditing}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault()
+                    finishEditing()
+                  } else if (e.key === 'Escape') {
+                    setEditingId(null)
+                  }
+                }}
+                maxLength={100}
+                className="flex-1 bg-transparent border-b border-black/20 dark:border-white/50 focus:outline-none"
+                autoFocus
+              />
+            ) : (
+              <button
+                type="button"
+                onClick={() => startEditing(subtask)}
+                className={`flex-1 text-left ${subtask.isCompleted ? 'line-through opacity-70' : ''}`}
+                title="Click to rename"
+              >
+                {subtask.title}
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => move(subtask.id, index - 1)}
+              disabled={index === 0}
+              className="disabled:opacity-30"
+              aria-label="Move up"
+            >
+              <ChevronUp size={14} />
+            </button>
+            <button
+              type="button"
+              onClick={() => move(subtask.id, index + 1)}
+              disabled={index === subtasks.length - 1}
+              className="disabled:opacity-30"
+              aria-label="Move down"
+            >
+              <ChevronDown size={14} />
+            </button>
+            <button
+              type="button"
+              onClick={() => dispatch(deleteSubtask({ todoId: todo.id, subtaskId: subtask.id }))}
+              className="hover:text-red-600"
+              aria-label={`Delete ${subtask.title}`}
+            >
+              <X size={14} />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* Add subtask row */}
+      <div className="flex items-center gap-2 mt-2">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault()
+              handleAdd()
+            }
+          }}
+          placeholder="Add a subtask..."
+          maxLength={100}
+          className="flex-1 bg-transparent border-b border-black/10 dark:border-white/30 focus:outline-none"
+        />
+        <button type="button" onClick={handleAdd} aria-label="Add subtask">
+          <Plus size={16} />
+        </button>
+      </div>
+
+      {/* Parent completion option */}
+      <label className="flex items-center gap-2 mt-2 text-xs">
+        <input
+          type="checkbox"
+          className="cursor-pointer"
+          checked={Boolean(todo.completeWithSubtasks)}
+          onChange={(e) => dispatch(saveCompleteWithSubtasks({ todoId: todo.id, enabled: e.target.checked }))}
+        />
+        Complete this task when all subtasks are done
+      </label>
+    </div>
+  )
+}
+
+export default SubtaskList
@@ -0,0 +1,87 @@
+/**
+ * TagFilterBar.jsx - Filter the todo list by tags
+ *
+ * Shows every known tag as a toggle; selected tags narrow the list to
+ * todos that have any (OR) or all (AND) of them. Tags can also be added
+ * to the filter by clicking a tag badge on a todo.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { Badge } from './ui/badge'
+import { Tag } from 'lucide-react'
+import { getTagColor } from '@/lib/tagColors'
+
+/**
+ * TagFilterBar Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.availableTags - Tags that can be picked
+ * @param {Array<string>} props.selectedTags - Tags currently filtered by
+ * @param {'any'|'all'} props.match - Match any or all of the selected tags
+ * @param {Function} props.onSelectedTagsChange - Called with the new list of selected tags
+ * @param {Function} props.onMatchChange - Called with 'any' or 'all'
+ * @returns {JSX.Element|null} The filter bar, or null when there are no tags
+ */
+const TagFilterBar = ({ availableTags, selectedTags, match, onSelectedTagsChange, onMatchChange }) => {
+    // Keep selected tags visible even if they are no longer in availableTags
+    const tags = [...new Set([...availableTags, ...selectedTags])]
+    if (tags.length === 0) return null
+
+    const toggleTag = (tag) => {
+        onSelectedTagsChange(selectedTags.includes(tag)
+            ? selectedTags.filter(item => item !== tag)
+            : [...selectedTags, tag])
+    }
+
+    return (
+        <div className='flex flex-wrap items-center gap-2 mb-3 text-sm font-normal text-gray-600 dark:text-gray-400'>
+            <Tag size={14} aria-hidden='true' />
+            {tags.map(tag => {
+                const isSelected = selectedTags.includes(tag)
+                return (
+                    <button
+                        key={tag}
+                        type="button"
+                        onClick={() => toggleTag(tag)}
+                        aria-pressed={isSelected}
+                    >
+                        <Badge
+                            variant="outline"
+                            className={`text-xs ${getTagColor(tag)} ${isSelected ? 'ring-2 ring-blue-500' : 'opacity-60 hover:opacity-100'}`}
+                        >
+                            #{tag}
+                        </Badge>
+                    </button>
+                )
+            })}
+            {selectedTags.length > 1 && (
+                <div className='flex rounded-md border overflow-hidden' role='group' aria-label='Tag matching'>
+                    {['any', 'all'].map(option => (
+                        <button
+                            key={option}
+                            type="button"
+                            onClick={() => onMatchChange(option)}
+                            aria-pressed={match === option}
+                            className={`px-2 py-0.5 text-xs ${match === option ? 'bg-blue-500 text-white' : ''}`}
+                        >
+                            Match {option}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {selectedTags.length > 0 && (
+                <button
+                    type="button"
+                    onClick={() => onSelectedTagsChange([])}
+                    className='text-xs font-semibold hover:underline'
+                >
+                    Clear
+                </button>
+            )}
+        </div>
+    )
+}
+
+export default TagFilterBar
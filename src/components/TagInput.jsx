@@ -15,6 +15,7 @@
  * - Dropdown suggestions with previously used tags
  * - Consistent color assignment based on tag string
  * - Edit/view mode support for different contexts
+ * - Clickable tags in view mode (e.g. to filter by a tag)
  * 
  * @author Sarthak Gupta
  * @version 1.0.0
@@ -23,38 +24,7 @@
 import React, { useState, useRef } from 'react'
 import { Badge } from './ui/badge'
 import { X } from 'lucide-react'
-
-/**
- * Generate consistent colors for tags
- * 
- * Uses a hash function to assign consistent colors to tags based on their string value.
- * This ensures the same tag always gets the same color across the application.
- * 
- * @param {string} tag - The tag string to generate color for
- * @returns {string} Tailwind CSS classes for consistent tag coloring
- */
-const getTagColor = (tag) => {
-  // Available color schemes for tags
-  const colors = [
-    'bg-blue-100 text-blue-800 border-blue-200',
-    'bg-green-100 text-green-800 border-green-200',
-    'bg-yellow-100 text-yellow-800 border-yellow-200',
-    'bg-purple-100 text-purple-800 border-purple-200',
-    'bg-pink-100 text-pink-800 border-pink-200',
-    'bg-indigo-100 text-indigo-800 border-indigo-200',
-    'bg-red-100 text-red-800 border-red-200',
-    'bg-orange-100 text-orange-800 border-orange-200',
-  ]
-  
-  // Generate consistent hash from tag string
-  let hash = 0
-  for (let i = 0; i < tag.length; i++) {
-    hash = tag.charCodeAt(i) + ((hash << 5) - hash)
-  }
-  
-  // Return color based on hash modulo
-  return colors[Math.abs(hash) % colors.length]
-}
+import { getTagColor } from '@/lib/tagColors'
 
 /**
  * TagInput Component
@@ -68,9 +38,10 @@ const getTagColor = (tag) => {
  * @param {Array} props.availableTags - Array of available tags for autocomplete
  * @param {boolean} props.isEditable - Whether tags can be edited or just viewed
  * @param {string} props.placeholder - Placeholder text for input field
+ * @param {Function} [props.onTagClick] - Called with a tag when it is clicked in view mode
  * @returns {JSX.Element} The TagInput component
  */
-const TagInput = ({ tags, onTagsChange, availableTags = [], isEditable = true, placeholder = "Add tags..." }) => {
+const TagInput = ({ tags, onTagsChange, availableTags = [], isEditable = true, placeholder = "Add tags...", onTagClick }) => {
   // Local state for input management
   const [inputValue, setInputValue] = useState('')           // Current input text
   const [showSuggestions, setShowSuggestions] = useState(false) // Toggle suggestions dropdown
@@ -183,7 +154,18 @@ const TagInput = ({ tags, onTagsChange, availableTags = [], isEditable = true, p
             variant="outline"
             className={`text-xs ${getTagColor(tag)}`}
           >
-            #{tag}
+            {!isEditable && onTagClick ? (
+              <button
+                type="button"
+                onClick={() => onTagClick(tag)}
+                className="hover:underline"
+                title={`Show tasks tagged #${tag}`}
+              >
+                #{tag}
+              </button>
+            ) : (
+              <>#{tag}</>
+            )}
             {/* Remove button (only in edit mode) */}
             {isEditable && (
               <button
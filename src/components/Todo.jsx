@@ -1,9 +1,22 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { DatePickerWithPresets } from './DatePickerWithPresets'
 import { Button } from './ui/button'
 import TagInput from './TagInput'
+import SubtaskList from './SubtaskList'
+import RecurrencePicker from './RecurrencePicker'
+import ReminderPicker from './ReminderPicker'
+import HighlightedText from './HighlightedText'
+import { AlertCircle, Bell, ListChecks, Repeat } from 'lucide-react'
+import { differenceInCalendarDays, format } from 'date-fns'
 import { useDispatch, useSelector } from 'react-redux'
-import { updateTodo, removeTodo, toggleComplete } from '@/features/todo/todoSlice'
+import { saveTodo, deleteTodo, toggleTodo } from '@/features/todo/todoThunks'
+import { describeRecurrence, getRRuleError } from '@/features/todo/recurrence'
+import { describeReminder } from '@/features/reminders/reminders'
+import { isOverdue } from '@/features/todo/smartLists'
+import { INBOX_ID, getTodoProjectId, toTodoProjectId } from '@/features/todo/projects'
+import { selectProjects } from '@/features/todo/todoSelectors'
+import { getProjectIcon, getProjectTextColor } from '@/lib/projectStyles'
+import { isShortcutBlocked } from '@/lib/keyboard'
 import {
   Select,
   SelectContent,
@@ -26,55 +39,128 @@ const getPriorityFlag = (priority) => {
   }
 }
 
-const Todo = ({todo}) => {
+// isActive: selected with j / k in the list; the other list shortcuts are handled by TodoForm
+// isSelectable / isSelected / onSelect: checkbox for the bulk actions, onSelect gets whether Shift was held
+const Todo = ({todo, isActive = false, highlightTerms = [], onTagClick, isSelectable = false, isSelected = false, onSelect}) => {
 
   // const {updateTodo, toggleComplete, removeTodo} = useTodoContext()
   const dispatch = useDispatch()
   const availableTags = useSelector(state => state.todo.availableTags)
+  const projects = useSelector(selectProjects)
   const [isTodoEditable, setIsTodoEditable] = useState(false)
   const [todoTitle, setTodoTitle] = useState(todo.title)
   const [todoDescription, setTodoDescription] = useState(todo.description)
   const [todoTargetDate, setTodoTargetDate] = useState(todo.targetDate ? new Date(todo.targetDate) : null)
   const [todoPriority, setTodoPriority] = useState(todo.priority || null)
   const [todoTags, setTodoTags] = useState(todo.tags || [])
+  const [todoRecurrence, setTodoRecurrence] = useState(todo.recurrence || null)
+  const [todoReminders, setTodoReminders] = useState(todo.reminders || [])
+  const [todoProjectId, setTodoProjectId] = useState(getTodoProjectId(todo, projects))
+  const [showSubtasks, setShowSubtasks] = useState(false)
+  const cardRef = useRef(null)
+  const titleInputRef = useRef(null)
+
+  // Search matches are shown as highlighted text instead of the read-only inputs
+  const showHighlights = !isTodoEditable && highlightTerms.length > 0
+
+  const subtasks = todo.subtasks || []
+  const completedSubtasks = subtasks.filter(subtask => subtask.isCompleted).length
 
   const editTodo = () => {
     if(!todoTitle) return;
-    dispatch(updateTodo({
-      type: 'todos/updateTodo',
-      payload: {
-        id: todo.id,
-        title: todoTitle,
-        description: todoDescription,
-        targetDate: todoTargetDate ? todoTargetDate.toISOString() : null,
-        priority: todoPriority,
-        tags: todoTags
-      }
+    if (todoRecurrence?.type === 'rrule' && getRRuleError(todoRecurrence.rrule)) return
+    dispatch(saveTodo({
+      id: todo.id,
+      title: todoTitle,
+      description: todoDescription,
+      targetDate: todoTargetDate ? todoTargetDate.toISOString() : null,
+      priority: todoPriority,
+      tags: todoTags,
+      recurrence: todoRecurrence,
+      reminders: todoTargetDate ? todoReminders : [],
+      projectId: toTodoProjectId(todoProjectId)
     }))
     setIsTodoEditable(false);
   }
 
+  // Pick up changes made outside this card (e.g. a rolled back server sync)
+  useEffect(() => {
+    if (isTodoEditable) return
+    setTodoTitle(todo.title)
+    setTodoDescription(todo.description)
+    setTodoTargetDate(todo.targetDate ? new Date(todo.targetDate) : null)
+    setTodoPriority(todo.priority || null)
+    setTodoTags(todo.tags || [])
+    setTodoRecurrence(todo.recurrence || null)
+    setTodoReminders(todo.reminders || [])
+    setTodoProjectId(getTodoProjectId(todo, projects))
+  }, [todo, projects, isTodoEditable])
+
   useEffect(() => {
     if(todo.isCompleted){
       setIsTodoEditable(false)
     }
   }, [todo.isCompleted])
 
+  // Keep the selected card in view
+  useEffect(() => {
+    if (isActive) cardRef.current?.scrollIntoView({ block: 'nearest' })
+  }, [isActive])
+
+  // e edits the selected todo
+  useEffect(() => {
+    if (!isActive || isTodoEditable || todo.isCompleted) return
+    const handleKeyDown = (e) => {
+      if (e.key !== 'e' || isShortcutBlocked(e)) return
+      e.preventDefault()
+      setIsTodoEditable(true)
+      // The title becomes editable on the next render
+      setTimeout(() => titleInputRef.current?.focus(), 0)
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [isActive, isTodoEditable, todo.isCompleted])
+
+  // Archived projects can't take new todos, except the one this todo is already in
+  const projectOptions = projects.filter(project => !project.archived || project.id === todoProjectId)
+  const project = projects.find(item => item.id === todoProjectId)
+  const ProjectIcon = getProjectIcon(project || null)
+
+  const overdueDays = isOverdue(todo) ? -differenceInCalendarDays(new Date(todo.targetDate), new Date()) : 0
+
   return (
-    <div className={`border font-light   shadow-sm rounded-md pb-1 mb-1 px-3 pt-2 dark:bg-transparent
+    <div ref={cardRef} aria-current={isActive || undefined} className={`border font-light   shadow-sm rounded-md pb-1 mb-1 px-3 pt-2 dark:bg-transparent
+      ${isActive ? "ring-2 ring-blue-500 dark:ring-cyan-400" : ""}
       ${todo.isCompleted ? "bg-[#c6e9a7] dark:border-[#c6e9a7]" : `${isTodoEditable ? "bg-white text-black" : "bg-[#afcce5]"} dark:border-[#afcce5] dark:text-[#afcce5]`}
+      ${overdueDays > 0 && !isTodoEditable ? "border-l-4 border-l-red-600 dark:border-l-red-500" : ""}
     `}>
       <form onSubmit={(e) => e.preventDefault()}>
       <div
         className='w-full flex justify-between m-0'
       >
         <div className='flex items-center w-4/5'>
+          {isSelectable && (
+            <input
+              type="checkbox"
+              className='mr-2 flex-shrink-0 cursor-pointer accent-blue-600'
+              checked={isSelected}
+              onClick={(e) => onSelect(e.shiftKey)}
+              readOnly
+              aria-label={`Select ${todo.title}`}
+            />
+          )}
           {getPriorityFlag(todoPriority) && (
             <span className='text-lg mr-2 flex-shrink-0'>
               {getPriorityFlag(todoPriority)}
             </span>
           )}
+          {showHighlights ? (
+            <span className={`flex-1 px-4 text-sm lg:text-base font-normal border-b border-transparent truncate ${todo.isCompleted ? "line-through" : ""}`}>
+              <HighlightedText text={todoTitle} terms={highlightTerms} />
+            </span>
+          ) : (
           <input 
+            ref={titleInputRef}
             className={`flex-1 px-4 text-sm lg:text-base font-normal bg-transparent focus:outline-none transition ease-in-out border-b
               ${ isTodoEditable ? "border-black/20 px-2 dark:border-white/50 dark:text-white" : "border-transparent cursor-default"} ${todo.isCompleted ? "line-through" : ""}`} 
             type='text'
@@ -86,6 +172,7 @@ const Todo = ({todo}) => {
             name='title'
             required
           />
+          )}
         </div>
         <div
           className='w-1/5 flex justify-end items-center px-2 dark:text-white text-sm'
@@ -95,7 +182,7 @@ const Todo = ({todo}) => {
             id='todoComplete' 
             type="checkbox" 
             className='mx-2 cursor-pointer' 
-            onChange={() => dispatch(toggleComplete(todo.id))} 
+            onChange={() => dispatch(toggleTodo(todo.id))} 
             checked={todo.isCompleted} 
           /> 
         </div>
@@ -110,12 +197,17 @@ const Todo = ({todo}) => {
             availableTags={availableTags}
             isEditable={isTodoEditable}
             placeholder="Add tags..."
+            onTagClick={onTagClick}
           />
         </div>
       )}
       
       <div className='m-0 w-4/5'>
-        {isTodoEditable || todoDescription ? (
+        {showHighlights && todoDescription ? (
+          <p className='w-full px-4 text-xs lg:text-sm font-light'>
+            <HighlightedText text={todoDescription} terms={highlightTerms} />
+          </p>
+        ) : isTodoEditable || todoDescription ? (
         <input 
           className={`w-full px-4 text-xs text-wrap lg:text-sm font-light rounded-sm focus:outline-none bg-transparent transition ease-in-out
             ${ isTodoEditable ? " border-black/10 dark:border-white/50 dark:text-white" : "border-transparent cursor-default text-"}
@@ -130,6 +222,39 @@ const Todo = ({todo}) => {
         />
         ) : null}
       </div>
+      {/* Reminders */}
+      {isTodoEditable ? (
+        <ReminderPicker
+          value={todoReminders}
+          onChange={setTodoReminders}
+          hasTargetDate={Boolean(todoTargetDate)}
+          className='px-4 pt-1'
+        />
+      ) : !todo.isCompleted && todo.targetDate && todoReminders.length > 0 ? (
+        <div className='flex items-center gap-1 px-4 pt-1 text-xs'>
+          <Bell size={14} />
+          {todoReminders.map(describeReminder).join(', ')}
+          {todo.snoozedUntil && new Date(todo.snoozedUntil) > new Date() && (
+            <span className='ml-1'>· Snoozed until {format(new Date(todo.snoozedUntil), 'HH:mm')}</span>
+          )}
+        </div>
+      ) : null}
+      {/* Subtask progress and checklist */}
+      <div className='px-4 pt-1'>
+        <button
+          type="button"
+          onClick={() => setShowSubtasks(prev => !prev)}
+          className='flex items-center gap-1 text-xs hover:underline'
+          aria-expanded={showSubtasks}
+        >
+          <ListChecks size={14} />
+          {subtasks.length > 0
+            ? `${completedSubtasks}/${subtasks.length} subtasks`
+            : showSubtasks ? 'Hide subtasks' : 'Add subtasks'}
+        </button>
+      </div>
+      {showSubtasks && <SubtaskList todo={todo} />}
+      
       <div className='flex flex-wrap justify-between gap-2'>
         <div className="w-full sm:w-auto">
           {isTodoEditable || todoTargetDate ? (
@@ -141,6 +266,12 @@ const Todo = ({todo}) => {
               classNames={` outline-none border-none ${isTodoEditable ? "dark:text-white" : "bg-transparent hover:bg-transparent dark:hover:text-inherit"}`}
             />
           ): null}
+          {overdueDays > 0 && !isTodoEditable && (
+            <span className='flex items-center gap-1 px-4 text-xs font-semibold text-red-700 dark:text-red-400'>
+              <AlertCircle size={14} />
+              Overdue by {overdueDays} {overdueDays === 1 ? 'day' : 'days'}
+            </span>
+          )}
         </div>
         
         <div className="w-full sm:w-auto">
@@ -162,6 +293,38 @@ const Todo = ({todo}) => {
             </Select>
           ): null}
         </div>
+
+        <div className="w-full sm:w-auto">
+          {isTodoEditable ? (
+            <Select value={todoProjectId} onValueChange={setTodoProjectId}>
+              <SelectTrigger className="w-full sm:w-40" aria-label="Project">
+                <SelectValue placeholder="Project" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={INBOX_ID}>Inbox</SelectItem>
+                {projectOptions.map(option => (
+                  <SelectItem key={option.id} value={option.id}>{option.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          ) : project ? (
+            <span className='flex items-center gap-1 h-full text-xs' title='Project'>
+              <ProjectIcon size={14} className={getProjectTextColor(project.color)} />
+              {project.name}
+            </span>
+          ) : null}
+        </div>
+
+        <div className="w-full sm:w-auto">
+          {isTodoEditable ? (
+            <RecurrencePicker value={todoRecurrence} onChange={setTodoRecurrence} />
+          ) : todoRecurrence ? (
+            <span className='flex items-center gap-1 h-full text-xs' title='Repeats'>
+              <Repeat size={14} />
+              {describeRecurrence(todoRecurrence)}
+            </span>
+          ) : null}
+        </div>
         
         <div className='w-full flex sm:justify-end flex-1 pt-3 sm:pt-1'>
         {!todo.isCompleted ? (
@@ -181,7 +344,7 @@ const Todo = ({todo}) => {
           ) : null}
           <Button
             className='min-w-28 sm:min-w-20 h-10 sm:h-8 mx-3 dark:outline-red-500 outline text-white font-bold rounded-lg bg-red-500 dark:bg-transparent dark:text-red-500 dark:hover:bg-red-500 dark:hover:text-white'
-            onClick={() => dispatch(removeTodo(todo.id))}
+            onClick={() => dispatch(deleteTodo(todo.id))}
           >
             Remove
           </Button>
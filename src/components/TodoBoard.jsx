@@ -0,0 +1,218 @@
+/**
+ * TodoBoard.jsx - Board view of the todos
+ *
+ * Shows the live todos of the current project as cards in the user's status columns (see
+ * todoBoard.js). Cards move between columns by:
+ * - Dragging them onto another column
+ * - Alt+← / Alt+→ on a focused card
+ *
+ * Moving a card into the last column completes the todo, and moving it
+ * out reopens it. Each column except the last has a quick-add field, and
+ * the columns themselves can be edited (see BoardColumnsEditor).
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useMemo, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { format } from 'date-fns'
+import { ListChecks, Plus, Repeat, Settings2 } from 'lucide-react'
+import { Badge } from './ui/badge'
+import BoardColumnsEditor from './BoardColumnsEditor'
+import { createTodo, moveTodoToColumn } from '@/features/todo/todoThunks'
+import { selectProjectTodos } from '@/features/todo/todoSelectors'
+import { toTodoProjectId } from '@/features/todo/projects'
+import { getBoardColumns, getTodoColumnId, groupTodosByColumn } from '@/features/todo/todoBoard'
+import { sortTodos } from '@/features/todo/todoSort'
+import { getTagColor } from '@/lib/tagColors'
+
+const PRIORITY_FLAGS = { high: '🔴', medium: '🟡', low: '🔵' }
+
+/**
+ * TodoBoard Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.projectId] - Project to show (see projects.js); all tasks when omitted
+ * @returns {JSX.Element} The board
+ */
+const TodoBoard = ({ projectId }) => {
+    const dispatch = useDispatch()
+    const todos = useSelector(state => selectProjectTodos(state, projectId))
+    const settings = useSelector(state => state.todo.settings)
+    const isHydrated = useSelector(state => state.todo.isHydrated)
+    const [draggedId, setDraggedId] = useState(null)        // Card being dragged
+    const [dropColumnId, setDropColumnId] = useState(null)  // Column the card is over
+    const [newTitles, setNewTitles] = useState({})          // Quick-add text per column
+    const [isEditingColumns, setIsEditingColumns] = useState(false)
+
+    const columns = getBoardColumns(settings)
+    const groups = useMemo(
+        () => groupTodosByColumn(sortTodos(todos, settings.sortMode), columns),
+        [todos, settings.sortMode, columns]
+    )
+
+    const moveCard = (todoId, columnId) => {
+        const todo = todos.find(item => item.id === todoId)
+        if (!todo || getTodoColumnId(todo, columns) === columnId) return
+        dispatch(moveTodoToColumn({ todoId, status: columnId }))
+    }
+
+    /**
+     * Keyboard support on a card: Alt+← / Alt+→ moves it one column
+     *
+     * @param {KeyboardEvent} e - Keyboard event
+     * @param {string} todoId - Todo ID
+     * @param {number} columnIndex - Column the card is in
+     */
+    const handleCardKeyDown = (e, todoId, columnIndex) => {
+        if (!e.altKey) return
+        const step = e.key === 'ArrowLeft' ? -1 : e.key === 'ArrowRight' ? 1 : 0
+        const column = columns[columnIndex + step]
+        if (!step || !column) return
+        e.preventDefault()
+        moveCard(todoId, column.id)
+    }
+
+    const handleDrop = (e, columnId) => {
+        e.preventDefault()
+        if (draggedId) moveCard(draggedId, columnId)
+        setDraggedId(null)
+        setDropColumnId(null)
+    }
+
+    const handleQuickAdd = (e, columnId) => {
+        e.preventDefault()
+        const title = (newTitles[columnId] || '').trim()
+        if (!title) return
+        dispatch(createTodo({ title, description: '', targetDate: null, status: columnId, projectId: toTodoProjectId(projectId) }))
+        setNewTitles({ ...newTitles, [columnId]: '' })
+    }
+
+    return (
+        <div className='w-full flex justify-center'>
+            <div className='w-11/12 max-w-6xl shadow-md rounded-lg p-4 mt-12 backdrop-blur-sm bg-white/30 dark:bg-black/30'>
+                <div className='flex justify-between items-center mb-4'>
+                    <h3 className='text-lg font-semibold text-gray-800 dark:text-white'>
+                        Board ({todos.length})
+                    </h3>
+                    <button
+                        type="button"
+                        onClick={() => setIsEditingColumns(!isEditingColumns)}
+                        aria-pressed={isEditingColumns}
+                        className={`flex items-center gap-1 h-9 px-3 rounded-md border text-sm font-normal
+                            ${isEditingColumns ? 'bg-blue-500 text-white border-blue-500' : 'bg-white/70 text-gray-700 dark:bg-transparent dark:text-gray-300'}`}
+                    >
+                        <Settings2 size={14} />
+                        {isEditingColumns ? 'Done editing' : 'Edit columns'}
+                    </button>
+                </div>
+
+                {isEditingColumns && <BoardColumnsEditor columns={columns} todos={todos} />}
+
+                {!isHydrated ? (
+                    <div className='text-center py-8 text-gray-500 dark:text-gray-400'>Loading your tasks...</div>
+                ) : (
+                    <div className='flex gap-3 overflow-x-auto pb-2'>
+                        {columns.map((column, columnIndex) => {
+                            const isDoneColumn = columnIndex === columns.length - 1
+                            return (
+                                <section
+                                    key={column.id}
+                                    onDragOver={(e) => {
+                                        if (!draggedId) return
+                                        e.preventDefault()
+                                        setDropColumnId(column.id)
+                                    }}
+                                    onDragLeave={(e) => {
+                                        if (!e.currentTarget.contains(e.relatedTarget)) setDropColumnId(null)
+                                    }}
+                                    onDrop={(e) => handleDrop(e, column.id)}
+                                    aria-label={column.name}
+                                    className={`flex flex-col flex-shrink-0 w-64 rounded-md p-2 bg-gray-100/90 dark:bg-gray-900/80 border-2
+                                        ${dropColumnId === column.id ? 'border-blue-500' : 'border-transparent'}`}
+                                >
+                                    <h4 className='flex justify-between px-1 mb-2 text-sm font-semibold text-gray-700 dark:text-gray-200'>
+                                        <span className='truncate'>{column.name}</span>
+                                        <span className='font-normal text-gray-500'>{groups[column.id].length}</span>
+                                    </h4>
+
+                                    <div className='flex-1 min-h-16 max-h-[450px] overflow-y-auto space-y-2'>
+                                        {groups[column.id].map(todo => {
+                                            const subtasks = todo.subtasks || []
+                                            const tags = todo.tags || []
+                                            const doneSubtasks = subtasks.filter(subtask => subtask.isCompleted).length
+                                            return (
+                                                <article
+                                                    key={todo.id}
+                                                    draggable
+                                                    tabIndex={0}
+                                                    onDragStart={(e) => {
+                                                        e.dataTransfer.effectAllowed = 'move'
+                                                        e.dataTransfer.setData('text/plain', todo.title)
+                                                        setDraggedId(todo.id)
+                                                    }}
+                                                    onDragEnd={() => {
+                                                        setDraggedId(null)
+                                                        setDropColumnId(null)
+                                                    }}
+                                                    onKeyDown={(e) => handleCardKeyDown(e, todo.id, columnIndex)}
+                                                    title='Drag to another column, or press Alt+← / Alt+→'
+                                                    className={`rounded-md border px-3 py-2 bg-white dark:bg-black dark:border-gray-600 text-sm font-normal
+                                                        cursor-grab focus:outline-none focus:ring-2 focus:ring-blue-500
+                                                        ${draggedId === todo.id ? 'opacity-50' : ''}`}
+                                                >
+                                                    <p className={`dark:text-white break-words ${todo.isCompleted ? 'line-through opacity-70' : ''}`}>
+                                                        {PRIORITY_FLAGS[todo.priority] && <span className='mr-1'>{PRIORITY_FLAGS[todo.priority]}</span>}
+                                                        {todo.title}
+                                                    </p>
+                                                    {(todo.targetDate || todo.recurrence || subtasks.length > 0) && (
+                                                        <p className='flex items-center gap-2 mt-1 text-xs text-gray-500 dark:text-gray-400'>
+                                                            {todo.targetDate && <span>{format(new Date(todo.targetDate), 'PP')}</span>}
+                                                            {todo.recurrence && <Repeat size={12} aria-label='Repeats' />}
+                                                            {subtasks.length > 0 && (
+                                                                <span className='flex items-center gap-0.5'>
+                                                                    <ListChecks size={12} /> {doneSubtasks}/{subtasks.length}
+                                                                </span>
+                                                            )}
+                                                        </p>
+                                                    )}
+                                                    {tags.length > 0 && (
+                                                        <div className='flex flex-wrap gap-1 mt-1'>
+                                                            {tags.map(tag => (
+                                                                <Badge key={tag} variant="outline" className={`text-xs ${getTagColor(tag)}`}>#{tag}</Badge>
+                                                            ))}
+                                                        </div>
+                                                    )}
+                                                </article>
+                                            )
+                                        })}
+                                    </div>
+
+                                    {!isDoneColumn && (
+                                        <form onSubmit={(e) => handleQuickAdd(e, column.id)} className='flex items-center gap-1 mt-2'>
+                                            <input
+                                                type='text'
+                                                value={newTitles[column.id] || ''}
+                                                onChange={(e) => setNewTitles({ ...newTitles, [column.id]: e.target.value })}
+                                                placeholder='Add a card...'
+                                                aria-label={`Add a card to ${column.name}`}
+                                                maxLength={50}
+                                                className='flex-1 min-w-0 h-8 px-2 rounded-md text-sm font-normal bg-white/80 dark:bg-black/60 dark:text-white focus:outline-none'
+                                            />
+                                            <button type='submit' className='p-1 text-gray-600 dark:text-gray-300 hover:text-blue-600' aria-label='Add card'>
+                                                <Plus size={16} />
+                                            </button>
+                                        </form>
+                                    )}
+                                </section>
+                            )
+                        })}
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default TodoBoard
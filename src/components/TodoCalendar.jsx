@@ -0,0 +1,308 @@
+/**
+ * TodoCalendar.jsx - Calendar view of the todos
+ *
+ * Shows the live todos of the current project on the day of their target date, a month or a
+ * week at a time (the choice is saved per user). Todos without a date are
+ * listed in the "No date" sidebar. The user can:
+ * - Drag a todo to another day to reschedule it (keeping its time), or
+ *   onto the sidebar to remove its date
+ * - Press Alt+← / Alt+→ (a day) or Alt+↑ / Alt+↓ (a week) on a focused todo
+ * - Click an empty part of a day, or its date, to quick-add a todo on it
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useMemo, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { format, isSameMonth, isToday, startOfDay } from 'date-fns'
+import { ChevronLeft, ChevronRight } from 'lucide-react'
+import { updateSettings } from '@/features/todo/todoSlice'
+import { createTodo, rescheduleTodo } from '@/features/todo/todoThunks'
+import { selectProjectTodos } from '@/features/todo/todoSelectors'
+import { toTodoProjectId } from '@/features/todo/projects'
+import { sortTodos } from '@/features/todo/todoSort'
+import { isOverdue } from '@/features/todo/smartLists'
+import {
+    CALENDAR_MODES,
+    getCalendarDays,
+    getCalendarTitle,
+    getDayKey,
+    groupTodosByDay,
+    moveDateToDay,
+    shiftCalendar,
+    shiftTargetDate,
+} from '@/features/todo/todoCalendar'
+
+const PRIORITY_FLAGS = { high: '🔴', medium: '🟡', low: '🔵' }
+
+// Todos shown per day in the month view before "+N more"
+const MONTH_DAY_LIMIT = 3
+
+// Drop target key of the "No date" sidebar
+const NO_DATE = 'none'
+
+/**
+ * TodoCalendar Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.projectId] - Project to show (see projects.js); all tasks when omitted
+ * @returns {JSX.Element} The calendar view
+ */
+const TodoCalendar = ({ projectId }) => {
+    const dispatch = useDispatch()
+    const todos = useSelector(state => selectProjectTodos(state, projectId))
+    const settings = useSelector(state => state.todo.settings)
+    const isHydrated = useSelector(state => state.todo.isHydrated)
+    const [anchor, setAnchor] = useState(() => startOfDay(new Date()))  // Day inside the shown month or week
+    const [draggedId, setDraggedId] = useState(null)                      // Todo being dragged
+    const [dropKey, setDropKey] = useState(null)                          // Day key (or NO_DATE) under the dragged todo
+    const [quickAddDay, setQuickAddDay] = useState(null)                  // Day the quick-add form is open for
+    const [quickAddTitle, setQuickAddTitle] = useState('')
+
+    const mode = settings.calendarMode
+    const days = useMemo(() => getCalendarDays(mode, anchor), [mode, anchor])
+    const todosByDay = useMemo(() => groupTodosByDay(sortTodos(todos, 'dueDate')), [todos])
+    const undatedTodos = useMemo(
+        () => sortTodos(todos.filter(todo => !todo.targetDate), settings.sortMode),
+        [todos, settings.sortMode]
+    )
+
+    const reschedule = (todoId, targetDate) => {
+        const todo = todos.find(item => item.id === todoId)
+        if (!todo || todo.targetDate === targetDate) return
+        dispatch(rescheduleTodo({ todoId, targetDate }))
+    }
+
+    const handleDrop = (e, day) => {
+        e.preventDefault()
+        const todo = todos.find(item => item.id === draggedId)
+        if (todo && (!day || !todo.targetDate || getDayKey(todo.targetDate) !== getDayKey(day))) {
+            reschedule(todo.id, day ? moveDateToDay(todo.targetDate, day) : null)
+        }
+        setDraggedId(null)
+        setDropKey(null)
+    }
+
+    /**
+     * Drop target props for a day (or the sidebar when day is null)
+     */
+    const dropTargetProps = (day) => {
+        const key = day ? getDayKey(day) : NO_DATE
+        return {
+            onDragOver: (e) => {
+                if (!draggedId) return
+                e.preventDefault()
+                setDropKey(key)
+            },
+            onDragLeave: (e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setDropKey(null)
+            },
+            onDrop: (e) => handleDrop(e, day),
+        }
+    }
+
+    /**
+     * Keyboard support on a dated todo: Alt+←/→ moves it a day, Alt+↑/↓ a week
+     *
+     * @param {KeyboardEvent} e - Keyboard event
+     * @param {Object} todo - Todo
+     */
+    const handleTodoKeyDown = (e, todo) => {
+        if (!e.altKey || !todo.targetDate) return
+        const offset = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 }[e.key]
+        if (!offset) return
+        e.preventDefault()
+        reschedule(todo.id, shiftTargetDate(todo.targetDate, offset))
+    }
+
+    const openQuickAdd = (day) => {
+        setQuickAddDay(day)
+        setQuickAddTitle('')
+    }
+
+    const handleQuickAdd = (e) => {
+        e.preventDefault()
+        const title = quickAddTitle.trim()
+        if (!title) return
+        dispatch(createTodo({ title, description: '', targetDate: startOfDay(quickAddDay).toISOString(), projectId: toTodoProjectId(projectId) }))
+        setQuickAddDay(null)
+    }
+
+    const renderTodo = (todo) => {
+        return (
+            <div
+                key={todo.id}
+                draggable
+                tabIndex={0}
+                onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move'
+                    e.dataTransfer.setData('text/plain', todo.title)
+                    setDraggedId(todo.id)
+                }}
+                onDragEnd={() => {
+                    setDraggedId(null)
+                    setDropKey(null)
+                }}
+                onKeyDown={(e) => handleTodoKeyDown(e, todo)}
+                title={todo.targetDate ? `${todo.title} · ${format(new Date(todo.targetDate), 'PPp')}` : todo.title}
+                className={`truncate rounded px-1.5 py-0.5 text-xs font-normal cursor-grab bg-white dark:bg-black border dark:border-gray-600
+                    focus:outline-none focus:ring-2 focus:ring-blue-500
+                    ${todo.isCompleted ? 'line-through opacity-60' : ''}
+                    ${isOverdue(todo) ? 'text-red-600 border-red-300' : 'dark:text-white'}
+                    ${draggedId === todo.id ? 'opacity-50' : ''}`}
+            >
+                {PRIORITY_FLAGS[todo.priority] && <span className='mr-0.5'>{PRIORITY_FLAGS[todo.priority]}</span>}
+                {todo.title}
+            </div>
+        )
+    }
+
+    return (
+        <div className='w-full flex justify-center'>
+            <div className='w-11/12 max-w-6xl shadow-md rounded-lg p-4 mt-12 backdrop-blur-sm bg-white/30 dark:bg-black/30'>
+                {/* Navigation and month / week switch */}
+                <div className='flex flex-wrap justify-between items-center gap-2 mb-4'>
+                    <div className='flex items-center gap-2'>
+                        <button
+                            type="button"
+                            onClick={() => setAnchor(shiftCalendar(mode, anchor, -1))}
+                            className='p-1 rounded-md bg-white/70 dark:bg-black/60 dark:text-white'
+                            aria-label={mode === 'week' ? 'Previous week' : 'Previous month'}
+                        >
+                            <ChevronLeft size={18} />
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setAnchor(startOfDay(new Date()))}
+                            className='px-3 py-1 rounded-md text-sm font-normal bg-white/70 dark:bg-black/60 dark:text-white'
+                        >
+                            Today
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setAnchor(shiftCalendar(mode, anchor, 1))}
+                            className='p-1 rounded-md bg-white/70 dark:bg-black/60 dark:text-white'
+                            aria-label={mode === 'week' ? 'Next week' : 'Next month'}
+                        >
+                            <ChevronRight size={18} />
+                        </button>
+                        <h3 className='ml-2 text-lg font-semibold text-gray-800 dark:text-white'>
+                            {getCalendarTitle(mode, anchor)}
+                        </h3>
+                    </div>
+                    <div className='flex rounded-md border overflow-hidden text-sm font-normal' role='group' aria-label='Calendar range'>
+                        {CALENDAR_MODES.map(option => (
+                            <button
+                                key={option.value}
+                                type="button"
+                                onClick={() => dispatch(updateSettings({ calendarMode: option.value }))}
+                                aria-pressed={mode === option.value}
+                                className={`px-3 py-1 ${mode === option.value ? 'bg-blue-500 text-white' : 'bg-white/70 text-gray-700 dark:bg-black/60 dark:text-gray-300'}`}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Quick add for the clicked day */}
+                {quickAddDay && (
+                    <form onSubmit={handleQuickAdd} className='flex flex-wrap items-center gap-2 mb-3 p-2 rounded-md bg-white/80 dark:bg-black/60 text-sm font-normal dark:text-white'>
+                        <span>New task on {format(quickAddDay, 'EEE, MMM d')}:</span>
+                        <input
+                            type='text'
+                            value={quickAddTitle}
+                            onChange={(e) => setQuickAddTitle(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Escape') setQuickAddDay(null)
+                            }}
+                            placeholder='Add todo...'
+                            maxLength={50}
+                            className='flex-1 min-w-40 h-8 px-2 rounded-md border bg-transparent dark:border-gray-600 focus:outline-none'
+                            autoFocus
+                        />
+                        <button type='submit' className='font-semibold text-blue-600 hover:underline'>Add</button>
+                        <button type='button' onClick={() => setQuickAddDay(null)} className='hover:underline'>Cancel</button>
+                    </form>
+                )}
+
+                {!isHydrated ? (
+                    <div className='text-center py-8 text-gray-500 dark:text-gray-400'>Loading your tasks...</div>
+                ) : (
+                    <div className='flex flex-col lg:flex-row gap-3'>
+                        {/* Calendar grid */}
+                        <div className='flex-1 min-w-0 grid grid-cols-7 gap-px rounded-md overflow-hidden bg-gray-300 dark:bg-gray-700'>
+                            {days.slice(0, 7).map(day => (
+                                <div key={day.toISOString()} className='py-1 text-center text-xs font-semibold bg-gray-100 dark:bg-gray-900 text-gray-600 dark:text-gray-300'>
+                                    {format(day, 'EEE')}
+                                </div>
+                            ))}
+                            {days.map(day => {
+                                const key = getDayKey(day)
+                                const dayTodos = todosByDay[key] || []
+                                const shown = mode === 'month' ? dayTodos.slice(0, MONTH_DAY_LIMIT) : dayTodos
+                                return (
+                                    <div
+                                        key={key}
+                                        {...dropTargetProps(day)}
+                                        onClick={(e) => {
+                                            if (e.target === e.currentTarget) openQuickAdd(day)
+                                        }}
+                                        className={`flex flex-col gap-1 p-1 overflow-hidden cursor-pointer
+                                            ${mode === 'week' ? 'min-h-64' : 'min-h-24'}
+                                            ${dropKey === key ? 'bg-blue-100 dark:bg-blue-950' : isSameMonth(day, anchor) || mode === 'week' ? 'bg-white/90 dark:bg-black/80' : 'bg-gray-50/80 dark:bg-gray-900/80'}`}
+                                    >
+                                        <button
+                                            type="button"
+                                            onClick={() => openQuickAdd(day)}
+                                            aria-label={`Add a task on ${format(day, 'PPPP')}`}
+                                            className={`self-start w-6 h-6 rounded-full text-xs font-normal
+                                                ${isToday(day) ? 'bg-blue-500 text-white' : isSameMonth(day, anchor) || mode === 'week' ? 'text-gray-800 dark:text-gray-200' : 'text-gray-400'}`}
+                                        >
+                                            {format(day, 'd')}
+                                        </button>
+                                        {shown.map(renderTodo)}
+                                        {dayTodos.length > shown.length && (
+                                            <button
+                                                type="button"
+                                                onClick={() => {
+                                                    setAnchor(day)
+                                                    dispatch(updateSettings({ calendarMode: 'week' }))
+                                                }}
+                                                className='text-left text-xs font-normal text-blue-600 hover:underline'
+                                            >
+                                                +{dayTodos.length - shown.length} more
+                                            </button>
+                                        )}
+                                    </div>
+                                )
+                            })}
+                        </div>
+
+                        {/* Undated todos */}
+                        <aside
+                            {...dropTargetProps(null)}
+                            aria-label='Tasks without a date'
+                            className={`lg:w-56 flex-shrink-0 rounded-md p-2 border-2
+                                ${dropKey === NO_DATE ? 'border-blue-500 bg-blue-100 dark:bg-blue-950' : 'border-transparent bg-gray-100/90 dark:bg-gray-900/80'}`}
+                        >
+                            <h4 className='flex justify-between mb-2 text-sm font-semibold text-gray-700 dark:text-gray-200'>
+                                <span>No date</span>
+                                <span className='font-normal text-gray-500'>{undatedTodos.length}</span>
+                            </h4>
+                            <div className='max-h-[450px] overflow-y-auto space-y-1'>
+                                {undatedTodos.map(renderTodo)}
+                            </div>
+                            <p className='mt-2 text-xs font-light text-gray-500 dark:text-gray-400'>
+                                Drag a task onto a day to schedule it, or here to remove its date.
+                            </p>
+                        </aside>
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default TodoCalendar
@@ -3,14 +3,24 @@
  * 
  * This component handles the core todo functionality including:
  * - Creating new todos with title, description, tags, priority, and target date
- * - Displaying all todos with filtering and sorting capabilities
+ * - Quick add: a date, time, priority and tags typed into the title are read out of it (see quickAdd.js)
+ * - Displaying the current project's todos (or all of them) with filtering and sorting capabilities
  * - Managing todo state through Redux
  * - Providing real-time statistics and filtering options
  * 
  * Features:
  * - Form validation and submission
- * - Priority-based sorting (High → Medium → Low → None)
+ * - Sorting by priority, due date, creation date, title or a manual drag-and-drop order (saved per user)
  * - Filter by completion status (All, Pending, Completed)
+ * - Smart lists (Overdue, Due Today, Next 7 Days, Someday) with counts
+ * - Filter by tags, matching any or all of them (click a tag on a todo to add it)
+ * - Search with operators (tag:, priority:, is:, due:) and match highlighting
+ * - CSV export of the filtered list
+ * - Keyboard shortcuts: j / k select the next / previous todo, x completes it, d deletes it
+ *   and p cycles its priority (e, to edit it, is handled by Todo)
+ * - Selection mode: pick todos with checkboxes (Shift-click for a range) and complete, reopen,
+ *   delete, reprioritize, reschedule or retag them together in one undoable step (see BulkActionBar)
+ * - Trash mode listing deleted todos (see TrashList)
  * - Tag management with autocomplete
  * - Date picker integration
  * - Responsive design with scrollable todo list
@@ -19,13 +29,33 @@
  * @version 1.0.0
  */
 
-import React, { useState, useMemo } from 'react'
+import React, { useEffect, useState, useMemo } from 'react'
 import { Button } from './ui/button'
 import { DatePickerWithPresets } from './DatePickerWithPresets'
 import Todo from './Todo'
 import TagInput from './TagInput'
+import RecurrencePicker from './RecurrencePicker'
+import ReminderPicker from './ReminderPicker'
+import ReminderPrompt from './ReminderPrompt'
+import QuickAddPreview from './QuickAddPreview'
+import TrashList from './TrashList'
+import TagFilterBar from './TagFilterBar'
+import SortableTodoList from './SortableTodoList'
+import BulkActionBar from './BulkActionBar'
+import { CheckSquare, FileDown, Search, Trash2 } from 'lucide-react'
 import { useDispatch, useSelector } from 'react-redux'
-import { addTodo } from '@/features/todo/todoSlice'
+import { clearStorageWarning, clearSyncError, setActiveTodo, setListFilter, updateSettings } from '@/features/todo/todoSlice'
+import { changeTodoPriority, createTodo, deleteTodo, toggleTodo } from '@/features/todo/todoThunks'
+import { getRRuleError } from '@/features/todo/recurrence'
+import { parseQuickAdd } from '@/features/todo/quickAdd'
+import { selectProjectTodos, selectTrashedTodos } from '@/features/todo/todoSelectors'
+import { toTodoProjectId } from '@/features/todo/projects'
+import { getHighlightTerms, matchesSearch, matchesTagFilter, parseSearchQuery } from '@/features/todo/todoSearch'
+import { TODO_SORT_MODES, sortTodos } from '@/features/todo/todoSort'
+import { SMART_LISTS, getSmartListCounts, isInSmartList } from '@/features/todo/smartLists'
+import { getCsvFileName, toCsv } from '@/features/todo/todoCsv'
+import { downloadFile } from '@/lib/download'
+import { isShortcutBlocked } from '@/lib/keyboard'
 import {
   Select,
   SelectContent,
@@ -34,35 +64,88 @@ import {
   SelectValue,
 } from "@/components/ui/select"
 
+// Longest title that can be saved; the title field allows room for quick add phrases
+const TITLE_MAX_LENGTH = 50
+
+// Order the p shortcut steps through
+const PRIORITY_CYCLE = [null, 'high', 'medium', 'low']
+
 /**
  * TodoForm Component
  * 
  * Main component that renders the todo creation form and todo list.
  * Manages local state for form inputs and integrates with Redux for todo management.
+ * New todos are added to the project being shown.
  * 
+ * @param {Object} props - Component props
+ * @param {string} [props.projectId] - Project to show (see projects.js); all tasks when omitted
  * @returns {JSX.Element} The complete todo form and list interface
  */
-const TodoForm = () => {
+const TodoForm = ({ projectId }) => {
     // Form state management
-    const [title, setTitle] = useState('')                    // Todo title (required)
+    const [title, setTitle] = useState('')                    // Todo title (required), with quick add phrases
+    const [ignoredPhrases, setIgnoredPhrases] = useState([])  // Quick add phrases kept in the title
     const [description, setDescription] = useState('')        // Todo description (optional)
     const [targetDate, setTargetDate] = useState(null)        // Target completion date (optional)
     const [priority, setPriority] = useState(null)            // Priority level: high, medium, low, or null
     const [tags, setTags] = useState([])                      // Array of tag strings
-    const [filter, setFilter] = useState('all')               // Filter state: all, pending, completed
+    const [recurrence, setRecurrence] = useState(null)        // Repeat rule or null (see recurrence.js)
+    const [reminders, setReminders] = useState([])            // Reminder offsets in minutes before due
+    const [mode, setMode] = useState('tasks')                 // List mode: tasks or trash
+    const [searchQuery, setSearchQuery] = useState('')        // Search box text (see todoSearch.js)
+    const [tagFilter, setTagFilter] = useState([])            // Tags to filter by
+    const [tagMatch, setTagMatch] = useState('any')           // Tag filter logic: any (OR) or all (AND)
+    const [isSelecting, setIsSelecting] = useState(false)     // Selection mode for the bulk actions
+    const [selectedIds, setSelectedIds] = useState([])        // IDs of the selected todos
+    const [selectionAnchor, setSelectionAnchor] = useState(null) // Last clicked todo, where a Shift-click range starts
 
     // Redux state and dispatch
     const dispatch = useDispatch()
-    const todos = useSelector(state => state.todo.todos)                    // All todos from Redux store
+    const todos = useSelector(state => selectProjectTodos(state, projectId)) // Todos in this project that are not in the trash
+    const trashCount = useSelector(state => selectTrashedTodos(state).length) // Number of todos in the trash
     const availableTags = useSelector(state => state.todo.availableTags)    // Available tags for autocomplete
+    const syncError = useSelector(state => state.todo.syncError)            // Last failed server request
+    const isHydrated = useSelector(state => state.todo.isHydrated)          // Stored todos loaded yet?
+    const storageWarning = useSelector(state => state.todo.storageWarning)  // Stored data problem
+    const sortMode = useSelector(state => state.todo.settings.sortMode)     // Saved sort mode
+    const activeTodoId = useSelector(state => state.todo.activeTodoId)      // Todo the keyboard shortcuts act on
+
+    // Completion filter (all, pending, completed) and smart list, also set from the command palette
+    const { status: filter, smartList } = useSelector(state => state.todo.listFilter)
+    const setFilter = (status) => dispatch(setListFilter({ status }))
+    const setSmartList = (listId) => dispatch(setListFilter({ smartList: listId }))
+
+    // Title, date, priority and tags read from the title field; a time on its own applies to the picked date
+    const quickAdd = useMemo(() => (
+        parseQuickAdd(title, { baseDate: targetDate, ignored: ignoredPhrases })
+    ), [title, targetDate, ignoredPhrases])
+    const effectiveTargetDate = quickAdd.targetDate || targetDate
+    const isTitleTooLong = quickAdd.title.length > TITLE_MAX_LENGTH
+
+    // Parsed search terms and the plain words to highlight in results
+    const searchTerms = useMemo(() => parseSearchQuery(searchQuery), [searchQuery])
+    const highlightTerms = useMemo(() => getHighlightTerms(searchTerms), [searchTerms])
+
+    // Todos with the selected tags; the statistics are counted from these
+    const taggedTodos = useMemo(() => (
+        todos.filter(todo => matchesTagFilter(todo, tagFilter, tagMatch))
+    ), [todos, tagFilter, tagMatch])
+
+    /**
+     * Add a tag clicked on a todo to the tag filter
+     *
+     * @param {string} tag - Clicked tag
+     */
+    const handleTagClick = (tag) => {
+        setTagFilter(current => current.includes(tag) ? current : [...current, tag])
+    }
 
     /**
      * Memoized filtered and sorted todos
      * 
-     * Filters todos based on completion status and sorts by priority.
+     * Filters todos based on completion status, smart list and search query, and sorts them
+     * by the chosen sort mode (see todoSort.js).
      * Uses useMemo for performance optimization to prevent unnecessary recalculations.
-     * 
-     * Priority order: High (0) → Medium (1) → Low (2) → None (3)
      */
     const filteredTodos = useMemo(() => {
         let filtered = []
@@ -70,63 +153,159 @@ const TodoForm = () => {
         // Filter by completion status
         switch (filter) {
             case 'completed':
-                filtered = todos.filter(todo => todo.isCompleted)
+                filtered = taggedTodos.filter(todo => todo.isCompleted)
                 break
             case 'pending':
-                filtered = todos.filter(todo => !todo.isCompleted)
+                filtered = taggedTodos.filter(todo => !todo.isCompleted)
                 break
             case 'all':
             default:
-                filtered = todos
+                filtered = taggedTodos
+        }
+        
+        const now = new Date()
+        
+        // Filter by smart list
+        if (smartList) {
+            filtered = filtered.filter(todo => isInSmartList(todo, smartList, now))
+        }
+        
+        // Filter by search query
+        if (searchTerms.length > 0) {
+            filtered = filtered.filter(todo => matchesSearch(todo, searchTerms, now))
         }
         
-        // Sort by priority (high > medium > low > no priority)
-        // Create a copy of the array before sorting to avoid mutating Redux state
-        return [...filtered].sort((a, b) => {
-            const priorityOrder = { 'high': 0, 'medium': 1, 'low': 2, null: 3, undefined: 3 }
-            return priorityOrder[a.priority] - priorityOrder[b.priority]
-        })
-    }, [todos, filter])
+        // Sort a copy to avoid mutating Redux state
+        return sortTodos(filtered, sortMode)
+    }, [taggedTodos, filter, smartList, searchTerms, sortMode])
+
+    // Selected todos that the filters still show; the bulk actions only change these
+    const visibleSelectedIds = useMemo(() => {
+        const selected = new Set(selectedIds)
+        return filteredTodos.filter(todo => selected.has(todo.id)).map(todo => todo.id)
+    }, [filteredTodos, selectedIds])
+    const visibleSelectedIdSet = useMemo(() => new Set(visibleSelectedIds), [visibleSelectedIds])
+
+    /**
+     * Select or unselect a todo, or with Shift every todo between it and the last one clicked
+     *
+     * @param {string} todoId - Clicked todo
+     * @param {boolean} shiftKey - Whether Shift was held
+     */
+    const handleSelect = (todoId, shiftKey) => {
+        const anchorIndex = filteredTodos.findIndex(todo => todo.id === selectionAnchor)
+        const index = filteredTodos.findIndex(todo => todo.id === todoId)
+        if (shiftKey && anchorIndex !== -1 && index !== -1) {
+            const range = filteredTodos
+                .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+                .map(todo => todo.id)
+            setSelectedIds(current => [...new Set([...current, ...range])])
+        } else {
+            setSelectedIds(current => current.includes(todoId)
+                ? current.filter(id => id !== todoId)
+                : [...current, todoId])
+        }
+        setSelectionAnchor(todoId)
+    }
+
+    /**
+     * Turn selection mode on or off; leaving it clears the selection
+     *
+     * @param {boolean} isOn - Whether to select todos
+     */
+    const handleSelectingChange = (isOn) => {
+        setIsSelecting(isOn)
+        setSelectedIds([])
+        setSelectionAnchor(null)
+    }
 
     /**
      * Memoized task statistics
      * 
-     * Calculates total, completed, and pending task counts.
-     * Used for displaying statistics in the UI.
+     * Calculates total, completed, and pending task counts, plus the smart list counts.
+     * Used for displaying statistics in the UI; counts only tagged todos while a tag filter is active.
      */
     const taskStats = useMemo(() => {
-        const total = todos.length
-        const completed = todos.filter(todo => todo.isCompleted).length
+        const total = taggedTodos.length
+        const completed = taggedTodos.filter(todo => todo.isCompleted).length
         const pending = total - completed
-        return { total, completed, pending }
-    }, [todos])
+        return { total, completed, pending, ...getSmartListCounts(taggedTodos) }
+    }, [taggedTodos])
+
+    /**
+     * List keyboard shortcuts
+     * 
+     * Active outside text fields and dialogs while the task list is shown.
+     */
+    useEffect(() => {
+        if (mode !== 'tasks') return
+        const handleKeyDown = (e) => {
+            if (isShortcutBlocked(e)) return
+            const index = filteredTodos.findIndex(todo => todo.id === activeTodoId)
+            const activeTodo = filteredTodos[index]
+
+            if (e.key === 'j' || e.key === 'k') {
+                if (filteredTodos.length === 0) return
+                // Without a selection, j starts at the top and k at the bottom
+                const next = index === -1
+                    ? (e.key === 'j' ? 0 : filteredTodos.length - 1)
+                    : Math.min(Math.max(index + (e.key === 'j' ? 1 : -1), 0), filteredTodos.length - 1)
+                dispatch(setActiveTodo(filteredTodos[next].id))
+            } else if (e.key === 'x' && activeTodo) {
+                dispatch(toggleTodo(activeTodo.id))
+            } else if (e.key === 'd' && activeTodo) {
+                // Select the todo below (or above) so d can be pressed again
+                const neighbor = filteredTodos[index + 1] || filteredTodos[index - 1]
+                dispatch(deleteTodo(activeTodo.id))
+                dispatch(setActiveTodo(neighbor ? neighbor.id : null))
+            } else if (e.key === 'p' && activeTodo) {
+                const next = PRIORITY_CYCLE[(PRIORITY_CYCLE.indexOf(activeTodo.priority || null) + 1) % PRIORITY_CYCLE.length]
+                dispatch(changeTodoPriority({ todoId: activeTodo.id, priority: next }))
+            } else {
+                return
+            }
+            e.preventDefault()
+        }
+        window.addEventListener('keydown', handleKeyDown)
+        return () => window.removeEventListener('keydown', handleKeyDown)
+    }, [mode, filteredTodos, activeTodoId, dispatch])
 
     /**
      * Handle form submission
      * 
      * Creates a new todo with all form data and dispatches it to Redux store.
+     * What quick add read from the title takes the place of the date and priority
+     * fields, and its tags are added to the tag field's.
      * Resets all form fields after successful submission.
      * 
      * @param {Event} e - Form submission event
      */
     const handleSubmit = (e) => {
         e.preventDefault()
+        if (recurrence?.type === 'rrule' && getRRuleError(recurrence.rrule)) return
+        if (!quickAdd.title || isTitleTooLong) return
         
-        // Dispatch new todo to Redux store
-        dispatch(addTodo({
-            title,
+        // Dispatch new todo to Redux store (synced with the server if configured)
+        dispatch(createTodo({
+            title: quickAdd.title,
             description,
-            targetDate: targetDate ? targetDate.toISOString() : null,  // Convert Date to ISO string
-            priority,
-            tags,
+            targetDate: effectiveTargetDate ? effectiveTargetDate.toISOString() : null,  // Convert Date to ISO string
+            priority: quickAdd.priority || priority,
+            tags: [...new Set([...tags, ...quickAdd.tags])],
+            recurrence,
+            reminders: effectiveTargetDate ? reminders : [],
+            projectId: toTodoProjectId(projectId),
         }))
         
         // Reset form fields
         setTitle('')
+        setIgnoredPhrases([])
         setDescription('')
         setTargetDate(null)
         setPriority(null)
         setTags([])
+        setRecurrence(null)
+        setReminders([])
     }
 
     /**
@@ -151,16 +330,29 @@ const TodoForm = () => {
                 <form onSubmit={handleSubmit} className=' w-full bg-white dark:bg-black dark:text-white border dark:border-cyan-500  shadow-sm rounded-md pb-5 px-3 pt-2'>
                     {/* Title Input - Required field */}
                     <input 
+                        id="new-todo-title"
                         name="title"
                         type='text' 
                         value={title}
                         onChange={(e) => setTitle(e.target.value)}
                         className='w-4/5 h-10 px-2 text-base lg:text-lg font-normal rounded-lg bg-transparent focus:outline-none  dark:text-white' 
-                        placeholder='Add todo...'
-                        maxLength={50}
+                        placeholder='Add todo... (try “tomorrow 5pm !high #work”)'
+                        maxLength={120}
+                        aria-invalid={isTitleTooLong}
                         required
                     />
                     
+                    {/* Quick Add Preview - what was read from the title, each undoable */}
+                    <QuickAddPreview
+                        detections={quickAdd.detections}
+                        onUndo={(phrase) => setIgnoredPhrases(current => [...current, phrase])}
+                    />
+                    {isTitleTooLong && (
+                        <p role='alert' className='px-2 pt-1 text-xs font-normal text-red-600 dark:text-red-400'>
+                            The title can be at most {TITLE_MAX_LENGTH} characters ({quickAdd.title.length} now).
+                        </p>
+                    )}
+                    
                     {/* Description Input - Optional field */}
                     <input 
                         name="description"
@@ -182,6 +374,14 @@ const TodoForm = () => {
                         />
                     </div>
                     
+                    {/* Reminders */}
+                    <ReminderPicker
+                        value={reminders}
+                        onChange={setReminders}
+                        hasTargetDate={Boolean(effectiveTargetDate)}
+                        className="pt-2"
+                    />
+                    
                     {/* Form Controls Row */}
                     <div className='flex flex-wrap justify-between pt-3 gap-2'>
                         {/* Date Picker */}
@@ -208,6 +408,13 @@ const TodoForm = () => {
                             </Select>
                         </div>
                         
+                        {/* Repeat Rule */}
+                        <RecurrencePicker
+                            value={recurrence}
+                            onChange={setRecurrence}
+                            className="w-full sm:w-auto"
+                        />
+                        
                         {/* Submit Button */}
                         <div className='w-full max-w-32 sm:w-1/5 pt-3 sm:pt-0'>
                             <Button
@@ -220,52 +427,230 @@ const TodoForm = () => {
                     </div>
                 </form>
                 
+                {/* Notification Permission Prompt - shown once reminders are in use */}
+                <ReminderPrompt />
+                
+                {/* Storage Warning Banner - shown when stored data was set aside */}
+                {storageWarning && (
+                    <div className='w-full flex justify-between items-center mt-4 px-3 py-2 rounded-md bg-yellow-100 text-yellow-800 text-sm font-normal'>
+                        <span>{storageWarning}</span>
+                        <button
+                            type="button"
+                            onClick={() => dispatch(clearStorageWarning())}
+                            className="ml-2 font-semibold hover:underline"
+                        >
+                            Dismiss
+                        </button>
+                    </div>
+                )}
+                
+                {/* Sync Error Banner - shown after a change was rolled back */}
+                {syncError && (
+                    <div className='w-full flex justify-between items-center mt-4 px-3 py-2 rounded-md bg-red-100 text-red-800 text-sm font-normal'>
+                        <span>{syncError} Your change was undone.</span>
+                        <button
+                            type="button"
+                            onClick={() => dispatch(clearSyncError())}
+                            className="ml-2 font-semibold hover:underline"
+                        >
+                            Dismiss
+                        </button>
+                    </div>
+                )}
+                
                 {/* Todo List Section */}
                 <div className='w-full'>
                     {/* Header with Statistics and Filter */}
                     <div className='flex justify-between items-center my-4'>
                         <div>
                             <h3 className='text-lg font-semibold text-gray-800 dark:text-white'>
-                                Your Tasks ({filteredTodos.length})
+                                {mode === 'trash' ? `Trash (${trashCount})` : `Your Tasks (${filteredTodos.length})`}
                             </h3>
-                            <p className='text-sm text-gray-600 dark:text-gray-400'>
-                                Total: {taskStats.total} | Completed: {taskStats.completed} | Pending: {taskStats.pending}
-                            </p>
+                            {mode === 'tasks' && (
+                                <p className='text-sm text-gray-600 dark:text-gray-400'>
+                                    {tagFilter.length > 0 && (
+                                        <span className='text-blue-600 dark:text-cyan-400'>
+                                            {tagFilter.map(tag => `#${tag}`).join(tagMatch === 'all' ? ' and ' : ' or ')} |{' '}
+                                        </span>
+                                    )}
+                                    Total: {taskStats.total} | Completed: {taskStats.completed} | Pending: {taskStats.pending}
+                                    <br />
+                                    <span className={taskStats.overdue > 0 ? 'text-red-600 font-semibold' : ''}>Overdue: {taskStats.overdue}</span>
+                                    {' '}| Today: {taskStats.today} | Next 7 days: {taskStats.upcoming} | Someday: {taskStats.someday}
+                                </p>
+                            )}
                         </div>
                         
-                        {/* Filter Controls */}
+                        {/* Filter Controls and Trash toggle */}
                         <div className='flex items-center space-x-2'>
-                            <span className='text-sm text-gray-600 dark:text-gray-400'>Filter:</span>
-                            <Select value={filter} onValueChange={setFilter}>
-                                <SelectTrigger className="w-32">
-                                    <SelectValue placeholder="Filter" />
-                                </SelectTrigger>
-                                <SelectContent>
-                                    <SelectItem value="all">All Tasks</SelectItem>
-                                    <SelectItem value="pending">Pending</SelectItem>
-                                    <SelectItem value="completed">Completed</SelectItem>
-                                </SelectContent>
-                            </Select>
+                            {mode === 'tasks' && (
+                                <>
+                                    <span className='text-sm text-gray-600 dark:text-gray-400'>Filter:</span>
+                                    <Select value={filter} onValueChange={setFilter}>
+                                        <SelectTrigger className="w-32">
+                                            <SelectValue placeholder="Filter" />
+                                        </SelectTrigger>
+                                        <SelectContent>
+                                            <SelectItem value="all">All Tasks</SelectItem>
+                                            <SelectItem value="pending">Pending</SelectItem>
+                                            <SelectItem value="completed">Completed</SelectItem>
+                                        </SelectContent>
+                                    </Select>
+                                    <Select value={sortMode} onValueChange={(value) => dispatch(updateSettings({ sortMode: value }))}>
+                                        <SelectTrigger className="w-32" aria-label="Sort by">
+                                            <SelectValue placeholder="Sort" />
+                                        </SelectTrigger>
+                                        <SelectContent>
+                                            {TODO_SORT_MODES.map(option => (
+                                                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                                            ))}
+                                        </SelectContent>
+                                    </Select>
+                                    <button
+                                        type="button"
+                                        onClick={() => downloadFile(getCsvFileName(), toCsv(filteredTodos), 'text/csv')}
+                                        disabled={filteredTodos.length === 0}
+                                        title='Download the tasks shown below as a CSV file'
+                                        className='flex items-center gap-1 h-9 px-3 rounded-md border text-sm font-normal text-gray-600 dark:text-gray-400 disabled:opacity-50'
+                                    >
+                                        <FileDown size={14} />
+                                        Export CSV
+                                    </button>
+                                </>
+                            )}
+                            {mode === 'tasks' && (
+                                <button
+                                    type="button"
+                                    onClick={() => handleSelectingChange(!isSelecting)}
+                                    aria-pressed={isSelecting}
+                                    title='Select several tasks to change them together'
+                                    className={`flex items-center gap-1 h-9 px-3 rounded-md border text-sm font-normal
+                                        ${isSelecting ? 'bg-blue-500 text-white border-blue-500' : 'text-gray-600 dark:text-gray-400'}`}
+                                >
+                                    <CheckSquare size={14} />
+                                    Select
+                                </button>
+                            )}
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    handleSelectingChange(false)
+                                    setMode(mode === 'trash' ? 'tasks' : 'trash')
+                                }}
+                                aria-pressed={mode === 'trash'}
+                                className={`flex items-center gap-1 h-9 px-3 rounded-md border text-sm font-normal
+                                    ${mode === 'trash' ? 'bg-blue-500 text-white border-blue-500' : 'text-gray-600 dark:text-gray-400'}`}
+                            >
+                                <Trash2 size={14} />
+                                {mode === 'trash' ? 'Back to tasks' : `Trash${trashCount > 0 ? ` (${trashCount})` : ''}`}
+                            </button>
                         </div>
                     </div>
                     
-                    {/* Todo List or Empty State */}
-                    {filteredTodos.length === 0 ? (
+                    {/* Smart Lists */}
+                    {mode === 'tasks' && (
+                        <div className='flex flex-wrap gap-2 mb-3' role='group' aria-label='Smart lists'>
+                            {SMART_LISTS.map(list => (
+                                <button
+                                    key={list.id}
+                                    type="button"
+                                    onClick={() => setSmartList(smartList === list.id ? null : list.id)}
+                                    aria-pressed={smartList === list.id}
+                                    className={`px-3 py-1 rounded-full border text-sm font-normal
+                                        ${smartList === list.id
+                                            ? 'bg-blue-500 text-white border-blue-500'
+                                            : list.id === 'overdue' && taskStats.overdue > 0
+                                                ? 'text-red-600 border-red-400 bg-red-50 dark:bg-transparent'
+                                                : 'text-gray-600 dark:text-gray-400'}`}
+                                >
+                                    {list.label} ({taskStats[list.id]})
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    
+                    {/* Tag Filter Bar */}
+                    {mode === 'tasks' && (
+                        <TagFilterBar
+                            availableTags={availableTags}
+                            selectedTags={tagFilter}
+                            match={tagMatch}
+                            onSelectedTagsChange={setTagFilter}
+                            onMatchChange={setTagMatch}
+                        />
+                    )}
+                    
+                    {/* Search Box */}
+                    {mode === 'tasks' && (
+                        <div className='relative mb-3'>
+                            <Search size={16} className='absolute left-3 top-1/2 -translate-y-1/2 text-gray-400' />
+                            <input
+                                type='search'
+                                value={searchQuery}
+                                onChange={(e) => setSearchQuery(e.target.value)}
+                                className='w-full h-9 pl-9 pr-3 text-sm font-normal rounded-md border bg-transparent focus:outline-none dark:text-white dark:border-gray-500'
+                                placeholder='Search… e.g. tag:work priority:high due:<7d -is:done'
+                                title={'Words and "quoted phrases" match title, description and tags.\nOperators: tag:name, priority:high|medium|low|none, is:done|open|recurring, due:overdue|today|tomorrow|none|<7d|>=2026-01-31\nPrefix a term with - to exclude it.'}
+                                aria-label='Search tasks'
+                            />
+                        </div>
+                    )}
+                    
+                    {/* Bulk Actions - shown in selection mode */}
+                    {mode === 'tasks' && isSelecting && (
+                        <BulkActionBar
+                            selectedIds={visibleSelectedIds}
+                            totalCount={filteredTodos.length}
+                            onSelectAll={() => setSelectedIds(filteredTodos.map(todo => todo.id))}
+                            onClear={() => setSelectedIds([])}
+                            onExit={() => handleSelectingChange(false)}
+                        />
+                    )}
+                    
+                    {/* Todo List, Trash or Empty State */}
+                    {mode === 'trash' ? (
+                        <TrashList />
+                    ) : filteredTodos.length === 0 ? (
                         // Empty state with contextual messaging
                         <div className='text-center py-8 text-gray-500 dark:text-gray-400'>
-                            {filter === 'all' 
-                                ? 'No tasks yet. Add your first task above!' 
-                                : filter === 'completed' 
-                                    ? 'No completed tasks yet.' 
-                                    : 'No pending tasks. Great job!'
+                            {!isHydrated && !storageWarning
+                                ? 'Loading your tasks...'
+                                : searchTerms.length > 0 || tagFilter.length > 0
+                                    ? 'No tasks match your search or tag filter.'
+                                    : smartList
+                                        ? `Nothing in ${SMART_LISTS.find(list => list.id === smartList).label}.`
+                                        : filter === 'all' 
+                                            ? 'No tasks yet. Add your first task above!' 
+                                            : filter === 'completed' 
+                                                ? 'No completed tasks yet.' 
+                                                : 'No pending tasks. Great job!'
                             }
                         </div>
+                    ) : sortMode === 'manual' ? (
+                        <SortableTodoList
+                            todos={filteredTodos}
+                            activeTodoId={activeTodoId}
+                            highlightTerms={highlightTerms}
+                            onTagClick={handleTagClick}
+                            isSelecting={isSelecting}
+                            selectedIds={visibleSelectedIdSet}
+                            onSelect={handleSelect}
+                        />
                     ) : (
                         // Scrollable todo list container (max-height: 450px) for desktop and mobile
                         <div className="max-h-[450px] overflow-y-auto pr-2 space-y-2">
                             {/* Todo List */}
                             {filteredTodos.map((todo) => (
-                                <Todo key={todo.id} todo={todo} />
+                                <Todo
+                                    key={todo.id}
+                                    todo={todo}
+                                    isActive={todo.id === activeTodoId}
+                                    highlightTerms={highlightTerms}
+                                    onTagClick={handleTagClick}
+                                    isSelectable={isSelecting}
+                                    isSelected={visibleSelectedIdSet.has(todo.id)}
+                                    onSelect={(shiftKey) => handleSelect(todo.id, shiftKey)}
+                                />
                             ))}
                         </div>
                     )}
@@ -0,0 +1,125 @@
+/**
+ * TrashList.jsx - Trash view
+ *
+ * Lists deleted todos with when they will be purged, and lets the user
+ * restore them, delete them for good, empty the whole trash, or change
+ * how many days deleted todos are kept. Expired todos are purged when the
+ * app loads and whenever the trash is opened.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { differenceInCalendarDays, format } from 'date-fns'
+import { Button } from './ui/button'
+import { getTrashExpiry, selectTrashedTodos } from '@/features/todo/todoSelectors'
+import { deleteTodosPermanently, purgeExpiredTrash, restoreTodoFromTrash } from '@/features/todo/todoThunks'
+import { updateSettings } from '@/features/todo/todoSlice'
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select"
+
+const RETENTION_OPTIONS = [7, 14, 30, 60, 90]
+
+/**
+ * TrashList Component
+ *
+ * @returns {JSX.Element} The trash view
+ */
+const TrashList = () => {
+    const dispatch = useDispatch()
+    const trashedTodos = useSelector(selectTrashedTodos)
+    const retentionDays = useSelector(state => state.todo.settings.trashRetentionDays)
+
+    useEffect(() => {
+        dispatch(purgeExpiredTrash())
+    }, [dispatch])
+
+    const handleEmptyTrash = () => {
+        if (!window.confirm(`Delete ${trashedTodos.length} ${trashedTodos.length === 1 ? 'task' : 'tasks'} for good? This cannot be undone.`)) return
+        dispatch(deleteTodosPermanently(trashedTodos.map(todo => todo.id)))
+    }
+
+    const getExpiryLabel = (todo) => {
+        const days = differenceInCalendarDays(getTrashExpiry(todo, retentionDays), new Date())
+        return days <= 0 ? 'Deleted for good today' : `Deleted for good in ${days} ${days === 1 ? 'day' : 'days'}`
+    }
+
+    return (
+        <div>
+            <div className='flex flex-wrap justify-between items-center gap-2 mb-3 text-sm font-normal text-gray-600 dark:text-gray-400'>
+                <div className='flex items-center gap-2'>
+                    <span>Keep deleted tasks for</span>
+                    <Select
+                        value={String(retentionDays)}
+                        onValueChange={(value) => dispatch(updateSettings({ trashRetentionDays: Number(value) }))}
+                    >
+                        <SelectTrigger className="w-28">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {[...new Set([...RETENTION_OPTIONS, retentionDays])].sort((a, b) => a - b).map(days => (
+                                <SelectItem key={days} value={String(days)}>{days} days</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                </div>
+                {trashedTodos.length > 0 && (
+                    <button
+                        type="button"
+                        onClick={handleEmptyTrash}
+                        className='font-semibold text-red-600 hover:underline'
+                    >
+                        Empty trash
+                    </button>
+                )}
+            </div>
+
+            {trashedTodos.length === 0 ? (
+                <div className='text-center py-8 text-gray-500 dark:text-gray-400'>
+                    Trash is empty.
+                </div>
+            ) : (
+                <div className="max-h-[450px] overflow-y-auto pr-2 space-y-2">
+                    {trashedTodos.map(todo => (
+                        <div
+                            key={todo.id}
+                            className='flex flex-wrap justify-between items-center gap-2 border rounded-md px-3 py-2 bg-gray-100 dark:bg-transparent dark:border-gray-500 dark:text-gray-300'
+                        >
+                            <div className='min-w-0'>
+                                <p className={`text-sm lg:text-base font-normal truncate ${todo.isCompleted ? 'line-through' : ''}`}>
+                                    {todo.title}
+                                </p>
+                                <p className='text-xs font-light text-gray-500 dark:text-gray-400'>
+                                    Deleted {format(new Date(todo.deletedAt), 'PP')} · {getExpiryLabel(todo)}
+                                </p>
+                            </div>
+                            <div className='flex gap-2'>
+                                <Button
+                                    className='h-8 min-w-20 outline text-white font-bold rounded-lg bg-blue-500 dark:bg-transparent dark:text-blue-500 dark:hover:bg-blue-500 dark:hover:text-white'
+                                    onClick={() => dispatch(restoreTodoFromTrash(todo.id))}
+                                >
+                                    Restore
+                                </Button>
+                                <Button
+                                    className='h-8 min-w-20 outline text-white font-bold rounded-lg bg-red-500 dark:bg-transparent dark:text-red-500 dark:hover:bg-red-500 dark:hover:text-white'
+                                    onClick={() => dispatch(deleteTodosPermanently([todo.id]))}
+                                >
+                                    Delete forever
+                                </Button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default TrashList
@@ -0,0 +1,85 @@
+/**
+ * UndoToast.jsx - Undo toast and undo/redo keyboard shortcuts
+ *
+ * After a destructive change (e.g. a deleted task) a toast with an
+ * "Undo" button appears for a few seconds. Anywhere outside a text field:
+ * - Ctrl+Z (Cmd+Z on Mac) undoes the last change
+ * - Ctrl+Shift+Z or Ctrl+Y redoes it
+ *
+ * Text fields keep the browser's own undo for their text.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { redoTodoChange, undoTodoChange } from '@/features/todo/todoThunks'
+import { selectLastChange } from '@/features/todo/todoHistory'
+import { isTextField } from '@/lib/keyboard'
+
+// How long the toast stays on screen
+const TOAST_DURATION_MS = 6000
+
+/**
+ * UndoToast Component
+ *
+ * @returns {JSX.Element|null} The toast, or null when there is nothing to show
+ */
+const UndoToast = () => {
+    const dispatch = useDispatch()
+    const lastChange = useSelector(selectLastChange)
+    const [hiddenId, setHiddenId] = useState(null)
+
+    // Undo/redo shortcuts
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) return
+            const key = e.key.toLowerCase()
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault()
+                dispatch(undoTodoChange())
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault()
+                dispatch(redoTodoChange())
+            }
+        }
+        window.addEventListener('keydown', handleKeyDown)
+        return () => window.removeEventListener('keydown', handleKeyDown)
+    }, [dispatch])
+
+    // Hide the toast after a while
+    useEffect(() => {
+        if (!lastChange?.isDestructive) return
+        const timer = setTimeout(() => setHiddenId(lastChange.id), TOAST_DURATION_MS)
+        return () => clearTimeout(timer)
+    }, [lastChange])
+
+    if (!lastChange?.isDestructive || hiddenId === lastChange.id) return null
+
+    return (
+        <div
+            role="status"
+            className='fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-4 py-3 rounded-lg shadow-lg bg-gray-900 text-white text-sm font-normal dark:bg-white dark:text-black'
+        >
+            <span>{lastChange.label}</span>
+            <button
+                type="button"
+                onClick={() => dispatch(undoTodoChange())}
+                className="font-semibold text-cyan-400 dark:text-blue-600 hover:underline"
+            >
+                Undo
+            </button>
+            <button
+                type="button"
+                onClick={() => setHiddenId(lastChange.id)}
+                className="text-gray-400 dark:text-gray-600 hover:underline"
+                aria-label="Dismiss"
+            >
+                ✕
+            </button>
+        </div>
+    )
+}
+
+export default UndoToast
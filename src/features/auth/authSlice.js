@@ -1,7 +1,7 @@
-import { createSlice } from '@reduxjs/toolkit'
+import { createAsyncThunk, createSlice } from '@reduxjs/toolkit'
 
 // Check for existing user in localStorage
-const getUserFromStorage = () => {
+export const getUserFromStorage = () => {
     try {
         const user = localStorage.getItem('user')
         return user ? JSON.parse(user) : null
@@ -13,44 +13,131 @@ const getUserFromStorage = () => {
 const initialState = {
     isAuthenticated: !!getUserFromStorage(),
     user: getUserFromStorage(),
+    token: localStorage.getItem('authToken'),
     loading: false,
     error: null
 }
 
+/**
+ * Log in through the configured auth provider
+ *
+ * @param {{email: string, password: string}} credentials
+ * @returns {{user: Object, token: string|null}} Fulfilled payload
+ */
+export const loginUser = createAsyncThunk(
+    'auth/login',
+    async ({ email, password }, { extra, rejectWithValue }) => {
+        if (!email || !password) {
+            return rejectWithValue('Please enter both email and password')
+        }
+        try {
+            return await extra.authProvider.login({ email, password })
+        } catch (error) {
+            return rejectWithValue(error.message || 'Login failed. Please try again.')
+        }
+    }
+)
+
+/**
+ * Create an account through the configured auth provider and log in
+ *
+ * @param {{name: string, email: string, password: string}} details
+ * @returns {{user: Object, token: string|null}} Fulfilled payload
+ */
+export const registerUser = createAsyncThunk(
+    'auth/register',
+    async ({ name, email, password }, { extra, rejectWithValue }) => {
+        if (!name || !email || !password) {
+            return rejectWithValue('Please fill in all fields')
+        }
+        try {
+            return await extra.authProvider.register({ name, email, password })
+        } catch (error) {
+            return rejectWithValue(error.message || 'Registration failed. Please try again.')
+        }
+    }
+)
+
+/**
+ * Log out through the configured auth provider
+ *
+ * The local session always ends, even if the provider fails to
+ * invalidate the token, so a user is never stuck logged in.
+ */
+export const logoutUser = createAsyncThunk(
+    'auth/logout',
+    async (_, { extra, getState }) => {
+        try {
+            await extra.authProvider.logout(getState().auth.token)
+        } catch (error) {
+            console.warn('Logout request failed:', error)
+        }
+    }
+)
+
+// Shared handlers for a successful login or registration
+const handleAuthPending = (state) => {
+    state.loading = true
+    state.error = null
+}
+
+const handleAuthFulfilled = (state, action) => {
+    const { user, token } = action.payload
+    state.loading = false
+    state.isAuthenticated = true
+    state.user = user
+    state.token = token
+    state.error = null
+    // Save session to localStorage
+    localStorage.setItem('user', JSON.stringify(user))
+    if (token) {
+        localStorage.setItem('authToken', token)
+    } else {
+        localStorage.removeItem('authToken')
+    }
+}
+
+const handleAuthRejected = (state, action) => {
+    state.loading = false
+    state.isAuthenticated = false
+    state.user = null
+    state.token = null
+    state.error = action.payload || action.error.message
+}
+
 const authSlice = createSlice({
     name: 'auth',
     initialState,
     reducers: {
-        loginStart: (state) => {
-            state.loading = true
-            state.error = null
-        },
-        loginSuccess: (state, action) => {
-            state.loading = false
-            state.isAuthenticated = true
-            state.user = action.payload
-            state.error = null
-            // Save user to localStorage
-            localStorage.setItem('user', JSON.stringify(action.payload))
-        },
         loginFailure: (state, action) => {
             state.loading = false
             state.isAuthenticated = false
             state.user = null
             state.error = action.payload
         },
-        logout: (state) => {
-            state.isAuthenticated = false
-            state.user = null
-            state.error = null
-            // Remove user from localStorage
-            localStorage.removeItem('user')
-        },
         clearError: (state) => {
             state.error = null
         }
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(loginUser.pending, handleAuthPending)
+            .addCase(loginUser.fulfilled, handleAuthFulfilled)
+            .addCase(loginUser.rejected, handleAuthRejected)
+            .addCase(registerUser.pending, handleAuthPending)
+            .addCase(registerUser.fulfilled, handleAuthFulfilled)
+            .addCase(registerUser.rejected, handleAuthRejected)
+            .addCase(logoutUser.fulfilled, (state) => {
+                state.isAuthenticated = false
+                state.user = null
+                state.token = null
+                state.error = null
+                // Remove session from localStorage
+                localStorage.removeItem('user')
+                localStorage.removeItem('authToken')
+            })
     }
 })
 
-export const { loginStart, loginSuccess, loginFailure, logout, clearError } = authSlice.actions
+export const { loginFailure, clearError } = authSlice.actions
 export default authSlice.reducer
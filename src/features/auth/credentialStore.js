@@ -0,0 +1,134 @@
+/**
+ * credentialStore.js - Local user registry with hashed passwords
+ *
+ * Stores registered accounts in localStorage under the `users` key.
+ * Passwords are never stored in plain text: each account keeps a random
+ * salt and a PBKDF2 (SHA-256) hash derived with the WebCrypto API.
+ *
+ * Stored account shape:
+ * { id, name, email, salt, passwordHash, iterations, createdAt }
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { nanoid } from "@reduxjs/toolkit";
+
+const USERS_KEY = 'users'
+const PBKDF2_ITERATIONS = 100000
+const SALT_BYTES = 16
+const HASH_BITS = 256
+
+// Convert between ArrayBuffers and base64 strings for storage
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+const fromBase64 = (value) => Uint8Array.from(atob(value), (char) => char.charCodeAt(0))
+
+// Emails are compared case-insensitively
+const normalizeEmail = (email) => email.trim().toLowerCase()
+
+// Safely read all stored accounts
+const readAccounts = () => {
+    try {
+        const accounts = JSON.parse(localStorage.getItem(USERS_KEY) || '[]')
+        return Array.isArray(accounts) ? accounts : []
+    } catch (error) {
+        return []
+    }
+}
+
+const writeAccounts = (accounts) => {
+    localStorage.setItem(USERS_KEY, JSON.stringify(accounts))
+}
+
+/**
+ * Derive a PBKDF2 hash for a password
+ *
+ * @param {string} password - Plain text password
+ * @param {Uint8Array} salt - Random salt bytes
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<string>} Base64 encoded hash
+ */
+const hashPassword = async (password, salt, iterations) => {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    )
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        keyMaterial,
+        HASH_BITS
+    )
+    return toBase64(bits)
+}
+
+// Compare two hashes without returning early on the first mismatch
+const hashesMatch = (a, b) => {
+    if (a.length !== b.length) return false
+    let diff = 0
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+    }
+    return diff === 0
+}
+
+// Strip secrets before handing an account to the rest of the app
+const toPublicUser = ({ id, name, email }) => ({ id, name, email })
+
+/**
+ * Register a new account
+ *
+ * @param {Object} details - Account details
+ * @param {string} details.name - Display name
+ * @param {string} details.email - Email address (must be unique)
+ * @param {string} details.password - Plain text password
+ * @returns {Promise<Object>} The public user object ({ id, name, email })
+ * @throws {Error} When an account with the same email already exists
+ */
+export const registerAccount = async ({ name, email, password }) => {
+    const accounts = readAccounts()
+    const normalizedEmail = normalizeEmail(email)
+
+    if (accounts.some(account => account.email === normalizedEmail)) {
+        throw new Error('An account with this email already exists')
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES))
+    const account = {
+        id: nanoid(),
+        name: name.trim(),
+        email: normalizedEmail,
+        salt: toBase64(salt),
+        passwordHash: await hashPassword(password, salt, PBKDF2_ITERATIONS),
+        iterations: PBKDF2_ITERATIONS,
+        createdAt: new Date().toISOString(),
+    }
+
+    writeAccounts([...accounts, account])
+    return toPublicUser(account)
+}
+
+/**
+ * Check an email/password pair against the stored accounts
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} The public user object ({ id, name, email })
+ * @throws {Error} When the user is unknown or the password is wrong
+ */
+export const verifyCredentials = async (email, password) => {
+    const account = readAccounts().find(account => account.email === normalizeEmail(email))
+
+    if (!account) {
+        throw new Error('No account found with this email. Please sign up first.')
+    }
+
+    const hash = await hashPassword(password, fromBase64(account.salt), account.iterations)
+    if (!hashesMatch(hash, account.passwordHash)) {
+        throw new Error('Incorrect password. Please try again.')
+    }
+
+    return toPublicUser(account)
+}
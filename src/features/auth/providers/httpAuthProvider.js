@@ -0,0 +1,65 @@
+/**
+ * httpAuthProvider.js - Auth provider backed by a REST endpoint
+ *
+ * Implements the auth provider interface against a JSON REST API:
+ *
+ * - POST {baseUrl}/auth/register  { name, email, password } → { user, token }
+ * - POST {baseUrl}/auth/login     { email, password }       → { user, token }
+ * - POST {baseUrl}/auth/logout    (Authorization: Bearer)   → 204
+ *
+ * Error responses are expected to carry a JSON body of the form
+ * `{ message }`, which is surfaced to the user as-is.
+ *
+ * Run `npm run mock-server` for a local implementation of this API.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+/**
+ * Create an HTTP auth provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Base URL of the REST API (e.g. http://localhost:3001)
+ * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+ * @returns {import('./index').AuthProvider} Auth provider instance
+ */
+export const createHttpAuthProvider = ({ baseUrl, fetch = globalThis.fetch.bind(globalThis) }) => {
+    const apiUrl = baseUrl.replace(/\/+$/, '')
+
+    /**
+     * Send a JSON request and parse the JSON response
+     *
+     * @param {string} path - Path relative to the base URL
+     * @param {Object} body - Request body
+     * @param {string|null} token - Session token for the Authorization header
+     * @returns {Promise<Object|null>} Parsed response body (null for empty responses)
+     * @throws {Error} With the server's message when the response is not ok
+     */
+    const post = async (path, body = {}, token = null) => {
+        const response = await fetch(`${apiUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            },
+            body: JSON.stringify(body),
+        })
+
+        const text = await response.text()
+        const data = text ? JSON.parse(text) : null
+
+        if (!response.ok) {
+            throw new Error(data?.message || `Request failed with status ${response.status}`)
+        }
+        return data
+    }
+
+    return {
+        login: ({ email, password }) => post('/auth/login', { email, password }),
+        register: ({ name, email, password }) => post('/auth/register', { name, email, password }),
+        logout: async (token) => {
+            await post('/auth/logout', {}, token)
+        },
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * Auth providers
+ *
+ * The auth thunks in `authSlice` never talk to a backend directly. They
+ * call whichever provider the store was configured with, passed in as the
+ * thunk `extraArgument`.
+ *
+ * Set `VITE_AUTH_API_URL` to use the HTTP provider; otherwise accounts are
+ * kept in localStorage.
+ *
+ * @typedef {Object} AuthResult
+ * @property {{id: string, name: string, email: string}} user - Public user object
+ * @property {string|null} token - Session token (null when the provider has none)
+ *
+ * @typedef {Object} AuthProvider
+ * @property {function({email: string, password: string}): Promise<AuthResult>} login
+ * @property {function({name: string, email: string, password: string}): Promise<AuthResult>} register
+ * @property {function(string|null): Promise<void>} logout - Receives the session token
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { createHttpAuthProvider } from "./httpAuthProvider";
+import { createLocalAuthProvider } from "./localAuthProvider";
+
+export { createHttpAuthProvider, createLocalAuthProvider }
+
+/**
+ * Create the provider selected by the environment
+ *
+ * @returns {AuthProvider} HTTP provider when VITE_AUTH_API_URL is set, local provider otherwise
+ */
+export const createAuthProvider = () => {
+    const baseUrl = import.meta.env.VITE_AUTH_API_URL
+    return baseUrl ? createHttpAuthProvider({ baseUrl }) : createLocalAuthProvider()
+}
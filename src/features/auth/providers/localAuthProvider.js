@@ -0,0 +1,32 @@
+/**
+ * localAuthProvider.js - Auth provider backed by the local user registry
+ *
+ * Implements the auth provider interface on top of `credentialStore`,
+ * so accounts live in this browser's localStorage. No session token is
+ * issued because there is no server to present it to.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { registerAccount, verifyCredentials } from "@/features/auth/credentialStore";
+
+/**
+ * Create a localStorage auth provider
+ *
+ * @returns {import('./index').AuthProvider} Auth provider instance
+ */
+export const createLocalAuthProvider = () => ({
+    login: async ({ email, password }) => ({
+        user: await verifyCredentials(email, password),
+        token: null,
+    }),
+
+    register: async ({ name, email, password }) => ({
+        user: await registerAccount({ name, email, password }),
+        token: null,
+    }),
+
+    // Nothing to invalidate for a local session
+    logout: async () => {},
+})
@@ -0,0 +1,177 @@
+/**
+ * notifier.js - Browser notifications for reminders
+ *
+ * Wraps the Notification API and the reminder service worker
+ * (public/reminder-sw.js). Notifications are shown through the service
+ * worker registration so they carry Complete / Snooze actions and keep
+ * working while the tab is in the background. Where the browser supports
+ * Notification Triggers, upcoming reminders are also handed to the
+ * browser ahead of time so they fire even when the app is closed.
+ *
+ * Actions clicked on a notification come back as
+ * `{ action: 'complete' | 'snooze' | 'open', todoId }`, either as a
+ * message from the service worker or, when no tab was open, as query
+ * parameters on the window the service worker opened.
+ *
+ * @typedef {Object} ReminderNotification
+ * @property {string} tag - Unique tag; showing a notification with the same tag replaces it
+ * @property {string} title - Notification title (the todo title)
+ * @property {string} body - Notification text
+ * @property {string} todoId - Todo the reminder belongs to
+ * @property {Date} at - When the reminder is due
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { SNOOZE_MINUTES } from "./reminders";
+
+// Tags of reminder notifications start with this, so they can be told apart
+export const REMINDER_TAG_PREFIX = 'reminder:'
+
+const ACTION_PARAM = 'reminderAction'
+const TODO_PARAM = 'todoId'
+
+const NOTIFICATION_ACTIONS = [
+    { action: 'complete', title: 'Mark complete' },
+    { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` },
+]
+
+/**
+ * Create the reminder notifier
+ *
+ * @param {Object} [options] - Notifier options
+ * @param {string} [options.serviceWorkerUrl] - URL of the reminder service worker
+ * @returns {Object} Notifier with getPermission, requestPermission, show, schedule, onAction and takePendingAction
+ */
+export const createNotifier = ({ serviceWorkerUrl = `${import.meta.env.BASE_URL}reminder-sw.js` } = {}) => {
+    const isSupported = typeof window !== 'undefined' && 'Notification' in window
+    const supportsWorker = isSupported && 'serviceWorker' in navigator
+    const supportsTriggers = supportsWorker && 'showTrigger' in Notification.prototype && typeof globalThis.TimestampTrigger === 'function'
+    const handlers = new Set()
+    let registration = null
+
+    // Register the service worker once and start listening to its messages
+    const getRegistration = () => {
+        if (!supportsWorker) return Promise.resolve(null)
+        if (!registration) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type !== 'reminder-action') return
+                handlers.forEach(handler => handler({ action: event.data.action, todoId: event.data.todoId }))
+            })
+            navigator.serviceWorker.startMessages()
+            registration = navigator.serviceWorker.register(serviceWorkerUrl)
+                .then(() => navigator.serviceWorker.ready)
+                .catch(error => {
+                    console.error('Could not register the reminder service worker:', error)
+                    return null
+                })
+        }
+        return registration
+    }
+
+    const toOptions = (notification) => ({
+        body: notification.body,
+        tag: notification.tag,
+        timestamp: notification.at.getTime(),
+        data: { todoId: notification.todoId },
+        requireInteraction: true,
+    })
+
+    return {
+        supportsTriggers,
+
+        /**
+         * @returns {'default'|'granted'|'denied'|'unsupported'} Current notification permission
+         */
+        getPermission: () => (isSupported ? Notification.permission : 'unsupported'),
+
+        /**
+         * Ask the user for permission to show notifications
+         *
+         * @returns {Promise<string>} The resulting permission
+         */
+        requestPermission: async () => {
+            if (!isSupported) return 'unsupported'
+            const permission = await Notification.requestPermission()
+            if (permission === 'granted') getRegistration()
+            return permission
+        },
+
+        /**
+         * Show a reminder now
+         *
+         * @param {ReminderNotification} notification - Reminder to show
+         */
+        show: async (notification) => {
+            if (!isSupported || Notification.permission !== 'granted') return
+            const worker = await getRegistration()
+            if (worker) {
+                await worker.showNotification(notification.title, { ...toOptions(notification), actions: NOTIFICATION_ACTIONS })
+                return
+            }
+            // Without a service worker there are no actions; clicking just focuses the app
+            const fallback = new Notification(notification.title, toOptions(notification))
+            fallback.onclick = () => {
+                window.focus()
+                fallback.close()
+            }
+        },
+
+        /**
+         * Hand upcoming reminders to the browser (Notification Triggers only)
+         *
+         * Replaces everything scheduled earlier, so pass the complete list.
+         *
+         * @param {Array<ReminderNotification>} notifications - Upcoming reminders
+         */
+        schedule: async (notifications) => {
+            if (!supportsTriggers || Notification.permission !== 'granted') return
+            const worker = await getRegistration()
+            if (!worker) return
+
+            const scheduled = await worker.getNotifications({ includeTriggered: true })
+            scheduled
+                .filter(item => item.tag.startsWith(REMINDER_TAG_PREFIX) && item.showTrigger)
+                .forEach(item => item.close())
+            await Promise.all(notifications.map(notification => (
+                worker.showNotification(notification.title, {
+                    ...toOptions(notification),
+                    actions: NOTIFICATION_ACTIONS,
+                    showTrigger: new globalThis.TimestampTrigger(notification.at.getTime()),
+                })
+            )))
+        },
+
+        /**
+         * Listen for actions clicked on notifications
+         *
+         * @param {function({action: string, todoId: string}): void} handler - Called for each action
+         * @returns {Function} Unsubscribe function
+         */
+        onAction: (handler) => {
+            handlers.add(handler)
+            getRegistration()
+            return () => handlers.delete(handler)
+        },
+
+        /**
+         * Read (and remove from the URL) an action passed to a window the
+         * service worker opened
+         *
+         * @returns {{action: string, todoId: string}|null} The action, or null when there is none
+         */
+        takePendingAction: () => {
+            if (typeof window === 'undefined') return null
+            const url = new URL(window.location.href)
+            const action = url.searchParams.get(ACTION_PARAM)
+            const todoId = url.searchParams.get(TODO_PARAM)
+            if (!action || !todoId) return null
+
+            url.searchParams.delete(ACTION_PARAM)
+            url.searchParams.delete(TODO_PARAM)
+            window.history.replaceState(window.history.state, '', url)
+            return { action, todoId }
+        },
+    }
+}
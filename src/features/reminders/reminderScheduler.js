@@ -0,0 +1,163 @@
+/**
+ * reminderScheduler.js - Fires todo reminders at the right time
+ *
+ * Built on RTK's listener middleware, like the todo persistence:
+ *
+ * - Whenever the todos change, the timer is set for the next reminder
+ * - When it fires, every reminder due since the last check is shown
+ *   through the notifier (reminders missed while the app was closed are
+ *   shown on the next start, up to MISSED_WINDOW_MS back)
+ * - Complete / Snooze clicked on a notification are applied through the
+ *   same sync thunks the UI uses
+ *
+ * The time of the last check is kept per user in localStorage under
+ * `remindersCheckedAt:<namespace>`, so each reminder is shown only once
+ * even across reloads. "Not now" on the permission prompt is saved under
+ * `reminderPromptDismissed` (read back with isReminderPromptDismissed).
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { createListenerMiddleware } from "@reduxjs/toolkit";
+import { addMinutes } from "date-fns";
+import { todosHydrated } from "@/features/todo/todoSlice";
+import { snoozeTodoReminder, toggleTodo } from "@/features/todo/todoThunks";
+import { dismissReminderPrompt } from "./reminderSlice";
+import { REMINDER_TAG_PREFIX } from "./notifier";
+import { SNOOZE_MINUTES, getNextReminderTime, getReminderMessage, getRemindersBetween } from "./reminders";
+
+const CHECKED_KEY = 'remindersCheckedAt'
+const PROMPT_DISMISSED_KEY = 'reminderPromptDismissed'
+
+// Reminders older than this are not shown when the app starts again
+const MISSED_WINDOW_MS = 24 * 60 * 60 * 1000
+
+// Re-check at least this often, so a sleeping laptop or a clock change cannot delay reminders for long
+const MAX_TIMER_MS = 60 * 60 * 1000
+
+// How far ahead reminders are handed to the browser (Notification Triggers)
+const TRIGGER_WINDOW_MS = 7 * 24 * 60 * 60 * 1000
+
+const getCheckedAt = (namespace) => {
+    const value = Number(localStorage.getItem(`${CHECKED_KEY}:${namespace}`))
+    return value ? new Date(value) : null
+}
+
+const setCheckedAt = (namespace, date) => {
+    localStorage.setItem(`${CHECKED_KEY}:${namespace}`, String(date.getTime()))
+}
+
+/**
+ * Whether the user chose "Not now" on the permission prompt before
+ *
+ * @returns {boolean} Saved choice
+ */
+export const isReminderPromptDismissed = () => localStorage.getItem(PROMPT_DISMISSED_KEY) === 'true'
+
+/**
+ * Build the notification for a reminder
+ *
+ * @param {Object} reminder - Reminder from getTodoReminders
+ * @param {Array} todos - All todos
+ * @returns {import('./notifier').ReminderNotification} Notification to show
+ */
+const toNotification = (reminder, todos) => ({
+    tag: `${REMINDER_TAG_PREFIX}${reminder.key}`,
+    title: reminder.title,
+    body: getReminderMessage(todos.find(todo => todo.id === reminder.todoId)),
+    todoId: reminder.todoId,
+    at: reminder.at,
+})
+
+/**
+ * Create the reminder scheduler middleware
+ *
+ * @param {Object} options - Scheduler options
+ * @param {Object} options.notifier - Notifier from createNotifier
+ * @returns {{middleware: Function}} Listener middleware to add to the store
+ */
+export const createReminderScheduler = ({ notifier }) => {
+    const listener = createListenerMiddleware()
+    let timer = null
+    let unsubscribe = null
+
+    const check = ({ getState }) => {
+        clearTimeout(timer)
+        timer = null
+
+        const { todo: { todos, namespace, isHydrated }, reminders: { permission } } = getState()
+        if (!namespace || !isHydrated) {
+            notifier.schedule([])
+            return
+        }
+
+        const now = new Date()
+        const checkedAt = getCheckedAt(namespace) || now
+        const from = new Date(Math.max(checkedAt.getTime(), now.getTime() - MISSED_WINDOW_MS))
+        setCheckedAt(namespace, now)
+
+        if (permission === 'granted') {
+            // With Notification Triggers the browser already showed them
+            if (!notifier.supportsTriggers) {
+                getRemindersBetween(todos, from, now).forEach(reminder => {
+                    notifier.show(toNotification(reminder, todos))
+                })
+            }
+            const upcoming = getRemindersBetween(todos, now, new Date(now.getTime() + TRIGGER_WINDOW_MS))
+            notifier.schedule(upcoming.map(reminder => toNotification(reminder, todos)))
+        }
+
+        const next = getNextReminderTime(todos, now)
+        if (next) {
+            timer = setTimeout(() => check({ getState }), Math.min(next - now, MAX_TIMER_MS))
+        }
+    }
+
+    /**
+     * Apply an action clicked on a notification
+     */
+    const handleAction = ({ dispatch, getState }, { action, todoId }) => {
+        const todo = getState().todo.todos.find(item => item.id === todoId)
+        if (!todo || todo.deletedAt) return
+        if (action === 'complete' && !todo.isCompleted) {
+            dispatch(toggleTodo(todoId))
+        } else if (action === 'snooze') {
+            dispatch(snoozeTodoReminder({ todoId, until: addMinutes(new Date(), SNOOZE_MINUTES).toISOString() }))
+        }
+    }
+
+    // Start handling notification actions once the user's todos are loaded
+    listener.startListening({
+        actionCreator: todosHydrated,
+        effect: (action, listenerApi) => {
+            const api = { dispatch: listenerApi.dispatch, getState: listenerApi.getState }
+            if (!unsubscribe) {
+                unsubscribe = notifier.onAction(pending => handleAction(api, pending))
+            }
+            const pending = notifier.takePendingAction()
+            if (pending) handleAction(api, pending)
+        },
+    })
+
+    // Remember "Not now" on the permission prompt
+    listener.startListening({
+        actionCreator: dismissReminderPrompt,
+        effect: () => {
+            localStorage.setItem(PROMPT_DISMISSED_KEY, 'true')
+        },
+    })
+
+    // Reschedule whenever the todos, the user or the permission change
+    listener.startListening({
+        predicate: (action, currentState, previousState) => (
+            currentState.todo.todos !== previousState.todo.todos ||
+            currentState.todo.isHydrated !== previousState.todo.isHydrated ||
+            currentState.todo.namespace !== previousState.todo.namespace ||
+            currentState.reminders.permission !== previousState.reminders.permission
+        ),
+        effect: (action, listenerApi) => check(listenerApi),
+    })
+
+    return { middleware: listener.middleware }
+}
@@ -0,0 +1,53 @@
+/**
+ * reminderSlice.js - Notification permission state for reminders
+ *
+ * State Structure:
+ * - permission: 'default' | 'granted' | 'denied' | 'unsupported'
+ * - promptDismissed: Whether the user chose "Not now" on the permission prompt
+ *
+ * The permission itself is read through the notifier passed to the thunks
+ * as `extraArgument.notifier`. The prompt choice is saved and restored by
+ * the reminder scheduler (see reminderScheduler.js), keeping the reducers pure.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { createAsyncThunk, createSlice } from "@reduxjs/toolkit";
+
+const initialState = {
+    permission: 'default',    // Read from the notifier at startup
+    promptDismissed: false,   // Restored from storage at startup
+}
+
+/**
+ * Ask the browser for permission to show reminder notifications
+ */
+export const requestReminderPermission = createAsyncThunk(
+    'reminders/requestPermission',
+    async (_, { extra }) => extra.notifier.requestPermission()
+)
+
+export const reminderSlice = createSlice({
+    name: "reminders",
+    initialState,
+    reducers: {
+        permissionChanged: (state, action) => {
+            state.permission = action.payload
+        },
+        dismissReminderPrompt: (state) => {
+            state.promptDismissed = true
+        },
+        reminderPromptRestored: (state, action) => {
+            state.promptDismissed = action.payload
+        },
+    },
+    extraReducers: (builder) => {
+        builder.addCase(requestReminderPermission.fulfilled, (state, action) => {
+            state.permission = action.payload
+        })
+    },
+})
+
+export const { permissionChanged, dismissReminderPrompt, reminderPromptRestored } = reminderSlice.actions
+export default reminderSlice.reducer
@@ -0,0 +1,121 @@
+/**
+ * reminders.js - When a todo's reminders are due
+ *
+ * A todo's `reminders` is a list of offsets in minutes before its due
+ * time (0 = at the due time, 60 = 1 hour before, ...). A todo can also
+ * carry `snoozedUntil`, an ISO timestamp at which a snoozed reminder
+ * fires again.
+ *
+ * Target dates picked from the calendar have no time of day (local
+ * midnight). Those todos are treated as due at DEFAULT_DUE_HOUR so that
+ * "at due time" does not fire in the middle of the night.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { addMinutes, format, isSameDay, setHours, startOfDay } from "date-fns";
+
+export const REMINDER_OPTIONS = [
+    { value: 0, label: 'At due time' },
+    { value: 15, label: '15 minutes before' },
+    { value: 60, label: '1 hour before' },
+    { value: 1440, label: '1 day before' },
+]
+
+// How long the notification's Snooze action postpones a reminder
+export const SNOOZE_MINUTES = 10
+
+const DEFAULT_DUE_HOUR = 9
+
+/**
+ * Get the moment a todo is due
+ *
+ * @param {Object} todo - Todo object
+ * @returns {Date|null} Due time, or null for undated todos
+ */
+export const getDueTime = (todo) => {
+    if (!todo.targetDate) return null
+    const date = new Date(todo.targetDate)
+    if (isNaN(date.getTime())) return null
+    return date.getTime() === startOfDay(date).getTime() ? setHours(date, DEFAULT_DUE_HOUR) : date
+}
+
+/**
+ * List every reminder of a todo with the time it fires
+ *
+ * @param {Object} todo - Todo object
+ * @returns {Array<{key: string, todoId: string, title: string, at: Date, offset: number|null}>}
+ *   Reminders sorted by time; `offset` is null for a snoozed reminder.
+ *   `key` identifies the reminder so it can be shown only once.
+ */
+export const getTodoReminders = (todo) => {
+    if (todo.isCompleted || todo.deletedAt) return []
+
+    const reminders = []
+    const due = getDueTime(todo)
+    if (due) {
+        for (const offset of todo.reminders || []) {
+            const at = addMinutes(due, -offset)
+            reminders.push({ key: `${todo.id}:${offset}:${at.getTime()}`, todoId: todo.id, title: todo.title, at, offset })
+        }
+    }
+    if (todo.snoozedUntil) {
+        const at = new Date(todo.snoozedUntil)
+        reminders.push({ key: `${todo.id}:snooze:${at.getTime()}`, todoId: todo.id, title: todo.title, at, offset: null })
+    }
+    return reminders.sort((a, b) => a.at - b.at)
+}
+
+/**
+ * Find reminders that fire within a time window
+ *
+ * @param {Array} todos - All todos
+ * @param {Date} from - Window start (exclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @returns {Array} Reminders in the window, oldest first
+ */
+export const getRemindersBetween = (todos, from, to) => (
+    todos
+        .flatMap(getTodoReminders)
+        .filter(reminder => reminder.at > from && reminder.at <= to)
+        .sort((a, b) => a.at - b.at)
+)
+
+/**
+ * Find the first reminder after a moment
+ *
+ * @param {Array} todos - All todos
+ * @param {Date} after - Moment to search from
+ * @returns {Date|null} Time of the next reminder, or null when none is set
+ */
+export const getNextReminderTime = (todos, after) => {
+    let next = null
+    for (const reminder of todos.flatMap(getTodoReminders)) {
+        if (reminder.at > after && (!next || reminder.at < next)) next = reminder.at
+    }
+    return next
+}
+
+/**
+ * Label for a reminder offset
+ *
+ * @param {number} offset - Minutes before the due time
+ * @returns {string} Label such as "1 hour before"
+ */
+export const describeReminder = (offset) => (
+    REMINDER_OPTIONS.find(option => option.value === offset)?.label || `${offset} minutes before`
+)
+
+/**
+ * Notification body for a todo's reminder
+ *
+ * @param {Object} todo - Todo object
+ * @returns {string} Text such as "Due today at 09:00"
+ */
+export const getReminderMessage = (todo) => {
+    const due = getDueTime(todo)
+    if (!due) return 'Reminder'
+    const when = isSameDay(due, new Date()) ? 'today' : format(due, 'EEE, MMM d')
+    return `${due < new Date() ? 'Was due' : 'Due'} ${when} at ${format(due, 'HH:mm')}`
+}
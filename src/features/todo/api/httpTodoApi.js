@@ -0,0 +1,73 @@
+/**
+ * httpTodoApi.js - Todo API backed by a REST endpoint
+ *
+ * Implements the todo API interface against a JSON REST API. Every
+ * request carries the session token issued by the HTTP auth provider:
+ *
+ * - GET    {baseUrl}/todos          → Todo[]
+ * - POST   {baseUrl}/todos          Todo              → Todo
+ * - PUT    {baseUrl}/todos/:id      Todo              → Todo
+ * - PATCH  {baseUrl}/todos/:id      { isCompleted, nextOccurrenceId } → Todo
+ * - DELETE {baseUrl}/todos/:id                        → 204
+ *
+ * Error responses are expected to carry a JSON body of the form `{ message }`.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+/**
+ * Create an HTTP todo API
+ *
+ * @param {Object} options - API options
+ * @param {string} options.baseUrl - Base URL of the REST API (e.g. http://localhost:3001)
+ * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+ * @returns {import('./index').TodoApi} Todo API instance
+ */
+export const createHttpTodoApi = ({ baseUrl, fetch = globalThis.fetch.bind(globalThis) }) => {
+    const apiUrl = baseUrl.replace(/\/+$/, '')
+
+    /**
+     * Send a JSON request and parse the JSON response
+     *
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to the base URL
+     * @param {string|null} token - Session token for the Authorization header
+     * @param {Object} [body] - Request body
+     * @returns {Promise<Object|null>} Parsed response body (null for empty responses)
+     * @throws {Error} With the server's message when the response is not ok
+     */
+    const request = async (method, path, token, body) => {
+        const response = await fetch(`${apiUrl}${path}`, {
+            method,
+            headers: {
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            },
+            body: body ? JSON.stringify(body) : undefined,
+        })
+
+        const text = await response.text()
+        const data = text ? JSON.parse(text) : null
+
+        if (!response.ok) {
+            throw new Error(data?.message || `Request failed with status ${response.status}`)
+        }
+        return data
+    }
+
+    const todoPath = (id) => `/todos/${encodeURIComponent(id)}`
+
+    return {
+        fetchTodos: (token) => request('GET', '/todos', token),
+        createTodo: (todo, token) => request('POST', '/todos', token, todo),
+        updateTodo: (todo, token) => request('PUT', todoPath(todo.id), token, todo),
+        toggleTodo: (todo, token) => request('PATCH', todoPath(todo.id), token, {
+            isCompleted: todo.isCompleted,
+            nextOccurrenceId: todo.nextOccurrenceId,
+        }),
+        deleteTodo: async (id, token) => {
+            await request('DELETE', todoPath(id), token)
+        },
+    }
+}
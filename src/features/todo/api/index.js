@@ -0,0 +1,35 @@
+/**
+ * Todo API
+ *
+ * The sync thunks in `todoSlice` never talk to a backend directly. They
+ * call whichever todo API the store was configured with, passed in as the
+ * thunk `extraArgument`.
+ *
+ * Set `VITE_TODO_API_URL` to sync todos with a REST server (this needs the
+ * HTTP auth provider for the session token); otherwise todos stay local.
+ *
+ * @typedef {Object} TodoApi
+ * @property {function(string|null): Promise<Array|null>} fetchTodos - All todos, or null when there is no server copy
+ * @property {function(Object, string|null): Promise<Object>} createTodo - Saves a new todo, resolves with the stored version
+ * @property {function(Object, string|null): Promise<Object>} updateTodo - Saves an edited todo, resolves with the stored version
+ * @property {function(Object, string|null): Promise<Object>} toggleTodo - Saves a todo's completion state, resolves with the stored version
+ * @property {function(string, string|null): Promise<void>} deleteTodo - Deletes a todo by ID
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { createHttpTodoApi } from "./httpTodoApi";
+import { createLocalTodoApi } from "./localTodoApi";
+
+export { createHttpTodoApi, createLocalTodoApi }
+
+/**
+ * Create the todo API selected by the environment
+ *
+ * @returns {TodoApi} HTTP API when VITE_TODO_API_URL is set, local API otherwise
+ */
+export const createTodoApi = () => {
+    const baseUrl = import.meta.env.VITE_TODO_API_URL
+    return baseUrl ? createHttpTodoApi({ baseUrl }) : createLocalTodoApi()
+}
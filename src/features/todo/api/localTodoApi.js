@@ -0,0 +1,23 @@
+/**
+ * localTodoApi.js - Todo API used when no server is configured
+ *
+ * Implements the todo API interface without a backend: every write simply
+ * echoes the todo back, and `fetchTodos` resolves to `null` so the todos
+ * already loaded from localStorage are kept.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+/**
+ * Create a local (server-less) todo API
+ *
+ * @returns {import('./index').TodoApi} Todo API instance
+ */
+export const createLocalTodoApi = () => ({
+    fetchTodos: async () => null,
+    createTodo: async (todo) => todo,
+    updateTodo: async (todo) => todo,
+    toggleTodo: async (todo) => todo,
+    deleteTodo: async () => {},
+})
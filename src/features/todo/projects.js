@@ -0,0 +1,52 @@
+/**
+ * projects.js - Projects that group todos
+ *
+ * Each todo belongs to one project through its `projectId`. A todo
+ * without one (or whose project no longer exists) is in the built-in
+ * Inbox, which cannot be renamed or deleted. Projects are stored per
+ * user next to the todos (see todoStorage.js) and are local to the
+ * browser; the todos' projectId is synced like any other field.
+ *
+ * Project shape: { id, name, color, icon, archived, createdAt }
+ * Archived projects are hidden from the "All tasks" view and from the
+ * project pickers, but can still be opened from the sidebar.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+// Route ID of the built-in Inbox (todos have projectId null)
+export const INBOX_ID = 'inbox'
+
+// Names of the colors and icons a project can have (see lib/projectStyles.js)
+export const PROJECT_COLORS = ['blue', 'green', 'red', 'orange', 'purple', 'pink', 'teal', 'gray']
+export const PROJECT_ICONS = ['folder', 'briefcase', 'home', 'user', 'star', 'heart', 'book', 'cart', 'code']
+
+/**
+ * Project a todo is shown in
+ *
+ * @param {Object} todo - Todo object
+ * @param {Array} projects - All projects
+ * @returns {string} Project ID, or INBOX_ID
+ */
+export const getTodoProjectId = (todo, projects) => (
+    todo.projectId && projects.some(project => project.id === todo.projectId) ? todo.projectId : INBOX_ID
+)
+
+/**
+ * Value to store in a new todo's projectId for the project being viewed
+ *
+ * @param {string|undefined} projectId - Project from the route (undefined for all tasks)
+ * @returns {string|null} Project ID, or null for the Inbox
+ */
+export const toTodoProjectId = (projectId) => (
+    projectId && projectId !== INBOX_ID ? projectId : null
+)
+
+/**
+ * Route of a project
+ *
+ * @param {string} projectId - Project ID or INBOX_ID
+ * @returns {string} Path
+ */
+export const getProjectPath = (projectId) => `/projects/${encodeURIComponent(projectId)}`
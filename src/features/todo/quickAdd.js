@@ -0,0 +1,241 @@
+/**
+ * quickAdd.js - Natural-language quick add
+ *
+ * Reads a target date, time, priority and tags out of the text typed into
+ * the title field, e.g. "Send invoice tomorrow 5pm !high #finance"
+ * becomes the title "Send invoice", due tomorrow at 17:00, high priority,
+ * tagged "finance". Phrases are matched as whole words, case-insensitive:
+ *
+ * - Dates: today, tonight, tomorrow (tmrw); a weekday (fri, friday, this
+ *   fri) for its next occurrence, today included; next fri for that day in
+ *   next week; next week (next Monday); next month (its 1st); in 3 days /
+ *   2 weeks / a month; end of week (eow, the last day of the calendar
+ *   week) and end of month (eom); oct 31, 31 oct, oct 31 2027 (the next one
+ *   when no year is given) and 2026-10-31. "on", "by" and "due" before a
+ *   date are dropped with it
+ * - Times: 5pm, 5:30 pm, 17:00, noon, optionally after "at"; a time
+ *   without a date is on the given base date (today by default)
+ * - Priority: !high / !h / !1, !medium / !med / !m / !2, !low / !l / !3
+ * - Tags: #word (letters, digits, "-" and "_")
+ *
+ * Only the first date, time and priority are used; later ones stay in the
+ * title. A detected phrase can be ignored, which keeps it in the title.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import {
+    addDays,
+    addMonths,
+    addWeeks,
+    endOfMonth,
+    endOfWeek,
+    nextMonday,
+    setHours,
+    setMinutes,
+    startOfDay,
+    startOfMonth,
+    startOfWeek,
+} from "date-fns";
+
+const DATE_PREFIX = '(?:on |by |due )?'
+const TIME_PREFIX = '(?:at |@ ?)?'
+
+const WEEKDAY = 'sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?'
+const MONTH = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?'
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+const RELATIVE_UNITS = { d: addDays, w: addWeeks, m: addMonths }
+
+const PRIORITY_WORDS = {
+    high: 'high', h: 'high', 1: 'high',
+    medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+    low: 'low', l: 'low', 3: 'low',
+}
+
+/**
+ * Pattern matching a phrase as whole words
+ *
+ * @param {string} source - Regular expression source of the phrase
+ * @returns {RegExp} Global, case-insensitive pattern
+ */
+const wholeWords = (source) => new RegExp(`(?<=^|\\s)(?:${source})(?=$|[\\s.,;:!?])`, 'giu')
+
+/**
+ * Day of a weekday name in the next week or this one
+ *
+ * @param {string} name - Weekday name or abbreviation
+ * @param {Date} now - Current time
+ * @param {boolean} isNextWeek - Whether the day is in next (calendar) week
+ * @returns {Date} Start of that day
+ */
+const getWeekday = (name, now, isNextWeek) => {
+    const day = WEEKDAY_NAMES.indexOf(name.slice(0, 3).toLowerCase())
+    if (isNextWeek) return addDays(startOfWeek(addWeeks(now, 1)), day)
+    return addDays(startOfDay(now), (day - now.getDay() + 7) % 7)
+}
+
+/**
+ * Day of a month name and day number
+ *
+ * @param {Date} now - Current time
+ * @param {string} monthName - Month name or abbreviation
+ * @param {string} dayText - Day of the month
+ * @param {string} [yearText] - Year; the next such day when omitted
+ * @returns {Date|null} Start of that day, or null when it does not exist
+ */
+const getMonthDay = (now, monthName, dayText, yearText) => {
+    const month = MONTH_NAMES.indexOf(monthName.slice(0, 3).toLowerCase())
+    const day = Number(dayText)
+    let year = yearText ? Number(yearText) : now.getFullYear()
+    let date = new Date(year, month, day)
+    if (!yearText && date < startOfDay(now)) {
+        year++
+        date = new Date(year, month, day)
+    }
+    return date.getMonth() === month && date.getDate() === day ? date : null
+}
+
+/**
+ * Phrases recognized in the title, in the order they are tried (longer
+ * phrases before the shorter ones they contain). `getValue` returns null
+ * when the matched text is not a valid value.
+ */
+const QUICK_ADD_RULES = [
+    {
+        type: 'date',
+        pattern: wholeWords(`${DATE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})`),
+        getValue: ([, year, month, day], now) => getMonthDay(now, MONTH_NAMES[Number(month) - 1] || '', day, year),
+    },
+    {
+        type: 'date',
+        pattern: wholeWords(`${DATE_PREFIX}(${MONTH})\\.? (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?`),
+        getValue: ([, month, day, year], now) => getMonthDay(now, month, day, year),
+    },
+    {
+        type: 'date',
+        pattern: wholeWords(`${DATE_PREFIX}(\\d{1,2})(?:st|nd|rd|th)? (${MONTH})(?:,? (\\d{4}))?`),
+        getValue: ([, day, month, year], now) => getMonthDay(now, month, day, year),
+    },
+    {
+        type: 'date',
+        pattern: wholeWords(`${DATE_PREFIX}(?:the )?end of (?:the )?(week|month)|eo(w|m)`),
+        getValue: ([, unit, short], now) => startOfDay((unit || short).toLowerCase().startsWith('w') ? endOfWeek(now) : endOfMonth(now)),
+    },
+    {
+        type: 'date',
+        pattern: wholeWords(`${DATE_PREFIX}in (\\d+|an?|one) (day|week|month)s?`),
+        getValue: ([, count, unit], now) => (
+            RELATIVE_UNITS[unit[0].toLowerCase()](startOfDay(now), /^\d+$/.test(count) ? Number(count) : 1)
+        ),
+    },
+    {
+        type: 'date',
+        pattern: wholeWords(`${DATE_PREFIX}next (week|month)`),
+        getValue: ([, unit], now) => (unit.toLowerCase() === 'week' ? nextMonday(startOfDay(now)) : startOfMonth(addMonths(now, 1))),
+    },
+    {
+        type: 'date',
+        pattern: wholeWords(`${DATE_PREFIX}(this |next )?(${WEEKDAY})`),
+        getValue: ([, which, name], now) => getWeekday(name, now, which?.trim().toLowerCase() === 'next'),
+    },
+    {
+        type: 'date',
+        pattern: wholeWords(`${DATE_PREFIX}(today|tonight|tomorrow|tmrw)`),
+        getValue: ([, word], now) => addDays(startOfDay(now), /^to(day|night)$/i.test(word) ? 0 : 1),
+    },
+    {
+        type: 'time',
+        pattern: wholeWords(`${TIME_PREFIX}(\\d{1,2})(?::([0-5]\\d))? ?(am|pm)`),
+        getValue: ([, hours, minutes, meridiem]) => {
+            const hour = Number(hours)
+            if (hour < 1 || hour > 12) return null
+            return { hours: hour % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0), minutes: Number(minutes || 0) }
+        },
+    },
+    {
+        type: 'time',
+        pattern: wholeWords(`${TIME_PREFIX}([01]?\\d|2[0-3]):([0-5]\\d)`),
+        getValue: ([, hours, minutes]) => ({ hours: Number(hours), minutes: Number(minutes) }),
+    },
+    {
+        type: 'time',
+        pattern: wholeWords(`${TIME_PREFIX}noon`),
+        getValue: () => ({ hours: 12, minutes: 0 }),
+    },
+    {
+        type: 'priority',
+        pattern: wholeWords('!(high|h|medium|med|m|low|l|1|2|3)'),
+        getValue: ([, word]) => PRIORITY_WORDS[word.toLowerCase()],
+    },
+    {
+        type: 'tag',
+        pattern: wholeWords('#([\\p{L}\\p{N}_-]+)'),
+        getValue: ([, tag]) => tag,
+    },
+]
+
+/**
+ * Parse the text typed into the title field
+ *
+ * @param {string} text - Title field text
+ * @param {Object} [options] - Parse options
+ * @param {Date} [options.now] - Current time, which relative dates count from
+ * @param {Date|null} [options.baseDate] - Day a time typed without a date is on (e.g. the date picker's); today when omitted
+ * @param {Array<string>} [options.ignored] - Phrases (detection `text`) to keep in the title
+ * @returns {{title: string, targetDate: Date|null, priority: string|null, tags: Array<string>,
+ *   detections: Array<{type: string, text: string, value: *}>}} The title without the detected
+ *   phrases, what they set, and the detections in the order they appear
+ */
+export const parseQuickAdd = (text, { now = new Date(), baseDate = null, ignored = [] } = {}) => {
+    const ignoredPhrases = new Set(ignored.map(phrase => phrase.toLowerCase()))
+    const matches = []          // Phrases found, ignored ones included
+    const removed = []          // Ranges taken out of the title
+    const detections = []
+
+    const isFree = (start, end) => matches.every(match => end <= match.start || start >= match.end)
+
+    for (const rule of QUICK_ADD_RULES) {
+        for (const match of text.matchAll(rule.pattern)) {
+            const start = match.index
+            const end = start + match[0].length
+            const value = isFree(start, end) ? rule.getValue(match, now) : null
+            if (value !== null && value !== undefined) matches.push({ type: rule.type, text: match[0], value, start, end })
+        }
+    }
+
+    matches.sort((a, b) => a.start - b.start)
+    for (const match of matches) {
+        if (ignoredPhrases.has(match.text.toLowerCase())) continue
+        const isRepeated = detections.some(detection => detection.type === match.type &&
+            (match.type !== 'tag' || detection.value.toLowerCase() === match.value.toLowerCase()))
+        // A later date, time or priority stays in the title; a repeated tag is only removed
+        if (isRepeated && match.type !== 'tag') continue
+        removed.push(match)
+        if (!isRepeated) detections.push(match)
+    }
+
+    removed.sort((a, b) => b.start - a.start)
+    const title = removed
+        .reduce((rest, range) => rest.slice(0, range.start) + ' ' + rest.slice(range.end), text)
+        .replace(/\s+/g, ' ')
+        .replace(/[\s,;:-]+$/, '')
+        .trim()
+
+    const find = (type) => detections.find(detection => detection.type === type)?.value ?? null
+    const date = find('date')
+    const time = find('time')
+    let targetDate = date || time ? startOfDay(date || baseDate || now) : null
+    if (time) targetDate = setMinutes(setHours(targetDate, time.hours), time.minutes)
+
+    return {
+        title,
+        targetDate,
+        priority: find('priority'),
+        tags: detections.filter(detection => detection.type === 'tag').map(detection => detection.value),
+        detections: detections.map(({ type, text: phrase, value }) => ({ type, text: phrase, value })),
+    }
+}
@@ -0,0 +1,258 @@
+/**
+ * recurrence.js - Repeat rules for recurring todos
+ *
+ * A todo's `recurrence` is null for one-off todos, or one of:
+ * - { type: 'daily' }
+ * - { type: 'weekdays' }                        Monday to Friday
+ * - { type: 'weekly', days: [1, 3] }            Chosen weekdays (0 = Sunday)
+ * - { type: 'monthly', dayOfMonth: 15 }         Clamped to short months
+ * - { type: 'interval', interval: 3 }           Every N days
+ * - { type: 'rrule', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE' }
+ *
+ * Supported RRULE parts (RFC 5545 subset): FREQ (DAILY, WEEKLY, MONTHLY,
+ * YEARLY), INTERVAL, BYDAY (weekly), BYMONTHDAY (monthly) and UNTIL. A
+ * date-only UNTIL includes that day; a date-time UNTIL ending in "Z" is UTC,
+ * otherwise local time. COUNT is rejected: each occurrence is a separate
+ * todo, so there is nothing to count them with.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import {
+    addDays,
+    addMonths,
+    addWeeks,
+    addYears,
+    differenceInCalendarWeeks,
+    endOfDay,
+    getDate,
+    getDay,
+    getDaysInMonth,
+    isWeekend,
+    setDate,
+} from "date-fns";
+
+export const RECURRENCE_TYPES = ['daily', 'weekdays', 'weekly', 'monthly', 'interval', 'rrule']
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const RRULE_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY']
+
+// Upper bound when skipping occurrences that are already in the past
+const MAX_CATCH_UP_STEPS = 1000
+
+/**
+ * Parse an RRULE UNTIL value
+ *
+ * @param {string} value - YYYYMMDD, or YYYYMMDDTHHMMSS with an optional "Z"
+ * @returns {Date|null} Last moment of the series, or null when invalid
+ */
+const parseUntil = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/i)
+    if (!match) return null
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1, 7).map(part => Number(part || 0))
+    const isUtc = Boolean(match[7])
+    const date = isUtc
+        ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+        : new Date(year, month - 1, day, hours, minutes, seconds)
+
+    // Reject values that rolled over, such as month 13 or 25 o'clock
+    const fields = isUtc
+        ? [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+        : [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()]
+    if (fields.some((field, index) => field !== [year, month, day, hours, minutes, seconds][index])) return null
+
+    return match[4] === undefined ? endOfDay(date) : date
+}
+
+/**
+ * Parse an RRULE string
+ *
+ * @param {string} rrule - Rule such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR"
+ * @returns {{freq: string, interval: number, byDay: Array<number>, byMonthDay: number|null, until: Date|null}}
+ * @throws {Error} When the rule is malformed or uses unsupported parts
+ */
+export const parseRRule = (rrule) => {
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: null, until: null }
+    const body = String(rrule || '').trim().replace(/^RRULE:/i, '')
+    if (!body) throw new Error('Repeat rule is empty')
+
+    for (const part of body.split(';').filter(Boolean)) {
+        const [name, value = ''] = part.split('=')
+        switch (name.toUpperCase()) {
+            case 'FREQ':
+                rule.freq = value.toUpperCase()
+                if (!RRULE_FREQS.includes(rule.freq)) throw new Error(`Unsupported FREQ "${value}"`)
+                break
+            case 'INTERVAL':
+                rule.interval = Number(value)
+                if (!Number.isInteger(rule.interval) || rule.interval < 1) throw new Error('INTERVAL must be a positive whole number')
+                break
+            case 'BYDAY':
+                rule.byDay = value.toUpperCase().split(',').map(day => {
+                    const index = RRULE_DAYS.indexOf(day)
+                    if (index === -1) throw new Error(`Unknown BYDAY value "${day}"`)
+                    return index
+                })
+                break
+            case 'BYMONTHDAY':
+                rule.byMonthDay = Number(value)
+                if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) {
+                    throw new Error('BYMONTHDAY must be between 1 and 31')
+                }
+                break
+            case 'UNTIL':
+                rule.until = parseUntil(value)
+                if (!rule.until) throw new Error(`Invalid UNTIL "${value}" (use YYYYMMDD or YYYYMMDDTHHMMSSZ)`)
+                break
+            case 'COUNT':
+                throw new Error('COUNT is not supported; end the series with UNTIL instead')
+            default:
+                throw new Error(`Unsupported rule part "${name}"`)
+        }
+    }
+
+    if (!rule.freq) throw new Error('Repeat rule needs a FREQ')
+    return rule
+}
+
+/**
+ * Check whether an RRULE string can be used
+ *
+ * @param {string} rrule - Rule to check
+ * @returns {string|null} Error message, or null when the rule is valid
+ */
+export const getRRuleError = (rrule) => {
+    try {
+        parseRRule(rrule)
+        return null
+    } catch (error) {
+        return error.message
+    }
+}
+
+// Next date on one of the given weekdays, in a week that matches the interval
+const nextWeekly = (base, days, interval) => {
+    const weekdays = days.length > 0 ? days : [getDay(base)]
+    for (let offset = 1; offset <= 7 * interval + 7; offset++) {
+        const candidate = addDays(base, offset)
+        const weeksApart = differenceInCalendarWeeks(candidate, base)
+        if (weekdays.includes(getDay(candidate)) && weeksApart % interval === 0) {
+            return candidate
+        }
+    }
+    return addWeeks(base, interval)
+}
+
+// Next date on the given day of the month, every `interval` months
+const nextMonthly = (base, dayOfMonth, interval) => {
+    for (let step = 0; step <= 2; step++) {
+        const month = addMonths(base, step * interval)
+        const candidate = setDate(month, Math.min(dayOfMonth, getDaysInMonth(month)))
+        if (candidate > base) return candidate
+    }
+    return addMonths(base, interval)
+}
+
+/**
+ * Compute the occurrence directly after a date
+ *
+ * @param {Object} recurrence - Repeat rule (see module docs)
+ * @param {Date} base - Date of the current occurrence
+ * @returns {Date|null} Next occurrence, or null when the rule has ended
+ */
+const getFollowingDate = (recurrence, base) => {
+    switch (recurrence.type) {
+        case 'daily':
+            return addDays(base, 1)
+        case 'weekdays': {
+            let next = addDays(base, 1)
+            while (isWeekend(next)) next = addDays(next, 1)
+            return next
+        }
+        case 'weekly':
+            return nextWeekly(base, recurrence.days || [], 1)
+        case 'monthly':
+            return nextMonthly(base, recurrence.dayOfMonth || getDate(base), 1)
+        case 'interval':
+            return addDays(base, Math.max(1, recurrence.interval || 1))
+        case 'rrule': {
+            const rule = parseRRule(recurrence.rrule)
+            let next
+            switch (rule.freq) {
+                case 'DAILY':
+                    next = addDays(base, rule.interval)
+                    break
+                case 'WEEKLY':
+                    next = nextWeekly(base, rule.byDay, rule.interval)
+                    break
+                case 'MONTHLY':
+                    next = nextMonthly(base, rule.byMonthDay || getDate(base), rule.interval)
+                    break
+                default:
+                    next = addYears(base, rule.interval)
+            }
+            return rule.until && next > rule.until ? null : next
+        }
+        default:
+            return null
+    }
+}
+
+/**
+ * Compute when a recurring todo is due next
+ *
+ * Starts from the current due date (or `now` for undated todos) and skips
+ * occurrences that are already in the past, so completing an overdue
+ * daily todo schedules the next one in the future.
+ *
+ * @param {Object|null} recurrence - Repeat rule
+ * @param {string|null} targetDate - Current due date (ISO string)
+ * @param {Date} now - Completion time
+ * @returns {Date|null} Next due date, or null for non-recurring or finished rules
+ */
+export const getNextOccurrence = (recurrence, targetDate, now) => {
+    if (!recurrence) return null
+
+    let next = targetDate ? new Date(targetDate) : now
+    try {
+        for (let step = 0; step < MAX_CATCH_UP_STEPS; step++) {
+            next = getFollowingDate(recurrence, next)
+            if (!next || next > now) return next
+        }
+    } catch (error) {
+        // An invalid RRULE simply stops the series
+        return null
+    }
+    return next
+}
+
+/**
+ * Human readable summary of a repeat rule
+ *
+ * @param {Object|null} recurrence - Repeat rule
+ * @returns {string|null} Summary such as "Weekly on Mon, Wed", or null when not recurring
+ */
+export const describeRecurrence = (recurrence) => {
+    if (!recurrence) return null
+    switch (recurrence.type) {
+        case 'daily':
+            return 'Daily'
+        case 'weekdays':
+            return 'Every weekday'
+        case 'weekly':
+            return recurrence.days?.length
+                ? `Weekly on ${[...recurrence.days].sort().map(day => WEEKDAY_LABELS[day]).join(', ')}`
+                : 'Weekly'
+        case 'monthly':
+            return `Monthly on day ${recurrence.dayOfMonth}`
+        case 'interval':
+            return `Every ${recurrence.interval} days`
+        case 'rrule':
+            return `Repeats: ${recurrence.rrule}`
+        default:
+            return null
+    }
+}
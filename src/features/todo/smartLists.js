@@ -0,0 +1,90 @@
+/**
+ * smartLists.js - Date-based smart lists for triage
+ *
+ * Smart lists are computed from each todo's target date, compared by
+ * local calendar day:
+ * - Overdue: due before today
+ * - Due Today: due today
+ * - Next 7 Days: due in the 7 days after today
+ * - Someday: no target date
+ *
+ * Completed todos are in none of them; the lists show the work left.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { differenceInCalendarDays } from "date-fns";
+
+// How far ahead the "Next 7 Days" list looks
+const UPCOMING_DAYS = 7
+
+/**
+ * Days from today to a todo's target date
+ *
+ * @param {Object} todo - Todo with a targetDate
+ * @param {Date} now - Current time
+ * @returns {number} Calendar days (negative when in the past)
+ */
+const getDaysUntilDue = (todo, now) => differenceInCalendarDays(new Date(todo.targetDate), now)
+
+/**
+ * Check whether an open todo's target date has passed
+ *
+ * @param {Object} todo - Todo object
+ * @param {Date} [now] - Current time
+ * @returns {boolean} Whether the todo is overdue
+ */
+export const isOverdue = (todo, now = new Date()) => (
+    Boolean(todo.targetDate) && !todo.isCompleted && getDaysUntilDue(todo, now) < 0
+)
+
+/**
+ * Available smart lists, in the order they are shown
+ */
+export const SMART_LISTS = [
+    {
+        id: 'overdue',
+        label: 'Overdue',
+        matches: (todo, now) => isOverdue(todo, now),
+    },
+    {
+        id: 'today',
+        label: 'Due Today',
+        matches: (todo, now) => Boolean(todo.targetDate) && getDaysUntilDue(todo, now) === 0,
+    },
+    {
+        id: 'upcoming',
+        label: 'Next 7 Days',
+        matches: (todo, now) => Boolean(todo.targetDate) && getDaysUntilDue(todo, now) > 0 && getDaysUntilDue(todo, now) <= UPCOMING_DAYS,
+    },
+    {
+        id: 'someday',
+        label: 'Someday',
+        matches: (todo) => !todo.targetDate,
+    },
+]
+
+/**
+ * Check whether a todo belongs in a smart list
+ *
+ * @param {Object} todo - Todo object
+ * @param {string} listId - Smart list ID
+ * @param {Date} [now] - Current time
+ * @returns {boolean} Whether the todo is in the list (false for unknown lists)
+ */
+export const isInSmartList = (todo, listId, now = new Date()) => {
+    const list = SMART_LISTS.find(item => item.id === listId)
+    return Boolean(list) && !todo.isCompleted && list.matches(todo, now)
+}
+
+/**
+ * Count the todos in every smart list
+ *
+ * @param {Array} todos - Todos to count
+ * @param {Date} [now] - Current time
+ * @returns {Object<string, number>} Count per smart list ID
+ */
+export const getSmartListCounts = (todos, now = new Date()) => Object.fromEntries(
+    SMART_LISTS.map(list => [list.id, todos.filter(todo => isInSmartList(todo, list.id, now)).length])
+)
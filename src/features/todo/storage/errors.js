@@ -0,0 +1,27 @@
+/**
+ * Storage adapter errors
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+/**
+ * Thrown by an adapter when a stored value exists but cannot be decoded
+ *
+ * Carries the raw stored value so callers can quarantine it instead of
+ * losing it.
+ */
+export class CorruptValueError extends Error {
+    /**
+     * @param {string} key - Key of the unreadable value
+     * @param {*} raw - Raw stored value
+     * @param {Error} [cause] - Underlying decoding error
+     */
+    constructor(key, raw, cause) {
+        super(`Stored value for "${key}" could not be read`)
+        this.name = 'CorruptValueError'
+        this.key = key
+        this.raw = raw
+        this.cause = cause
+    }
+}
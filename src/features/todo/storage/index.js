@@ -0,0 +1,37 @@
+/**
+ * Storage adapters
+ *
+ * Todo persistence never touches a browser storage API directly. It goes
+ * through a storage adapter, passed to the thunks as `extraArgument.storage`
+ * and to the persistence middleware.
+ *
+ * IndexedDB is used when the browser supports it; set
+ * `VITE_STORAGE=localStorage` to force the localStorage adapter.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Adapter name, for diagnostics
+ * @property {function(string): Promise<*>} getItem - Resolves with the stored value, or null when missing;
+ *   rejects with a CorruptValueError when the value cannot be decoded
+ * @property {function(string, *): Promise<void>} setItem - Stores a value under a key
+ * @property {function(string): Promise<void>} removeItem - Deletes a key
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { CorruptValueError } from "./errors";
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+import { createLocalStorageAdapter } from "./localStorageAdapter";
+
+export { CorruptValueError, createIndexedDbAdapter, createLocalStorageAdapter }
+
+/**
+ * Create the storage adapter selected by the environment
+ *
+ * @returns {StorageAdapter} IndexedDB adapter when available, localStorage adapter otherwise
+ */
+export const createStorageAdapter = () => {
+    const useIndexedDb = typeof indexedDB !== 'undefined' &&
+        import.meta.env.VITE_STORAGE !== 'localStorage'
+    return useIndexedDb ? createIndexedDbAdapter() : createLocalStorageAdapter()
+}
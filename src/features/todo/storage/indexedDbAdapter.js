@@ -0,0 +1,70 @@
+/**
+ * indexedDbAdapter.js - Storage adapter backed by IndexedDB
+ *
+ * Keeps values in a single key-value object store. Values are stored as
+ * structured clones, so nothing is serialized to JSON, and the quota is a
+ * share of the disk instead of localStorage's ~5MB.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+/**
+ * Create an IndexedDB adapter
+ *
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.dbName] - Database name
+ * @param {string} [options.storeName] - Object store name
+ * @returns {import('./index').StorageAdapter} Storage adapter instance
+ */
+export const createIndexedDbAdapter = ({ dbName = 'task-tracker', storeName = 'keyval' } = {}) => {
+    let dbPromise = null
+
+    // Open the database once and reuse the connection
+    const openDb = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, 1)
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+                request.onsuccess = () => resolve(request.result)
+                request.onerror = () => reject(request.error)
+            })
+        }
+        return dbPromise
+    }
+
+    /**
+     * Run a single request in its own transaction
+     *
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {function(IDBObjectStore): IDBRequest} operation - Request to run
+     * @returns {Promise<*>} Request result, resolved once the transaction commits
+     */
+    const run = async (mode, operation) => {
+        const db = await openDb()
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode)
+            const request = operation(transaction.objectStore(storeName))
+            transaction.oncomplete = () => resolve(request.result)
+            transaction.onerror = () => reject(transaction.error)
+            transaction.onabort = () => reject(transaction.error)
+        })
+    }
+
+    return {
+        name: 'indexedDB',
+
+        getItem: async (key) => {
+            const value = await run('readonly', store => store.get(key))
+            return value === undefined ? null : value
+        },
+
+        setItem: async (key, value) => {
+            await run('readwrite', store => store.put(value, key))
+        },
+
+        removeItem: async (key) => {
+            await run('readwrite', store => store.delete(key))
+        },
+    }
+}
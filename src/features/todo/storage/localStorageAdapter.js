@@ -0,0 +1,38 @@
+/**
+ * localStorageAdapter.js - Storage adapter backed by window.localStorage
+ *
+ * Values are stored as JSON strings. Simple and synchronous under the hood,
+ * but browsers cap localStorage at roughly 5MB per origin.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { CorruptValueError } from "./errors";
+
+/**
+ * Create a localStorage adapter
+ *
+ * @returns {import('./index').StorageAdapter} Storage adapter instance
+ */
+export const createLocalStorageAdapter = () => ({
+    name: 'localStorage',
+
+    getItem: async (key) => {
+        const value = localStorage.getItem(key)
+        if (value === null) return null
+        try {
+            return JSON.parse(value)
+        } catch (error) {
+            throw new CorruptValueError(key, value, error)
+        }
+    },
+
+    setItem: async (key, value) => {
+        localStorage.setItem(key, JSON.stringify(value))
+    },
+
+    removeItem: async (key) => {
+        localStorage.removeItem(key)
+    },
+})
@@ -0,0 +1,32 @@
+/**
+ * tagWords.js - Tags written as single words in plain-text formats
+ *
+ * todo.txt (+tag) and Markdown (#tag) end a tag at the first space, but
+ * tags may contain spaces. Whitespace and "%" are percent-encoded
+ * ("client a" → "client%20a") so the tag reads back unchanged.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+/**
+ * Write a tag as one word
+ *
+ * @param {string} tag - Tag
+ * @returns {string} Tag without whitespace
+ */
+export const encodeTagWord = (tag) => tag.replace(/[%\s]/gu, char => encodeURIComponent(char))
+
+/**
+ * Read a tag written by encodeTagWord
+ *
+ * @param {string} word - Tag word, without its + or # sign
+ * @returns {string} Tag; invalid percent sequences are kept as they are
+ */
+export const decodeTagWord = (word) => word.replace(/(?:%[0-9A-Fa-f]{2})+/g, sequence => {
+    try {
+        return decodeURIComponent(sequence)
+    } catch (error) {
+        return sequence
+    }
+})
@@ -0,0 +1,210 @@
+/**
+ * todoBackup.js - JSON backups of a user's todos
+ *
+ * A backup holds everything stored for the user: todos (trashed ones
+ * included), tags, settings and projects, together with the schema
+ * version they were written in. Importing a backup validates every
+ * record, upgrades the data from that version (see todoSchema.js) and
+ * reports whatever had to be left out.
+ *
+ * Import strategies:
+ * - replace: The backup replaces all current data, settings included
+ * - skip: Adds todos and projects whose ID is not already present
+ * - keepBoth: Adds every todo; those whose ID is taken get a new ID
+ *
+ * The merge strategies keep the current settings, and treat a project
+ * with the same ID as the same project.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { nanoid } from "@reduxjs/toolkit";
+import { format } from "date-fns";
+import {
+    DEFAULT_TODO_SETTINGS,
+    TODO_SCHEMA_VERSION,
+    getTodoProblem,
+    isValidProject,
+    isValidSettings,
+    isValidTag,
+    isValidTodo,
+    migrateTodoData,
+} from "./todoSchema";
+
+// Identifies the file as a backup of this app
+export const BACKUP_FORMAT = 'redux-todo-app/backup'
+
+export const IMPORT_STRATEGIES = [
+    { value: 'replace', label: 'Replace', description: 'Delete all current tasks and projects and use the backup instead' },
+    { value: 'skip', label: 'Merge, skip duplicates', description: 'Add tasks and projects from the backup, except those already here' },
+    { value: 'keepBoth', label: 'Merge, keep both', description: 'Add every task from the backup, giving duplicates a new ID' },
+]
+
+/**
+ * Build a backup of the user's data
+ *
+ * @param {{todos: Array, availableTags: Array, settings: Object, projects: Array}} data - Current todo state
+ * @param {Date} [now] - Export time
+ * @returns {Object} Backup, ready for JSON.stringify
+ */
+export const createBackup = ({ todos, availableTags, settings, projects }, now = new Date()) => ({
+    format: BACKUP_FORMAT,
+    schemaVersion: TODO_SCHEMA_VERSION,
+    exportedAt: now.toISOString(),
+    todos,
+    availableTags,
+    settings,
+    projects,
+})
+
+/**
+ * File name for a backup
+ *
+ * @param {Date} [now] - Export time
+ * @returns {string} e.g. "todos-backup-2026-10-19.json"
+ */
+export const getBackupFileName = (now = new Date()) => `todos-backup-${format(now, 'yyyy-MM-dd')}.json`
+
+/**
+ * Keep the valid, unique records of a list, noting the rejected ones
+ *
+ * @param {*} records - List from the file
+ * @param {function(*): boolean} isValid - Record validator
+ * @param {string} kind - Record kind, for the report
+ * @param {Array} rejected - Collects rejected records
+ * @returns {Array} Valid records
+ */
+const takeValidRecords = (records, isValid, kind, rejected) => {
+    if (records === undefined) return []
+    if (!Array.isArray(records)) {
+        rejected.push({ kind, label: `All ${kind}s`, reason: 'not a list' })
+        return []
+    }
+
+    const seen = new Set()
+    return records.filter((record, index) => {
+        const label = record?.title || record?.name || (typeof record === 'string' ? record : `#${index + 1}`)
+        if (!isValid(record)) {
+            rejected.push({ kind, label, reason: 'missing or invalid fields' })
+            return false
+        }
+        // Repeated tags are merged later; repeated IDs would clash
+        if (typeof record === 'string') return true
+        if (seen.has(record.id)) {
+            rejected.push({ kind, label, reason: 'duplicate ID in file' })
+            return false
+        }
+        seen.add(record.id)
+        return true
+    })
+}
+
+/**
+ * Read and validate a backup file
+ *
+ * @param {string} text - File contents
+ * @returns {{todos: Array, availableTags: Array, settings: Object|null, projects: Array, exportedAt: string|null, rejected: Array<{kind: string, label: string, reason: string}>}}
+ *   Data upgraded to the current schema (settings are null when unusable) and the records left out
+ * @throws {Error} When the file is not a backup this app can read
+ */
+export const parseBackup = (text) => {
+    let backup
+    try {
+        backup = JSON.parse(text)
+    } catch (error) {
+        throw new Error('The file is not valid JSON.')
+    }
+    if (backup?.format !== BACKUP_FORMAT || !Number.isInteger(backup.schemaVersion) || !Array.isArray(backup.todos)) {
+        throw new Error('The file is not a backup from this app.')
+    }
+    if (backup.schemaVersion > TODO_SCHEMA_VERSION) {
+        throw new Error('The backup was made by a newer version of this app. Update the app and try again.')
+    }
+
+    const rejected = []
+    const data = migrateTodoData({
+        todos: takeValidRecords(backup.todos, isValidTodo, 'task', rejected),
+        availableTags: takeValidRecords(backup.availableTags, isValidTag, 'tag', rejected),
+    }, backup.schemaVersion)
+
+    const todos = data.todos.filter(todo => {
+        const problem = getTodoProblem(todo)
+        if (problem) rejected.push({ kind: 'task', label: todo.title, reason: problem })
+        return !problem
+    })
+
+    let settings = null
+    if (backup.settings !== undefined && isValidSettings(backup.settings)) {
+        settings = { ...DEFAULT_TODO_SETTINGS, ...backup.settings }
+    } else if (backup.settings !== undefined) {
+        rejected.push({ kind: 'settings', label: 'Settings', reason: 'not a settings object' })
+    }
+
+    return {
+        todos,
+        availableTags: data.availableTags,
+        settings,
+        projects: takeValidRecords(backup.projects, isValidProject, 'project', rejected),
+        exportedAt: typeof backup.exportedAt === 'string' ? backup.exportedAt : null,
+        rejected,
+    }
+}
+
+/**
+ * Combine the current data with a parsed backup
+ *
+ * @param {{todos: Array, availableTags: Array, settings: Object, projects: Array}} current - Current todo state
+ * @param {Object} backup - Result of parseBackup
+ * @param {'replace'|'skip'|'keepBoth'} strategy - Import strategy
+ * @returns {{data: {todos: Array, availableTags: Array, settings: Object, projects: Array}, summary: {added: number, skipped: number, copied: number, removed: number}}}
+ *   New data and what happened to the todos
+ */
+export const mergeBackup = (current, backup, strategy) => {
+    const tagsOf = (todos) => todos.flatMap(todo => todo.tags)
+    const mergeTags = (...lists) => [...new Set(lists.flat())]
+
+    if (strategy === 'replace') {
+        return {
+            data: {
+                todos: backup.todos,
+                availableTags: mergeTags(backup.availableTags, tagsOf(backup.todos)),
+                settings: backup.settings || current.settings,
+                projects: backup.projects,
+            },
+            summary: { added: backup.todos.length, skipped: 0, copied: 0, removed: current.todos.length },
+        }
+    }
+
+    const projectIds = new Set(current.projects.map(project => project.id))
+    const projects = [...current.projects, ...backup.projects.filter(project => !projectIds.has(project.id))]
+
+    const todoIds = new Set(current.todos.map(todo => todo.id))
+    const duplicates = backup.todos.filter(todo => todoIds.has(todo.id))
+    let added = backup.todos.filter(todo => !todoIds.has(todo.id))
+
+    if (strategy === 'keepBoth') {
+        // Copies get new IDs; links between imported todos follow them
+        const newIds = new Map(duplicates.map(todo => [todo.id, nanoid()]))
+        added = backup.todos.map(todo => ({
+            ...todo,
+            id: newIds.get(todo.id) || todo.id,
+            nextOccurrenceId: newIds.get(todo.nextOccurrenceId) || todo.nextOccurrenceId,
+        }))
+    }
+
+    return {
+        data: {
+            todos: [...current.todos, ...added],
+            availableTags: mergeTags(current.availableTags, backup.availableTags, tagsOf(added)),
+            settings: current.settings,
+            projects,
+        },
+        summary: {
+            added: added.length,
+            skipped: strategy === 'skip' ? duplicates.length : 0,
+            copied: strategy === 'keepBoth' ? duplicates.length : 0,
+            removed: 0,
+        },
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * todoBoard.js - Status columns for the board view
+ *
+ * The user's columns are saved in `settings.boardColumns`, left to right.
+ * The last column means "done": a todo is in it exactly when it is
+ * completed, so `isCompleted` (and every filter and count built on it)
+ * keeps working. A todo's `status` is the ID of the column it was last
+ * moved to; todos without a known status start in the first column.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { nanoid } from "@reduxjs/toolkit";
+import { DEFAULT_TODO_SETTINGS } from "./todoSchema";
+
+// The board needs somewhere to start and somewhere to finish
+export const MIN_BOARD_COLUMNS = 2
+
+/**
+ * The user's board columns, falling back to the defaults when the saved ones are unusable
+ *
+ * @param {Object} settings - Todo settings
+ * @returns {Array<{id: string, name: string}>} Columns, left to right
+ */
+export const getBoardColumns = (settings) => {
+    const columns = settings?.boardColumns
+    const isUsable = Array.isArray(columns) &&
+        columns.length >= MIN_BOARD_COLUMNS &&
+        columns.every(column => typeof column?.id === 'string' && typeof column.name === 'string')
+    return isUsable ? columns : DEFAULT_TODO_SETTINGS.boardColumns
+}
+
+/**
+ * Column a todo is shown in
+ *
+ * @param {Object} todo - Todo object
+ * @param {Array} columns - Board columns
+ * @returns {string} Column ID
+ */
+export const getTodoColumnId = (todo, columns) => {
+    const doneColumn = columns[columns.length - 1]
+    if (todo.isCompleted) return doneColumn.id
+    const column = columns.find(item => item.id === todo.status && item !== doneColumn)
+    return (column || columns[0]).id
+}
+
+/**
+ * Group todos by the column they are shown in
+ *
+ * @param {Array} todos - Todos, in the order they should appear in each column
+ * @param {Array} columns - Board columns
+ * @returns {Object<string, Array>} Todos per column ID
+ */
+export const groupTodosByColumn = (todos, columns) => {
+    const groups = Object.fromEntries(columns.map(column => [column.id, []]))
+    todos.forEach(todo => groups[getTodoColumnId(todo, columns)].push(todo))
+    return groups
+}
+
+/**
+ * Create a new, empty column
+ *
+ * @param {string} name - Column name
+ * @returns {{id: string, name: string}} Column
+ */
+export const createBoardColumn = (name) => ({ id: nanoid(), name })
@@ -0,0 +1,117 @@
+/**
+ * todoCalendar.js - Date helpers for the calendar view
+ *
+ * Todos are placed on the local day of their `targetDate`. Moving a todo
+ * to another day keeps its time of day, so reminders set relative to the
+ * due time still make sense. Recurring todos only appear on their current
+ * occurrence; later occurrences are created when one is completed.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import {
+    addDays,
+    addMonths,
+    addWeeks,
+    eachDayOfInterval,
+    endOfMonth,
+    endOfWeek,
+    format,
+    getDate,
+    getMonth,
+    getYear,
+    startOfDay,
+    startOfMonth,
+    startOfWeek,
+} from "date-fns";
+
+export const CALENDAR_MODES = [
+    { value: 'month', label: 'Month' },
+    { value: 'week', label: 'Week' },
+]
+
+/**
+ * Key identifying a local calendar day
+ *
+ * @param {Date|string} date - Date or ISO string
+ * @returns {string} yyyy-MM-dd
+ */
+export const getDayKey = (date) => format(new Date(date), 'yyyy-MM-dd')
+
+/**
+ * Days shown for a month or week, always whole weeks
+ *
+ * @param {'month'|'week'} mode - Calendar mode
+ * @param {Date} anchor - Any day in the month or week to show
+ * @returns {Array<Date>} Days, first to last
+ */
+export const getCalendarDays = (mode, anchor) => {
+    const start = mode === 'week' ? anchor : startOfMonth(anchor)
+    const end = mode === 'week' ? anchor : endOfMonth(anchor)
+    return eachDayOfInterval({ start: startOfWeek(start), end: endOfWeek(end) })
+}
+
+/**
+ * Move the shown month or week
+ *
+ * @param {'month'|'week'} mode - Calendar mode
+ * @param {Date} anchor - Current anchor day
+ * @param {number} step - How many months or weeks to move (negative for back)
+ * @returns {Date} New anchor day
+ */
+export const shiftCalendar = (mode, anchor, step) => (
+    mode === 'week' ? addWeeks(anchor, step) : addMonths(anchor, step)
+)
+
+/**
+ * Title for the shown month or week
+ *
+ * @param {'month'|'week'} mode - Calendar mode
+ * @param {Date} anchor - Current anchor day
+ * @returns {string} e.g. "October 2026" or "Oct 18 – Oct 24, 2026"
+ */
+export const getCalendarTitle = (mode, anchor) => {
+    if (mode !== 'week') return format(anchor, 'MMMM yyyy')
+    return `${format(startOfWeek(anchor), 'MMM d')} – ${format(endOfWeek(anchor), 'MMM d, yyyy')}`
+}
+
+/**
+ * Group dated todos by local day
+ *
+ * @param {Array} todos - Todos
+ * @returns {Object<string, Array>} Todos per day key; undated todos are left out
+ */
+export const groupTodosByDay = (todos) => {
+    const groups = {}
+    todos.forEach(todo => {
+        if (!todo.targetDate) return
+        const key = getDayKey(todo.targetDate)
+        groups[key] = [...(groups[key] || []), todo]
+    })
+    return groups
+}
+
+/**
+ * Target date for a todo moved to another day
+ *
+ * @param {string|null} targetDate - Current target date (ISO string)
+ * @param {Date} day - Day it was moved to
+ * @returns {string} New target date (ISO string), keeping the time of day
+ */
+export const moveDateToDay = (targetDate, day) => {
+    const time = targetDate ? new Date(targetDate) : startOfDay(day)
+    return new Date(
+        getYear(day), getMonth(day), getDate(day),
+        time.getHours(), time.getMinutes(), time.getSeconds(), time.getMilliseconds()
+    ).toISOString()
+}
+
+/**
+ * Day a todo lands on when moved by a number of days
+ *
+ * @param {string} targetDate - Current target date (ISO string)
+ * @param {number} days - Days to move (negative for earlier)
+ * @returns {string} New target date (ISO string)
+ */
+export const shiftTargetDate = (targetDate, days) => addDays(new Date(targetDate), days).toISOString()
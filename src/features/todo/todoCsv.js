@@ -0,0 +1,286 @@
+/**
+ * todoCsv.js - CSV export and import
+ *
+ * Export writes one row per todo with the columns in CSV_EXPORT_COLUMNS,
+ * dates in local time, and a byte order mark so spreadsheet apps read
+ * the file as UTF-8. Cells a spreadsheet would run as a formula get a
+ * leading quote, which import removes again.
+ *
+ * Import reads any CSV (comma or semicolon separated). The user maps its
+ * columns to todo fields (see CSV_IMPORT_FIELDS; guessCsvMapping suggests
+ * a mapping from the header row) and picks the date format. Rows that
+ * cannot be imported (including titles and descriptions longer than the
+ * todo form allows) are reported by row number (counting from 1, header
+ * included) instead of stopping the import.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { format, isValid, parse, parseISO } from "date-fns";
+
+// Date and time format used in exported files
+const EXPORT_DATE_FORMAT = 'yyyy-MM-dd HH:mm'
+
+/**
+ * Format an ISO date for a spreadsheet cell
+ *
+ * @param {string|null} date - ISO date string
+ * @returns {string} Local date and time, or '' when there is none
+ */
+const formatCsvDate = (date) => (date ? format(new Date(date), EXPORT_DATE_FORMAT) : '')
+
+/**
+ * Exported columns, left to right
+ */
+export const CSV_EXPORT_COLUMNS = [
+    { header: 'Title', getValue: todo => todo.title },
+    { header: 'Description', getValue: todo => todo.description || '' },
+    { header: 'Due Date', getValue: todo => formatCsvDate(todo.targetDate) },
+    { header: 'Priority', getValue: todo => todo.priority || '' },
+    { header: 'Tags', getValue: todo => (todo.tags || []).join(', ') },
+    { header: 'Completed', getValue: todo => (todo.isCompleted ? 'Yes' : 'No') },
+    { header: 'Created', getValue: todo => formatCsvDate(todo.createdAt) },
+    { header: 'Updated', getValue: todo => formatCsvDate(todo.updatedAt) },
+]
+
+/**
+ * Todo fields a CSV column can be mapped to
+ *
+ * `aliases` are header names (lowercase) that map to the field automatically.
+ */
+export const CSV_IMPORT_FIELDS = [
+    { value: 'title', label: 'Title', required: true, aliases: ['title', 'task', 'name', 'subject', 'summary'] },
+    { value: 'description', label: 'Description', aliases: ['description', 'notes', 'note', 'details'] },
+    { value: 'targetDate', label: 'Due date', aliases: ['due date', 'due', 'deadline', 'target date', 'date'] },
+    { value: 'priority', label: 'Priority', aliases: ['priority'] },
+    { value: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels', 'categories'] },
+    { value: 'isCompleted', label: 'Completed', aliases: ['completed', 'done', 'complete', 'status'] },
+    { value: 'createdAt', label: 'Created', aliases: ['created', 'created at', 'created date'] },
+]
+
+/**
+ * Date formats the user can pick for imported dates (date-fns patterns)
+ *
+ * Each also accepts a time after the date (e.g. "14:30").
+ */
+export const CSV_DATE_FORMATS = [
+    { value: 'yyyy-M-d', label: 'Year-month-day (2026-10-31)' },
+    { value: 'M/d/yyyy', label: 'Month/day/year (10/31/2026)' },
+    { value: 'd/M/yyyy', label: 'Day/month/year (31/10/2026)' },
+    { value: 'd.M.yyyy', label: 'Day.month.year (31.10.2026)' },
+]
+
+const PRIORITY_VALUES = { high: 'high', h: 'high', medium: 'medium', m: 'medium', low: 'low', l: 'low' }
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x', 'done', 'completed', 'complete']
+const FALSE_VALUES = ['no', 'n', 'false', '0', '', 'pending', 'open', 'todo']
+
+// Same limits as the todo form
+const TITLE_MAX_LENGTH = 50
+const DESCRIPTION_MAX_LENGTH = 225
+
+// Cells that a spreadsheet would run as a formula
+const FORMULA_PATTERN = /^[=+\-@\t\r]/
+
+/**
+ * Quote a cell when needed
+ *
+ * Cells that a spreadsheet would run as a formula get a leading quote.
+ *
+ * @param {string} value - Cell text
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+    const text = FORMULA_PATTERN.test(value) ? `'${value}` : value
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Undo the formula guard of toCsvCell
+ *
+ * @param {string} value - Cell text
+ * @returns {string} Cell text without the quote added on export
+ */
+const fromCsvCell = (value) => (value.startsWith("'") && FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value)
+
+/**
+ * Build a CSV file of todos
+ *
+ * @param {Array} todos - Todos, in the order to list them
+ * @returns {string} CSV text
+ */
+export const toCsv = (todos) => {
+    const rows = [
+        CSV_EXPORT_COLUMNS.map(column => column.header),
+        ...todos.map(todo => CSV_EXPORT_COLUMNS.map(column => column.getValue(todo))),
+    ]
+    return '\uFEFF' + rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * File name for a CSV export
+ *
+ * @param {Date} [now] - Export time
+ * @returns {string} e.g. "todos-2026-10-19.csv"
+ */
+export const getCsvFileName = (now = new Date()) => `todos-${format(now, 'yyyy-MM-dd')}.csv`
+
+/**
+ * Pick the separator of a CSV file from its first line
+ *
+ * @param {string} text - CSV text
+ * @returns {string} ',' or ';'
+ */
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '')
+    return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+}
+
+/**
+ * Split CSV text into rows of cells
+ *
+ * Handles quoted cells with separators, line breaks and doubled quotes.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, blank lines included as ['']
+ */
+export const parseCsv = (text) => {
+    const input = text.replace(/^\uFEFF/, '')
+    const delimiter = detectDelimiter(input)
+    const rows = []
+    let row = []
+    let cell = ''
+    let inQuotes = false
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i]
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"'
+                i++
+            } else if (char === '"') {
+                inQuotes = false
+            } else {
+                cell += char
+            }
+        } else if (char === '"') {
+            inQuotes = true
+        } else if (char === delimiter) {
+            row.push(cell)
+            cell = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++
+            row.push(cell)
+            rows.push(row)
+            row = []
+            cell = ''
+        } else {
+            cell += char
+        }
+    }
+    if (cell !== '' || row.length > 0) rows.push([...row, cell])
+    return rows
+}
+
+/**
+ * Suggest which column holds each field, from the header row
+ *
+ * @param {Array<string>} headers - First row of the file
+ * @returns {Object<string, number|null>} Column index per field, null when none matches
+ */
+export const guessCsvMapping = (headers) => {
+    const names = headers.map(header => header.trim().toLowerCase())
+    const used = new Set()
+    return Object.fromEntries(CSV_IMPORT_FIELDS.map(field => {
+        const index = names.findIndex((name, column) => !used.has(column) && field.aliases.includes(name))
+        if (index === -1) return [field.value, null]
+        used.add(index)
+        return [field.value, index]
+    }))
+}
+
+/**
+ * Parse a date cell
+ *
+ * @param {string} value - Cell text
+ * @param {string} dateFormat - date-fns pattern of the date part (see CSV_DATE_FORMATS)
+ * @returns {Date|null} Parsed date, or null when it does not match
+ */
+const parseCsvDate = (value, dateFormat) => {
+    const patterns = [dateFormat, `${dateFormat} H:mm`, `${dateFormat} H:mm:ss`]
+    for (const pattern of patterns) {
+        const date = parse(value, pattern, new Date())
+        if (isValid(date)) return date
+    }
+    const iso = parseISO(value)
+    return isValid(iso) ? iso : null
+}
+
+/**
+ * Turn mapped CSV rows into todo data for `importTodos`
+ *
+ * @param {Array<Array<string>>} rows - Result of parseCsv
+ * @param {Object<string, number|null>} mapping - Column index per field
+ * @param {{hasHeader: boolean, dateFormat: string}} options - Whether to skip the first row, and the date format
+ * @returns {{todos: Array<Object>, errors: Array<{row: number, message: string}>}}
+ *   Todo data and the rows that were left out
+ */
+export const csvToTodos = (rows, mapping, { hasHeader, dateFormat }) => {
+    const todos = []
+    const errors = []
+
+    rows.forEach((row, index) => {
+        if (hasHeader && index === 0) return
+        if (row.every(cell => cell.trim() === '')) return
+
+        const rowNumber = index + 1
+        const cell = (field) => (mapping[field] === null || mapping[field] === undefined ? '' : fromCsvCell(row[mapping[field]] || '').trim())
+        const problems = []
+
+        const title = cell('title')
+        if (!title) problems.push('missing title')
+        else if (title.length > TITLE_MAX_LENGTH) problems.push(`title longer than ${TITLE_MAX_LENGTH} characters`)
+
+        const description = cell('description')
+        if (description.length > DESCRIPTION_MAX_LENGTH) problems.push(`description longer than ${DESCRIPTION_MAX_LENGTH} characters`)
+
+        let targetDate = null
+        if (cell('targetDate')) {
+            const date = parseCsvDate(cell('targetDate'), dateFormat)
+            if (date) targetDate = date.toISOString()
+            else problems.push(`invalid due date "${cell('targetDate')}"`)
+        }
+
+        let createdAt
+        if (cell('createdAt')) {
+            const date = parseCsvDate(cell('createdAt'), dateFormat)
+            if (date) createdAt = date.toISOString()
+            else problems.push(`invalid created date "${cell('createdAt')}"`)
+        }
+
+        const priorityText = cell('priority').toLowerCase()
+        const priority = PRIORITY_VALUES[priorityText] || null
+        if (priorityText && !priority) problems.push(`unknown priority "${cell('priority')}"`)
+
+        const completedText = cell('isCompleted').toLowerCase()
+        const isCompleted = TRUE_VALUES.includes(completedText)
+        if (!isCompleted && !FALSE_VALUES.includes(completedText)) problems.push(`unknown completed value "${cell('isCompleted')}"`)
+
+        if (problems.length > 0) {
+            errors.push({ row: rowNumber, message: problems.join(', ') })
+            return
+        }
+
+        todos.push({
+            title,
+            description,
+            targetDate,
+            priority,
+            tags: [...new Set(cell('tags').split(/[,;]/).map(tag => tag.trim()).filter(Boolean))],
+            isCompleted,
+            createdAt,
+        })
+    })
+
+    return { todos, errors }
+}
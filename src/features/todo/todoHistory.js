@@ -0,0 +1,243 @@
+/**
+ * todoHistory.js - Undo/redo history for the todo list
+ *
+ * `withTodoHistory` wraps the todo reducer. Every undoable action that
+ * changes the todo list pushes the previous list and available tags onto
+ * `history.past`; `undoTodos` / `redoTodos` move between those snapshots.
+ * The history is cleared whenever the list is (re)loaded, a project is
+ * deleted or the user changes.
+ *
+ * Snapshots are kept in step with changes that can't be undone:
+ * - todoSynced: the server's version replaces the one it was saved from
+ * - forgetTodos: todos deleted for good are taken out of every snapshot,
+ *   so undo can't bring them back
+ * - dropHistoryEntry: a change the server rejected (and that was rolled
+ *   back) is removed from the history
+ *
+ * State added to the todo slice:
+ * - history.past: Snapshots before each change, oldest first
+ * - history.future: Snapshots undone and available for redo, next first
+ * - history.lastId: ID of the newest entry, so the UI can tell entries apart
+ *
+ * Each entry is `{ id, todos, availableTags, label, isDestructive }`. The undo/redo
+ * thunks in todoThunks.js also sync the restored list with the server.
+ *
+ * To make a new action undoable, add it to UNDOABLE_ACTIONS.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { createAction, isAnyOf } from "@reduxjs/toolkit";
+import {
+    addSubtask,
+    addTodo,
+    backupImported,
+    bulkUpdateTodos,
+    moveSubtask,
+    moveTodo,
+    removeProject,
+    removeSubtask,
+    restoreFromTrash,
+    setCompleteWithSubtasks,
+    setTargetDate,
+    setTodoPriority,
+    setTodoStatus,
+    todoSynced,
+    todosHydrated,
+    todosImported,
+    todosLoaded,
+    toggleComplete,
+    toggleSubtask,
+    trashTodo,
+    updateSubtask,
+    updateTodo,
+} from "./todoSlice";
+
+// Oldest entries are dropped beyond this
+const HISTORY_LIMIT = 50
+
+export const undoTodos = createAction('todo/undo')
+export const redoTodos = createAction('todo/redo')
+export const dropHistoryEntry = createAction('todo/dropHistoryEntry')   // Payload: entry ID
+export const forgetTodos = createAction('todo/forgetTodos')             // Payload: IDs of todos deleted for good
+
+/**
+ * Describe a bulk update for the undo toast
+ *
+ * @param {Object} action - bulkUpdateTodos action
+ * @returns {string} e.g. "3 tasks completed"
+ */
+const describeBulkUpdate = ({ payload: { ids, changes } }) => {
+    const count = `${ids.length} ${ids.length === 1 ? 'task' : 'tasks'}`
+    if (changes.trash) return `${count} moved to Trash`
+    if ('isCompleted' in changes) return `${count} ${changes.isCompleted ? 'completed' : 'reopened'}`
+    if ('priority' in changes) return `Priority of ${count} changed`
+    if ('targetDate' in changes || changes.shiftDays) return `${count} rescheduled`
+    return `Tags of ${count} changed`
+}
+
+/**
+ * Undoable actions and how the change is described to the user
+ *
+ * Destructive changes get an "Undo" toast. Deleting from the trash is
+ * permanent and deliberately not undoable (see forgetTodos). `label` and `isDestructive`
+ * can be functions of the action.
+ */
+const UNDOABLE_ACTIONS = [
+    { actionCreator: addTodo, label: 'Task added' },
+    { actionCreator: todosImported, label: 'Tasks imported' },
+    { actionCreator: updateTodo, label: 'Task edited' },
+    { actionCreator: trashTodo, label: 'Task moved to Trash', isDestructive: true },
+    { actionCreator: restoreFromTrash, label: 'Task restored' },
+    { actionCreator: toggleComplete, label: 'Task status changed' },
+    { actionCreator: moveTodo, label: 'Task moved' },
+    { actionCreator: setTodoStatus, label: 'Task moved to another column' },
+    { actionCreator: setTargetDate, label: 'Task rescheduled' },
+    { actionCreator: setTodoPriority, label: 'Task priority changed' },
+    { actionCreator: addSubtask, label: 'Subtask added' },
+    { actionCreator: updateSubtask, label: 'Subtask renamed' },
+    { actionCreator: toggleSubtask, label: 'Subtask status changed' },
+    { actionCreator: moveSubtask, label: 'Subtask moved' },
+    { actionCreator: removeSubtask, label: 'Subtask deleted', isDestructive: true },
+    { actionCreator: setCompleteWithSubtasks, label: 'Task settings changed' },
+    {
+        actionCreator: bulkUpdateTodos,
+        label: describeBulkUpdate,
+        isDestructive: (action) => Boolean(action.payload.changes.trash),
+    },
+]
+
+// The list was replaced from storage, the server or a backup, or a project the
+// snapshots may still refer to was deleted; older snapshots no longer apply
+const isHistoryReset = isAnyOf(todosHydrated, todosLoaded, backupImported, removeProject)
+
+const emptyHistory = { past: [], future: [], lastId: 0 }
+
+/**
+ * Move the newest entry of one stack onto the other
+ *
+ * @param {Object} state - Todo state with history
+ * @param {'past'|'future'} from - Stack to take the snapshot from
+ * @returns {Object} New todo state
+ */
+const travel = (state, from) => {
+    const { past, future } = state.history
+    const source = from === 'past' ? past : future
+    if (source.length === 0) return state
+
+    const entry = from === 'past' ? source[source.length - 1] : source[0]
+    const current = { ...entry, todos: state.todos, availableTags: state.availableTags }
+    return {
+        ...state,
+        todos: entry.todos,
+        availableTags: entry.availableTags,
+        history: {
+            ...state.history,
+            past: from === 'past' ? past.slice(0, -1) : [...past, current],
+            future: from === 'past' ? [current, ...future] : future.slice(1),
+        },
+    }
+}
+
+/**
+ * Check whether two lists hold the same todo objects in the same order
+ *
+ * @param {Array} a - Todo list
+ * @param {Array} b - Todo list
+ * @returns {boolean} Whether undoing from one to the other would change nothing
+ */
+const isSameList = (a, b) => a.length === b.length && a.every((todo, index) => todo === b[index])
+
+/**
+ * Apply a change to the todos of every snapshot, then drop the entries
+ * that no longer change anything
+ *
+ * @param {Object} state - Todo state with history
+ * @param {function(Array): Array} update - Returns a snapshot's new todo list
+ * @returns {Object} New todo state
+ */
+const updateSnapshots = (state, update) => {
+    const past = state.history.past.map(entry => ({ ...entry, todos: update(entry.todos) }))
+    const future = state.history.future.map(entry => ({ ...entry, todos: update(entry.todos) }))
+    return {
+        ...state,
+        history: {
+            ...state.history,
+            // Each past entry leads to the next one (or the current list), each future entry from the previous one
+            past: past.filter((entry, index) => !isSameList(entry.todos, (past[index + 1] || state).todos)),
+            future: future.filter((entry, index) => !isSameList(entry.todos, (future[index - 1] || state).todos)),
+        },
+    }
+}
+
+/**
+ * Add undo/redo history to the todo reducer
+ *
+ * @param {Function} reducer - Todo slice reducer
+ * @returns {Function} Reducer with history
+ */
+export const withTodoHistory = (reducer) => (state, action) => {
+    if (undoTodos.match(action)) return travel(state, 'past')
+    if (redoTodos.match(action)) return travel(state, 'future')
+    if (dropHistoryEntry.match(action)) {
+        const isKept = (entry) => entry.id !== action.payload
+        return {
+            ...state,
+            history: { ...state.history, past: state.history.past.filter(isKept), future: state.history.future.filter(isKept) },
+        }
+    }
+    if (forgetTodos.match(action)) {
+        const ids = new Set(action.payload)
+        return updateSnapshots(state, todos => todos.filter(todo => !ids.has(todo.id)))
+    }
+
+    const next = reducer(state, action)
+    if (!state || !next.history || isHistoryReset(action) || next.namespace !== state.namespace) {
+        return { ...next, history: emptyHistory }
+    }
+
+    if (todoSynced.match(action)) {
+        // Snapshots holding the version that was saved get the server's copy instead
+        const saved = state.todos.find(todo => todo.id === action.payload.id)
+        const synced = next.todos.find(todo => todo.id === action.payload.id)
+        if (!saved || saved === synced) return next
+        return updateSnapshots(next, todos => todos.map(todo => todo === saved ? synced : todo))
+    }
+
+    const undoable = UNDOABLE_ACTIONS.find(item => item.actionCreator.match(action))
+    if (!undoable || next.todos === state.todos) return next
+
+    const id = next.history.lastId + 1
+    return {
+        ...next,
+        history: {
+            past: [
+                ...next.history.past,
+                {
+                    id,
+                    todos: state.todos,
+                    availableTags: state.availableTags,
+                    label: typeof undoable.label === 'function' ? undoable.label(action) : undoable.label,
+                    isDestructive: Boolean(typeof undoable.isDestructive === 'function' ? undoable.isDestructive(action) : undoable.isDestructive),
+                },
+            ].slice(-HISTORY_LIMIT),
+            future: [],
+            lastId: id,
+        },
+    }
+}
+
+export const selectCanUndo = (state) => state.todo.history.past.length > 0
+export const selectCanRedo = (state) => state.todo.history.future.length > 0
+
+/**
+ * Newest history entry, used for the undo toast
+ *
+ * @param {Object} state - Root Redux state
+ * @returns {Object|null} Latest entry, or null when there is nothing to undo
+ */
+export const selectLastChange = (state) => {
+    const { past } = state.todo.history
+    return past.length > 0 ? past[past.length - 1] : null
+}
@@ -0,0 +1,348 @@
+/**
+ * todoIcal.js - iCalendar (.ics) export and import
+ *
+ * Export writes the todos that have a target date, either as VTODO
+ * entries (task apps and calendars with task support) or as VEVENT
+ * entries (any calendar), following RFC 5545:
+ * - The target date becomes DUE (VTODO), or a 30-minute DTSTART/DTEND (VEVENT).
+ *   A target date with no time of day (local midnight) is written as a
+ *   DATE value: a VTODO due that day, or an all-day VEVENT
+ * - Priority maps to PRIORITY 1 (high), 5 (medium) or 9 (low)
+ * - Tags become CATEGORIES
+ * - Completion becomes STATUS:COMPLETED (VTODO), or a "✓" before the
+ *   summary (VEVENT, which has no completion status)
+ * Each entry's UID is derived from the todo ID, so calendars update the
+ * same entry when a file is imported or subscribed to again. A recurring
+ * todo is exported as its current occurrence only.
+ *
+ * The calendar feed is the same export with a fixed file name and
+ * refresh hints, meant to be saved over the previous copy in a synced or
+ * hosted folder that a calendar app subscribes to.
+ *
+ * Import reads the VTODO entries of a file. Times with a TZID are read
+ * as local time, and DATE values as local midnight of that day.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { addDays, addMinutes, format, isValid, parse, parseISO, startOfDay } from "date-fns";
+
+const PRODUCT_ID = '-//Redux Todo App//Todos//EN'
+const UID_DOMAIN = 'redux-todo-app'
+const CALENDAR_NAME = 'Redux Todo App'
+
+// Length of exported events, since todos only have a due time
+const EVENT_MINUTES = 30
+
+// How often subscribed calendars should check the feed for changes
+const FEED_REFRESH_INTERVAL = 'PT1H'
+
+// File name of the calendar feed; keep it stable so subscriptions keep working
+export const CALENDAR_FEED_FILE_NAME = 'redux-todos.ics'
+
+export const ICAL_ENTRY_TYPES = [
+    { value: 'VTODO', label: 'Tasks (VTODO)' },
+    { value: 'VEVENT', label: 'Events (VEVENT)' },
+]
+
+const PRIORITY_TO_ICAL = { high: 1, medium: 5, low: 9 }
+
+/**
+ * Priority of an iCalendar PRIORITY value (1-4 high, 5 medium, 6-9 low, 0 none)
+ *
+ * @param {string} value - PRIORITY property value
+ * @returns {string|null} Todo priority
+ */
+const fromIcalPriority = (value) => {
+    const level = Number(value)
+    if (!Number.isInteger(level) || level < 1 || level > 9) return null
+    return level < 5 ? 'high' : level === 5 ? 'medium' : 'low'
+}
+
+/**
+ * Escape a TEXT value
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) => text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+
+/**
+ * Undo escapeText
+ *
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char))
+
+/**
+ * Format a time as UTC DATE-TIME
+ *
+ * @param {Date|string} date - Date or ISO string
+ * @returns {string} e.g. "20261031T143000Z"
+ */
+const formatIcalDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+/**
+ * Property of a target date, as a DATE value when it has no time of day
+ *
+ * @param {string} name - Property name, e.g. "DUE"
+ * @param {Date|string} date - Date or ISO string
+ * @returns {string} e.g. "DUE;VALUE=DATE:20261031" or "DUE:20261031T143000Z"
+ */
+const formatDateProperty = (name, date) => {
+    const day = new Date(date)
+    return day.getTime() === startOfDay(day).getTime()
+        ? `${name};VALUE=DATE:${format(day, 'yyyyMMdd')}`
+        : `${name}:${formatIcalDate(day)}`
+}
+
+/**
+ * Fold a content line to at most 75 octets, as RFC 5545 requires
+ *
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line (CRLF + space between parts)
+ */
+const foldLine = (line) => {
+    const encoder = new TextEncoder()
+    const parts = []
+    let part = ''
+    let size = 0
+    for (const char of line) {
+        const charSize = encoder.encode(char).length
+        // Continuation lines start with a space, which counts towards the limit
+        if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+            parts.push(part)
+            part = ''
+            size = 0
+        }
+        part += char
+        size += charSize
+    }
+    parts.push(part)
+    return parts.join('\r\n ')
+}
+
+/**
+ * Content lines of one todo
+ *
+ * @param {Object} todo - Todo with a targetDate
+ * @param {'VTODO'|'VEVENT'} type - Entry type
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Lines from BEGIN to END
+ */
+const toEntryLines = (todo, type, stamp) => {
+    const summary = type === 'VEVENT' && todo.isCompleted ? `✓ ${todo.title}` : todo.title
+    const lines = [
+        `BEGIN:${type}`,
+        `UID:${todo.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `SUMMARY:${escapeText(summary)}`,
+    ]
+    if (todo.description) lines.push(`DESCRIPTION:${escapeText(todo.description)}`)
+    if (type === 'VTODO') {
+        lines.push(formatDateProperty('DUE', todo.targetDate))
+        lines.push(`STATUS:${todo.isCompleted ? 'COMPLETED' : 'NEEDS-ACTION'}`)
+        if (todo.isCompleted) lines.push('PERCENT-COMPLETE:100')
+    } else {
+        const start = new Date(todo.targetDate)
+        const isAllDay = start.getTime() === startOfDay(start).getTime()
+        lines.push(formatDateProperty('DTSTART', start))
+        // An all-day event ends at the start of the next day
+        lines.push(formatDateProperty('DTEND', isAllDay ? addDays(start, 1) : addMinutes(start, EVENT_MINUTES)))
+        lines.push('TRANSP:TRANSPARENT')
+    }
+    if (todo.priority) lines.push(`PRIORITY:${PRIORITY_TO_ICAL[todo.priority]}`)
+    if (todo.tags?.length) lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(',')}`)
+    if (todo.createdAt) lines.push(`CREATED:${formatIcalDate(todo.createdAt)}`)
+    if (todo.updatedAt) lines.push(`LAST-MODIFIED:${formatIcalDate(todo.updatedAt)}`)
+    lines.push(`END:${type}`)
+    return lines
+}
+
+/**
+ * Build an .ics file of the todos that have a target date
+ *
+ * @param {Array} todos - Todos (those without a target date are left out)
+ * @param {Object} options - Export options
+ * @param {'VTODO'|'VEVENT'} options.type - Entry type
+ * @param {boolean} [options.feed] - Add the name and refresh hints of a subscribed calendar
+ * @param {Date} [options.now] - Export time
+ * @returns {string} iCalendar text
+ */
+export const toIcs = (todos, { type, feed = false, now = new Date() }) => {
+    const stamp = formatIcalDate(now)
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+    ]
+    if (feed) {
+        lines.push(
+            `NAME:${CALENDAR_NAME}`,
+            `X-WR-CALNAME:${CALENDAR_NAME}`,
+            `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+            `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`,
+        )
+    }
+    todos
+        .filter(todo => todo.targetDate)
+        .forEach(todo => lines.push(...toEntryLines(todo, type, stamp)))
+    lines.push('END:VCALENDAR')
+    return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * File name for an .ics export
+ *
+ * @param {Date} [now] - Export time
+ * @returns {string} e.g. "todos-2026-10-19.ics"
+ */
+export const getIcsFileName = (now = new Date()) => `todos-${format(now, 'yyyy-MM-dd')}.ics`
+
+/**
+ * Todo ID of an entry exported by this app
+ *
+ * @param {string} uid - UID of an imported entry
+ * @returns {string|null} Todo ID, or null for entries from elsewhere
+ */
+export const getTodoIdFromUid = (uid) => {
+    const suffix = `@${UID_DOMAIN}`
+    return uid?.endsWith(suffix) ? uid.slice(0, -suffix.length) : null
+}
+
+/**
+ * Split a content line into name, parameters and value
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, params: Object<string, string>, value: string}|null} Parsed line, or null when malformed
+ */
+const parseContentLine = (line) => {
+    // The value starts at the first colon outside a quoted parameter value
+    let inQuotes = false
+    let colon = -1
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes
+        else if (line[i] === ':' && !inQuotes) {
+            colon = i
+            break
+        }
+    }
+    if (colon === -1) return null
+
+    const [name, ...params] = line.slice(0, colon).split(';')
+    return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map(param => {
+            const [key, ...rest] = param.split('=')
+            return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')]
+        })),
+        value: line.slice(colon + 1),
+    }
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ *
+ * @param {{params: Object<string, string>, value: string}} property - Parsed content line,
+ *   e.g. "DUE;VALUE=DATE:20261031" or "DUE:20261031T143000Z"
+ * @returns {Date|null} Parsed date (local midnight for dates, local time for floating times)
+ */
+const parseIcalDate = ({ params, value }) => {
+    const text = value.trim()
+    const date = params.VALUE?.toUpperCase() === 'DATE' || /^\d{8}$/.test(text)
+        ? parse(text, 'yyyyMMdd', new Date())
+        : parseISO(text)
+    return isValid(date) ? date : null
+}
+
+/**
+ * Turn one VTODO's properties into todo data for `importTodos`
+ *
+ * @param {Array<Object>} properties - Parsed content lines of the entry
+ * @returns {{todo: Object, uid: string|null}|{error: string, label: string}} Todo data, or why it was left out
+ */
+const toTodoData = (properties) => {
+    const find = (name) => properties.find(property => property.name === name)
+    const summary = find('SUMMARY')
+    const title = summary ? unescapeText(summary.value).trim() : ''
+    if (!title) return { error: 'missing summary', label: find('UID')?.value || 'Untitled' }
+
+    const due = find('DUE') || find('DTSTART')
+    const targetDate = due ? parseIcalDate(due) : null
+    if (due && !targetDate) return { error: `invalid due date "${due.value}"`, label: title }
+
+    const created = find('CREATED') && parseIcalDate(find('CREATED'))
+    const tags = properties
+        .filter(property => property.name === 'CATEGORIES')
+        .flatMap(property => property.value.split(/(?<!\\),/))
+        .map(tag => unescapeText(tag).trim())
+        .filter(Boolean)
+    const status = find('STATUS')?.value.toUpperCase()
+
+    return {
+        uid: find('UID')?.value || null,
+        todo: {
+            title,
+            description: find('DESCRIPTION') ? unescapeText(find('DESCRIPTION').value) : '',
+            targetDate: targetDate ? targetDate.toISOString() : null,
+            priority: find('PRIORITY') ? fromIcalPriority(find('PRIORITY').value) : null,
+            tags: [...new Set(tags)],
+            isCompleted: status === 'COMPLETED' || Boolean(find('COMPLETED')) || find('PERCENT-COMPLETE')?.value === '100',
+            createdAt: created ? created.toISOString() : undefined,
+        },
+    }
+}
+
+/**
+ * Read the VTODO entries of an .ics file
+ *
+ * @param {string} text - File contents
+ * @returns {{entries: Array<{todo: Object, uid: string|null}>, errors: Array<{label: string, message: string}>, otherCount: number}}
+ *   Todo data per VTODO, the entries left out and why, and how many other entries (events etc.) were ignored
+ * @throws {Error} When the file is not an iCalendar file
+ */
+export const parseIcs = (text) => {
+    // Unfold: a line break followed by a space or tab continues the line
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim() !== '')
+    if (lines[0]?.trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+        throw new Error('The file is not an iCalendar (.ics) file.')
+    }
+
+    const entries = []
+    const errors = []
+    let otherCount = 0
+    let current = null      // Properties of the VTODO being read
+    let depth = 0           // Nesting inside the VTODO (e.g. VALARM)
+
+    lines.forEach(line => {
+        const property = parseContentLine(line)
+        if (!property) return
+        const value = property.value.toUpperCase()
+
+        if (property.name === 'BEGIN') {
+            if (current) depth++
+            else if (value === 'VTODO') current = []
+            else if (['VEVENT', 'VJOURNAL'].includes(value)) otherCount++
+        } else if (property.name === 'END') {
+            if (current && depth > 0) depth--
+            else if (current && value === 'VTODO') {
+                const result = toTodoData(current)
+                if (result.error) errors.push({ label: result.label, message: result.error })
+                else entries.push(result)
+                current = null
+            }
+        } else if (current && depth === 0) {
+            current.push(property)
+        }
+    })
+
+    return { entries, errors, otherCount }
+}
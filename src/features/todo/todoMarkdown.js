@@ -0,0 +1,125 @@
+/**
+ * todoMarkdown.js - Markdown checklist export and import
+ *
+ * GitHub-style task lists, one todo per item and its subtasks indented
+ * below it:
+ *
+ *   - [ ] Write report #work #q4
+ *     - [x] Collect numbers
+ *   - [x] Book flights
+ *
+ * Tags are written as #tag after the title (spaces and "%" are
+ * percent-encoded, see tagWords.js), and a "#" starting a word of the
+ * title is escaped as "\#". On import, only the #words at the end of an
+ * item's text are tags, other lines (headings, notes) are skipped, and
+ * items indented under another item become its subtasks. Dates, priorities and descriptions have no place in a
+ * checklist and are not exported.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { format } from "date-fns";
+import { decodeTagWord, encodeTagWord } from "./tagWords";
+
+// "- [ ] text", also with * or + bullets and [X]
+const ITEM_PATTERN = /^(\s*)[-*+] \[([ xX])\]\s*(.*)$/
+
+// Item text and the #tags ending it
+const TAGGED_TEXT_PATTERN = /^(.*?)((?:(?:^|\s+)#\S+)*)\s*$/
+
+/**
+ * Escape a title so none of its words reads back as a tag
+ *
+ * @param {string} title - Todo title
+ * @returns {string} Title with "\" and word-initial "#" escaped
+ */
+const escapeTitle = (title) => title.replace(/\\/g, '\\\\').replace(/(^|\s)#/g, '$1\\#')
+
+/**
+ * Undo escapeTitle
+ *
+ * @param {string} text - Escaped title
+ * @returns {string} Title
+ */
+const unescapeTitle = (text) => text.replace(/\\([\\#])/g, '$1')
+
+/**
+ * Checklist item line
+ *
+ * @param {string} indent - Leading spaces
+ * @param {boolean} isCompleted - Whether the box is checked
+ * @param {string} text - Item text
+ * @returns {string} Markdown line
+ */
+const toItemLine = (indent, isCompleted, text) => (
+    `${indent}- [${isCompleted ? 'x' : ' '}] ${text.replace(/\s+/g, ' ').trim()}`
+)
+
+/**
+ * Build a Markdown checklist
+ *
+ * @param {Array} todos - Todos, in the order to list them
+ * @returns {string} File contents
+ */
+export const toMarkdown = (todos) => todos.flatMap(todo => {
+    const tags = (todo.tags || []).map(tag => ` #${encodeTagWord(tag)}`).join('')
+    return [
+        toItemLine('', todo.isCompleted, escapeTitle(todo.title) + tags),
+        ...(todo.subtasks || []).map(subtask => toItemLine('  ', subtask.isCompleted, subtask.title)),
+    ]
+}).join('\n') + '\n'
+
+/**
+ * File name for a Markdown export
+ *
+ * @param {Date} [now] - Export time
+ * @returns {string} e.g. "todos-2026-10-19.md"
+ */
+export const getMarkdownFileName = (now = new Date()) => `todos-${format(now, 'yyyy-MM-dd')}.md`
+
+/**
+ * Read a Markdown checklist
+ *
+ * @param {string} text - File contents
+ * @returns {{todos: Array<Object>, errors: Array<{line: number, message: string}>, skippedCount: number}}
+ *   Todo data for `importTodos`, the items left out (lines counting from 1) and how many other lines were skipped
+ */
+export const parseMarkdown = (text) => {
+    const todos = []
+    const errors = []
+    let skippedCount = 0
+    let parent = null           // Last top-level item, which indented items belong to
+    let parentIndent = 0
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        const item = line.match(ITEM_PATTERN)
+        if (!item) {
+            if (line.trim()) skippedCount++
+            return
+        }
+
+        const [, indent, box, itemText] = item
+        const isCompleted = box !== ' '
+        if (parent && indent.length > parentIndent) {
+            if (itemText.trim()) parent.subtasks.push({ title: itemText.trim(), isCompleted })
+            else errors.push({ line: index + 1, message: 'empty subtask' })
+            return
+        }
+
+        const [, titleText, tagText] = itemText.match(TAGGED_TEXT_PATTERN)
+        const tags = tagText.split(/\s+/).filter(Boolean).map(word => decodeTagWord(word.slice(1)))
+        const title = unescapeTitle(titleText.replace(/\s+/g, ' ').trim())
+        if (!title) {
+            errors.push({ line: index + 1, message: 'missing title' })
+            parent = null
+            return
+        }
+
+        parent = { title, description: '', targetDate: null, tags: [...new Set(tags)], isCompleted, subtasks: [] }
+        parentIndent = indent.length
+        todos.push(parent)
+    })
+
+    return { todos, errors, skippedCount }
+}
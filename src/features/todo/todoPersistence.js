@@ -0,0 +1,89 @@
+/**
+ * todoPersistence.js - Persistence middleware for the todo slice
+ *
+ * Keeps reducers pure by saving the todo state after actions instead of
+ * inside them. Built on RTK's listener middleware:
+ *
+ * - After login/registration the new user's data is hydrated from storage
+ * - Whenever todos, tags, settings or projects change, a save is scheduled; rapid changes are
+ *   debounced into a single write
+ * - Pending writes are flushed immediately on logout and when the page is
+ *   hidden, so nothing is lost when switching users or closing the tab
+ *
+ * Nothing is written for a user until their stored data has been loaded,
+ * so an empty in-memory list can never overwrite saved todos.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { createListenerMiddleware, isAnyOf } from "@reduxjs/toolkit";
+import { loginUser, logoutUser, registerUser } from "@/features/auth/authSlice";
+import { hydrateTodos } from "./todoThunks";
+import { saveTodoData } from "./todoStorage";
+
+/**
+ * Create the todo persistence middleware
+ *
+ * @param {Object} options - Middleware options
+ * @param {import('./storage').StorageAdapter} options.storage - Where todos are saved
+ * @param {number} [options.debounceMs] - Quiet period before a scheduled save runs
+ * @returns {{middleware: Function, flush: function(): Promise<void>}} Middleware and a function forcing pending writes
+ */
+export const createTodoPersistence = ({ storage, debounceMs = 500 }) => {
+    const listener = createListenerMiddleware()
+    const pending = new Map()   // namespace → latest data waiting to be written
+    let timer = null
+
+    const flush = async () => {
+        clearTimeout(timer)
+        timer = null
+        const writes = [...pending]
+        pending.clear()
+        await Promise.all(writes.map(([namespace, data]) => (
+            saveTodoData(storage, namespace, data).catch(error => {
+                console.error('Could not save todos:', error)
+            })
+        )))
+    }
+
+    const schedule = (namespace, data) => {
+        pending.set(namespace, data)
+        clearTimeout(timer)
+        timer = setTimeout(flush, debounceMs)
+    }
+
+    // Load the new user's data after they log in or sign up
+    listener.startListening({
+        matcher: isAnyOf(loginUser.fulfilled, registerUser.fulfilled),
+        effect: (action, listenerApi) => {
+            listenerApi.dispatch(hydrateTodos())
+        },
+    })
+
+    // Save the outgoing user's last changes right away
+    listener.startListening({
+        actionCreator: logoutUser.fulfilled,
+        effect: () => flush(),
+    })
+
+    // Schedule a save whenever the hydrated todo data changes
+    listener.startListening({
+        predicate: (action, currentState, previousState) => {
+            const current = currentState.todo
+            const previous = previousState.todo
+            return current.isHydrated && previous.isHydrated &&
+                current.namespace === previous.namespace &&
+                (current.todos !== previous.todos ||
+                    current.availableTags !== previous.availableTags ||
+                    current.settings !== previous.settings ||
+                    current.projects !== previous.projects)
+        },
+        effect: (action, listenerApi) => {
+            const { namespace, todos, availableTags, settings, projects } = listenerApi.getState().todo
+            schedule(namespace, { todos, availableTags, settings, projects })
+        },
+    })
+
+    return { middleware: listener.middleware, flush }
+}
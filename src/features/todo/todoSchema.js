@@ -0,0 +1,237 @@
+/**
+ * todoSchema.js - Schema version, migrations and validation for stored todos
+ *
+ * The stored todo data carries a schema version next to it. At startup
+ * the data is validated and upgraded step by step to the current version,
+ * so older saves keep working as the todo shape evolves.
+ *
+ * Versions:
+ * - 0: Original shape (unversioned): id, title, description, targetDate, isCompleted
+ * - 1: Adds priority and tags
+ * - 2: Adds createdAt / updatedAt timestamps
+ * - 3: Adds subtasks and completeWithSubtasks
+ * - 4: Adds recurrence and nextOccurrenceId
+ * - 5: Adds reminders and snoozedUntil
+ * - 6: Adds deletedAt (trash)
+ * - 7: Adds order (manual sorting)
+ * - 8: Adds status (board column)
+ * - 9: Adds projectId (null = Inbox)
+ *
+ * To change the shape: bump TODO_SCHEMA_VERSION and add a migration under
+ * the new version number that upgrades data from the previous version.
+ *
+ * Per-user settings are stored next to the todos. They are not versioned:
+ * missing keys fall back to DEFAULT_TODO_SETTINGS.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+export const TODO_SCHEMA_VERSION = 9
+
+/**
+ * Default per-user settings
+ *
+ * @property {number} trashRetentionDays - Days before trashed todos are deleted for good
+ * @property {string} sortMode - How the todo list is sorted (see TODO_SORT_MODES)
+ * @property {string} view - Shown view: list, board or calendar
+ * @property {string} calendarMode - Calendar shows a month or a week
+ * @property {Array<{id: string, name: string}>} boardColumns - Board columns, left to right; the last one means done
+ * @property {string|null} calendarFeedUpdatedAt - When the .ics calendar feed was last generated (ISO string)
+ */
+export const DEFAULT_TODO_SETTINGS = {
+    trashRetentionDays: 30,
+    sortMode: 'priority',
+    view: 'list',
+    calendarMode: 'month',
+    boardColumns: [
+        { id: 'backlog', name: 'Backlog' },
+        { id: 'in-progress', name: 'In Progress' },
+        { id: 'review', name: 'Review' },
+        { id: 'done', name: 'Done' },
+    ],
+    calendarFeedUpdatedAt: null,
+}
+
+/**
+ * Migration chain: `migrations[n]` upgrades data from version n - 1 to n
+ *
+ * Each migration receives and returns `{ todos, availableTags }`.
+ */
+const migrations = {
+    1: ({ todos, availableTags }) => ({
+        todos: todos.map(todo => ({
+            ...todo,
+            priority: todo.priority || null,
+            tags: Array.isArray(todo.tags) ? todo.tags : [],
+        })),
+        availableTags,
+    }),
+
+    2: ({ todos, availableTags }) => ({
+        todos: todos.map(todo => ({
+            ...todo,
+            createdAt: todo.createdAt || null,
+            updatedAt: todo.updatedAt || todo.createdAt || null,
+        })),
+        availableTags,
+    }),
+
+    3: ({ todos, availableTags }) => ({
+        todos: todos.map(todo => ({
+            ...todo,
+            subtasks: Array.isArray(todo.subtasks) ? todo.subtasks : [],
+            completeWithSubtasks: Boolean(todo.completeWithSubtasks),
+        })),
+        availableTags,
+    }),
+
+    4: ({ todos, availableTags }) => ({
+        todos: todos.map(todo => ({
+            ...todo,
+            recurrence: todo.recurrence || null,
+            nextOccurrenceId: todo.nextOccurrenceId || null,
+        })),
+        availableTags,
+    }),
+
+    5: ({ todos, availableTags }) => ({
+        todos: todos.map(todo => ({
+            ...todo,
+            reminders: Array.isArray(todo.reminders) ? todo.reminders : [],
+            snoozedUntil: todo.snoozedUntil || null,
+        })),
+        availableTags,
+    }),
+
+    6: ({ todos, availableTags }) => ({
+        todos: todos.map(todo => ({
+            ...todo,
+            deletedAt: todo.deletedAt || null,
+        })),
+        availableTags,
+    }),
+
+    // Start the manual order from the order the todos were stored in
+    7: ({ todos, availableTags }) => ({
+        todos: todos.map((todo, index) => ({
+            ...todo,
+            order: typeof todo.order === 'number' ? todo.order : index,
+        })),
+        availableTags,
+    }),
+
+    8: ({ todos, availableTags }) => ({
+        todos: todos.map(todo => ({
+            ...todo,
+            status: todo.status || null,
+        })),
+        availableTags,
+    }),
+
+    9: ({ todos, availableTags }) => ({
+        todos: todos.map(todo => ({
+            ...todo,
+            projectId: todo.projectId || null,
+        })),
+        availableTags,
+    }),
+}
+
+/**
+ * Upgrade stored data to the current schema version
+ *
+ * @param {{todos: Array, availableTags: Array}} data - Data in the stored version
+ * @param {number} fromVersion - Version the data was saved with
+ * @returns {{todos: Array, availableTags: Array}} Data in the current version
+ * @throws {Error} When the data was saved by a newer version of the app
+ */
+export const migrateTodoData = (data, fromVersion) => {
+    if (fromVersion > TODO_SCHEMA_VERSION) {
+        throw new Error(`Saved data uses schema version ${fromVersion}, but this app only supports up to ${TODO_SCHEMA_VERSION}`)
+    }
+
+    let migrated = data
+    for (let version = fromVersion + 1; version <= TODO_SCHEMA_VERSION; version++) {
+        migrated = migrations[version](migrated)
+    }
+    return migrated
+}
+
+/**
+ * Check that a stored todo has the minimum shape every version shares
+ *
+ * @param {*} todo - Stored value
+ * @returns {boolean} Whether the todo can be loaded
+ */
+export const isValidTodo = (todo) => (
+    todo !== null &&
+    typeof todo === 'object' &&
+    !Array.isArray(todo) &&
+    typeof todo.id === 'string' && todo.id !== '' &&
+    typeof todo.title === 'string'
+)
+
+const PRIORITIES = [null, 'high', 'medium', 'low']
+
+/**
+ * Describe what is wrong with an upgraded todo
+ *
+ * isValidTodo only checks what every version shares; this checks the
+ * fields the app relies on once the todo is in the current schema.
+ *
+ * @param {Object} todo - Todo in the current schema
+ * @returns {string|null} Problem, or null when the todo is usable
+ */
+export const getTodoProblem = (todo) => {
+    if (todo.targetDate && Number.isNaN(Date.parse(todo.targetDate))) return 'invalid target date'
+    if (!PRIORITIES.includes(todo.priority)) return 'unknown priority'
+    if (!Array.isArray(todo.tags) || !todo.tags.every(isValidTag)) return 'invalid tags'
+    if (!Array.isArray(todo.subtasks) || !todo.subtasks.every(isValidSubtask)) return 'invalid subtasks'
+    if (!Array.isArray(todo.reminders) || !todo.reminders.every(Number.isFinite)) return 'invalid reminders'
+    return null
+}
+
+/**
+ * Check that a stored subtask is usable
+ *
+ * @param {*} subtask - Stored value
+ * @returns {boolean} Whether the subtask can be loaded
+ */
+const isValidSubtask = (subtask) => (
+    subtask !== null &&
+    typeof subtask === 'object' &&
+    typeof subtask.id === 'string' &&
+    typeof subtask.title === 'string'
+)
+
+/**
+ * Check that a stored tag is usable
+ *
+ * @param {*} tag - Stored value
+ * @returns {boolean} Whether the tag can be loaded
+ */
+export const isValidTag = (tag) => typeof tag === 'string' && tag !== ''
+
+/**
+ * Check that a stored project is usable
+ *
+ * @param {*} project - Stored value
+ * @returns {boolean} Whether the project can be loaded
+ */
+export const isValidProject = (project) => (
+    project !== null &&
+    typeof project === 'object' &&
+    typeof project.id === 'string' && project.id !== '' &&
+    typeof project.name === 'string'
+)
+
+/**
+ * Check that stored settings are a plain object
+ *
+ * @param {*} settings - Stored value
+ * @returns {boolean} Whether the settings can be loaded
+ */
+export const isValidSettings = (settings) => (
+    settings !== null && typeof settings === 'object' && !Array.isArray(settings)
+)
@@ -0,0 +1,157 @@
+/**
+ * todoSearch.js - Search query language for todos
+ *
+ * A query is a list of space separated terms; a todo must match all of
+ * them. Plain words and "quoted phrases" match the title, description and
+ * tags (case-insensitive). Operators:
+ *
+ * - tag:work            Has the tag (tag:"two words" for tags with spaces)
+ * - priority:high       high, medium, low or none
+ * - is:done             done / completed, open / pending, recurring
+ * - due:overdue         overdue, today, tomorrow, none (no target date), any
+ * - due:<7d             Due in under 7 days, overdue included (also <=, >, >=; units d, w, m)
+ * - due:<2026-12-31     Due before a date (same comparisons)
+ *
+ * Any term can be negated with a leading "-" (e.g. -tag:later, -"on hold").
+ * Unknown operators are searched as plain text.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { addDays, addMonths, addWeeks, differenceInCalendarDays, isValid, parseISO, startOfDay } from "date-fns";
+import { isOverdue } from "./smartLists";
+
+const OPERATORS = ['tag', 'priority', 'is', 'due']
+
+// Term: optional "-", optional "operator:", then a quoted or bare value
+const TERM_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi
+
+const COMPARISON_PATTERN = /^(<=|>=|<|>)?(?:(\d+)([dwm])|(\d{4}-\d{2}-\d{2}))$/
+
+const RELATIVE_UNITS = { d: addDays, w: addWeeks, m: addMonths }
+
+/**
+ * Parse a search query
+ *
+ * @param {string} query - Text typed into the search box
+ * @returns {Array<{field: string, value: string, negated: boolean}>} Terms; `field` is 'text' for plain words
+ */
+export const parseSearchQuery = (query) => {
+    const terms = []
+    for (const match of (query || '').matchAll(TERM_PATTERN)) {
+        const [, negation, operator, quoted, bare] = match
+        const value = (quoted ?? bare ?? '').trim().toLowerCase()
+        const field = operator?.toLowerCase()
+        const negated = Boolean(negation)
+
+        if (OPERATORS.includes(field)) {
+            if (value) terms.push({ field, value, negated })
+        } else {
+            // Unknown operators are searched as written; a lone "-" is ignored
+            const text = field ? `${field}:${value}` : value
+            if (text && text !== '-') terms.push({ field: 'text', value: text, negated })
+        }
+    }
+    return terms
+}
+
+/**
+ * Check a todo's target date against a due: value
+ *
+ * @param {Object} todo - Todo object
+ * @param {string} value - Lowercased value after "due:"
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the todo matches
+ */
+const matchesDue = (todo, value, now) => {
+    if (value === 'none') return !todo.targetDate
+    if (!todo.targetDate) return false
+    if (value === 'any') return true
+
+    const daysFromToday = differenceInCalendarDays(new Date(todo.targetDate), now)
+    if (value === 'overdue') return isOverdue(todo, now)
+    if (value === 'today') return daysFromToday === 0
+    if (value === 'tomorrow') return daysFromToday === 1
+
+    const comparison = value.match(COMPARISON_PATTERN)
+    if (!comparison) return false
+    const [, operator = '<=', amount, unit, isoDate] = comparison
+    const boundary = isoDate ? parseISO(isoDate) : RELATIVE_UNITS[unit](startOfDay(now), Number(amount))
+    if (!isValid(boundary)) return false
+
+    const difference = differenceInCalendarDays(new Date(todo.targetDate), boundary)
+    switch (operator) {
+        case '<': return difference < 0
+        case '>': return difference > 0
+        case '>=': return difference >= 0
+        default: return difference <= 0
+    }
+}
+
+/**
+ * Check one term against a todo
+ *
+ * @param {Object} todo - Todo object
+ * @param {{field: string, value: string}} term - Parsed term
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the todo matches (before negation)
+ */
+const matchesTerm = (todo, { field, value }, now) => {
+    const tags = (todo.tags || []).map(tag => tag.toLowerCase())
+    switch (field) {
+        case 'tag':
+            return tags.includes(value)
+        case 'priority':
+            return value === 'none' ? !todo.priority : todo.priority === value
+        case 'is':
+            if (['done', 'completed', 'complete'].includes(value)) return Boolean(todo.isCompleted)
+            if (['open', 'pending', 'todo'].includes(value)) return !todo.isCompleted
+            if (value === 'recurring') return Boolean(todo.recurrence)
+            return false
+        case 'due':
+            return matchesDue(todo, value, now)
+        default:
+            return (todo.title || '').toLowerCase().includes(value) ||
+                (todo.description || '').toLowerCase().includes(value) ||
+                tags.some(tag => tag.includes(value))
+    }
+}
+
+/**
+ * Check whether a todo matches every term of a parsed query
+ *
+ * @param {Object} todo - Todo object
+ * @param {Array} terms - Result of parseSearchQuery
+ * @param {Date} [now] - Current time, for due: terms
+ * @returns {boolean} Whether the todo matches
+ */
+export const matchesSearch = (todo, terms, now = new Date()) => (
+    terms.every(term => matchesTerm(todo, term, now) !== term.negated)
+)
+
+/**
+ * Text to highlight in matching todos
+ *
+ * @param {Array} terms - Result of parseSearchQuery
+ * @returns {Array<string>} Plain text terms that are not negated
+ */
+export const getHighlightTerms = (terms) => (
+    terms.filter(term => term.field === 'text' && !term.negated).map(term => term.value)
+)
+
+/**
+ * Check a todo against the tag filter bar
+ *
+ * @param {Object} todo - Todo object
+ * @param {Array<string>} tags - Selected tags; an empty list matches every todo
+ * @param {'any'|'all'} match - Whether the todo needs one or all of the tags
+ * @returns {boolean} Whether the todo matches
+ */
+export const matchesTagFilter = (todo, tags, match = 'any') => {
+    if (tags.length === 0) return true
+    const todoTags = todo.tags || []
+    return match === 'all'
+        ? tags.every(tag => todoTags.includes(tag))
+        : tags.some(tag => todoTags.includes(tag))
+}
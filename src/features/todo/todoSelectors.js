@@ -0,0 +1,97 @@
+/**
+ * todoSelectors.js - Derived views of the todo list
+ *
+ * Trashed todos stay in `state.todo.todos` (with `deletedAt` set) so that
+ * syncing, persistence and undo handle them like any other change. Use
+ * these selectors instead of reading `state.todo.todos` directly wherever
+ * only the live todos or only the trash should show up.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { createSelector } from "@reduxjs/toolkit";
+import { addDays } from "date-fns";
+import { INBOX_ID, getTodoProjectId } from "./projects";
+
+const selectTodos = (state) => state.todo.todos
+
+/**
+ * All projects, archived ones included
+ */
+export const selectProjects = (state) => state.todo.projects
+
+/**
+ * Todos that are not in the trash
+ */
+export const selectActiveTodos = createSelector(
+    [selectTodos],
+    (todos) => todos.filter(todo => !todo.deletedAt)
+)
+
+/**
+ * Todos in the trash, most recently deleted first
+ */
+export const selectTrashedTodos = createSelector(
+    [selectTodos],
+    (todos) => todos
+        .filter(todo => todo.deletedAt)
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+)
+
+/**
+ * Live todos shown for a project route
+ *
+ * Without a project ("All tasks") this leaves out todos in archived
+ * projects; the Inbox holds the todos without a known project.
+ *
+ * @param {Object} state - Root Redux state
+ * @param {string} [projectId] - Project ID, INBOX_ID, or undefined for all tasks
+ * @returns {Array} Todos
+ */
+export const selectProjectTodos = createSelector(
+    [selectActiveTodos, selectProjects, (state, projectId) => projectId],
+    (todos, projects, projectId) => {
+        if (!projectId) {
+            const archived = new Set(projects.filter(project => project.archived).map(project => project.id))
+            return todos.filter(todo => !archived.has(todo.projectId))
+        }
+        return todos.filter(todo => getTodoProjectId(todo, projects) === projectId)
+    }
+)
+
+/**
+ * Number of open todos in the Inbox and in each project
+ */
+export const selectProjectCounts = createSelector(
+    [selectActiveTodos, selectProjects],
+    (todos, projects) => {
+        const counts = { [INBOX_ID]: 0 }
+        projects.forEach(project => { counts[project.id] = 0 })
+        todos.forEach(todo => {
+            if (!todo.isCompleted) counts[getTodoProjectId(todo, projects)] += 1
+        })
+        return counts
+    }
+)
+
+/**
+ * When a trashed todo will be deleted for good
+ *
+ * @param {Object} todo - Trashed todo
+ * @param {number} retentionDays - Days trashed todos are kept
+ * @returns {Date} Purge time
+ */
+export const getTrashExpiry = (todo, retentionDays) => addDays(new Date(todo.deletedAt), retentionDays)
+
+/**
+ * Trashed todos past the user's retention period
+ *
+ * @param {Object} state - Root Redux state
+ * @param {Date} now - Current time
+ * @returns {Array} Todos to purge
+ */
+export const getExpiredTrash = (state, now) => {
+    const { trashRetentionDays } = state.todo.settings
+    return selectTrashedTodos(state).filter(todo => getTrashExpiry(todo, trashRetentionDays) <= now)
+}
@@ -8,23 +8,44 @@
  * - Complete todo lifecycle management (create, read, update, delete)
  * - Priority system (high, medium, low, none)
  * - Tag management with unique tag storage
- * - Local storage persistence
+ * - Ordered subtask checklists, optionally driving parent completion
+ * - Recurring todos: completing one creates the next occurrence
+ * - Due-date reminders (fired by features/reminders) with snoozing
+ * - Trash: deleted todos keep a deletedAt timestamp until restored or purged
+ * - Manual ordering through each todo's `order` (see todoSort.js)
+ * - Board status columns; the last column keeps isCompleted in sync (see todoBoard.js)
+ * - Projects grouping todos through projectId (see projects.js)
+ * - Sync reducers used by the optimistic server thunks in todoThunks.js
+ * - Pure reducers; persistence happens in todoPersistence.js after each action
  * - Immutable state updates using Redux Toolkit
  * 
  * State Structure:
  * - todos: Array of todo objects
  * - availableTags: Array of unique tag strings for autocomplete
+ * - projects: The user's projects
+ * - namespace: Storage namespace of the logged-in user (null when logged out)
+ * - isHydrated: Whether the user's stored data has been loaded yet
+ * - syncError: Message of the last failed server request (null when none)
+ * - storageWarning: Problem found while loading stored data (null when none)
+ * - settings: Per-user preferences saved with the todos (see DEFAULT_TODO_SETTINGS)
+ * - listFilter: Completion filter and smart list of the task list (not saved)
+ * - activeTodoId: Todo the list's keyboard shortcuts act on (not saved)
  * 
  * @author Sarthak Gupta
  * @version 1.0.0
  */
 
 import { createSlice, nanoid } from "@reduxjs/toolkit";
-import { useEffect } from "react";
+import { addDays } from "date-fns";
+import { getUserFromStorage, loginUser, logoutUser, registerUser } from "@/features/auth/authSlice";
+import { getUserNamespace } from "./todoStorage";
+import { getNextOccurrence } from "./recurrence";
+import { DEFAULT_TODO_SETTINGS } from "./todoSchema";
+import { getNextOrder, needsRenumbering, sortTodos } from "./todoSort";
+import { getBoardColumns } from "./todoBoard";
 
-// Load persisted data from localStorage
-const todos = JSON.parse(localStorage.getItem('todos') || '[]')
-const savedTags = JSON.parse(localStorage.getItem('availableTags') || '[]')
+// Completion filter (all, pending, completed) and smart list ID (see smartLists.js) or null
+const DEFAULT_LIST_FILTER = { status: 'all', smartList: null }
 
 /**
  * Initial state for the todo slice
@@ -32,12 +53,148 @@ const savedTags = JSON.parse(localStorage.getItem('availableTags') || '[]')
  * @typedef {Object} TodoState
  * @property {Array} todos - Array of todo objects
  * @property {Array} availableTags - Array of unique tag strings
+ * @property {Array} projects - The user's projects
+ * @property {string|null} namespace - Storage namespace of the logged-in user
+ * @property {boolean} isHydrated - Whether stored data has been loaded
+ * @property {string|null} syncError - Last server sync error message
+ * @property {string|null} storageWarning - Stored data problem to tell the user about
+ * @property {Object} settings - Per-user preferences
+ * @property {{status: string, smartList: string|null}} listFilter - Task list filter
+ * @property {string|null} activeTodoId - Todo selected with the keyboard
  */
 const initialState = {
-    todos,                    // Restored from localStorage
-    availableTags: savedTags, // Array of unique tag strings for autocomplete
+    todos: [],                // Loaded asynchronously by hydrateTodos
+    availableTags: [],        // Array of unique tag strings for autocomplete
+    projects: [],             // Loaded with the todos by hydrateTodos
+    namespace: getUserNamespace(getUserFromStorage()), // User restored from the previous session
+    isHydrated: false,        // Nothing is saved until the stored data is loaded
+    syncError: null,          // Shown to the user after a rolled back change
+    storageWarning: null,     // Shown when stored data was set aside or unreadable
+    settings: DEFAULT_TODO_SETTINGS, // Loaded with the todos by hydrateTodos
+    listFilter: DEFAULT_LIST_FILTER, // Set from the list or the command palette
+    activeTodoId: null,       // Moved with j / k in the list
 }
 
+/**
+ * Add any tags not seen before to the available tags list
+ *
+ * @param {Object} state - Current Redux state (draft)
+ * @param {Array} tags - Tags to merge in
+ */
+const mergeAvailableTags = (state, tags) => {
+    if (!tags || tags.length === 0) return
+    const newTags = tags.filter(tag => !state.availableTags.includes(tag))
+    if (newTags.length === 0) return
+    state.availableTags = [...state.availableTags, ...newTags]
+}
+
+/**
+ * Find a todo in the draft state by ID
+ *
+ * @param {Object} state - Current Redux state (draft)
+ * @param {string} id - Todo ID
+ * @returns {Object|undefined} Todo draft
+ */
+const findTodo = (state, id) => state.todos.find(todo => todo.id === id)
+
+/**
+ * Build a new todo from the data of the add form (or an import)
+ *
+ * @param {Object} state - Current Redux state (draft)
+ * @param {Object} data - Todo data, with the ID and createdAt generated in prepare
+ * @returns {Object} Complete todo
+ */
+const buildNewTodo = (state, data) => ({
+    id: data.id,
+    title: data.title,
+    description: data.description,
+    targetDate: data.targetDate,
+    priority: data.priority || null,                // high, medium, low, or null
+    tags: data.tags || [],                          // Array of tag strings
+    recurrence: data.recurrence || null,            // Repeat rule or null
+    reminders: data.reminders || [],                // Minutes before due time
+    snoozedUntil: null,                             // Snoozed reminder time
+    deletedAt: null,                                // Set while in the trash
+    isCompleted: Boolean(data.isCompleted),         // Only imported todos can start out done
+    subtasks: (data.subtasks || []).map((subtask, index) => ({
+        id: `${data.id}-${index}`,
+        title: subtask.title,
+        isCompleted: Boolean(subtask.isCompleted)
+    })),                                            // Ordered checklist items (only imports start with some)
+    completeWithSubtasks: false,                    // Follow subtask completion?
+    order: getNextOrder(state.todos),               // Manual order: added at the end
+    status: data.status || null,                    // Board column ID (null = first column)
+    projectId: data.projectId || null,              // Project ID (null = Inbox)
+    createdAt: data.createdAt,
+    updatedAt: data.createdAt
+})
+
+/**
+ * Create the next occurrence of a recurring todo that was just completed
+ *
+ * The copy gets a fresh ID, an advanced targetDate and unchecked subtasks.
+ * Nothing happens for one-off todos, finished series, or when the next
+ * occurrence created earlier still exists (e.g. the todo was reopened and
+ * completed again).
+ *
+ * @param {Object} state - Current Redux state (draft)
+ * @param {Object} todo - Completed todo draft
+ * @param {{updatedAt: string, nextOccurrenceId: string}} meta - Values generated in prepare
+ */
+const spawnNextOccurrence = (state, todo, meta) => {
+    if (!todo.recurrence) return
+    if (todo.nextOccurrenceId && state.todos.some(item => item.id === todo.nextOccurrenceId)) return
+
+    const nextDate = getNextOccurrence(todo.recurrence, todo.targetDate, new Date(meta.updatedAt))
+    if (!nextDate) return
+
+    state.todos.push({
+        ...todo,
+        id: meta.nextOccurrenceId,
+        targetDate: nextDate.toISOString(),
+        isCompleted: false,
+        subtasks: todo.subtasks.map((subtask, index) => ({
+            ...subtask,
+            id: `${meta.nextOccurrenceId}-${index}`,
+            isCompleted: false
+        })),
+        nextOccurrenceId: null,
+        snoozedUntil: null,
+        deletedAt: null,
+        order: getNextOrder(state.todos),
+        status: null,
+        createdAt: meta.updatedAt,
+        updatedAt: meta.updatedAt
+    })
+    todo.nextOccurrenceId = meta.nextOccurrenceId
+}
+
+/**
+ * Complete the parent todo when every subtask is done (and reopen it when
+ * one is unchecked), if the todo opted in via completeWithSubtasks.
+ *
+ * @param {Object} state - Current Redux state (draft)
+ * @param {Object} todo - Todo draft
+ * @param {Object} meta - Values generated in prepare (see prepareTodoChange)
+ */
+const syncParentCompletion = (state, todo, meta) => {
+    if (!todo.completeWithSubtasks || todo.subtasks.length === 0) return
+    const wasCompleted = todo.isCompleted
+    todo.isCompleted = todo.subtasks.every(subtask => subtask.isCompleted)
+    if (todo.isCompleted && !wasCompleted) spawnNextOccurrence(state, todo, meta)
+}
+
+/**
+ * Prepare callback for changes to an existing todo
+ *
+ * Stamps the change time and pre-generates the ID the next occurrence
+ * gets if the change completes a recurring todo.
+ */
+const prepareTodoChange = (payload) => ({
+    payload,
+    meta: { updatedAt: new Date().toISOString(), nextOccurrenceId: nanoid() }
+})
+
 /**
  * Todo Redux Slice
  * 
@@ -61,31 +218,49 @@ export const todoSlice = createSlice({
          * @param {string} action.payload.targetDate - ISO date string (optional)
          * @param {string} action.payload.priority - Priority level: 'high', 'medium', 'low', or null
          * @param {Array} action.payload.tags - Array of tag strings (optional)
+         * @param {Object} action.payload.recurrence - Repeat rule (optional, see recurrence.js)
+         * @param {Array<number>} action.payload.reminders - Minutes before the due time to remind at (optional)
          */
-        addTodo: (state, action) => {
-            // Create new todo object with unique ID
-            const todo = {
-                id: nanoid(),                                           // Generate unique ID
-                title: action.payload.title,
-                description: action.payload.description,
-                targetDate: action.payload.targetDate,
-                priority: action.payload.priority || null,             // high, medium, low, or null
-                tags: action.payload.tags || [],                       // Array of tag strings
-                isCompleted: false                                      // New todos are always incomplete
-            }
-            
-            // Add todo to state
-            state.todos.push(todo)
-            
-            // Update available tags (prevent duplicates)
-            if (action.payload.tags && action.payload.tags.length > 0) {
-                const newTags = action.payload.tags.filter(tag => !state.availableTags.includes(tag))
-                state.availableTags = [...state.availableTags, ...newTags]
-                localStorage.setItem('availableTags', JSON.stringify(state.availableTags))
+        addTodo: {
+            reducer: (state, action) => {
+                // Create new todo object with the ID generated in prepare
+                const todo = buildNewTodo(state, action.payload)
+                
+                // Add todo to state
+                state.todos.push(todo)
+                
+                // Update available tags (prevent duplicates)
+                mergeAvailableTags(state, action.payload.tags)
+            },
+            // Generate ID and timestamp up front so the dispatched action carries them
+            prepare: (data) => ({
+                payload: { ...data, id: nanoid(), createdAt: new Date().toISOString() }
+            })
+        },
+
+        /**
+         * Todos Imported Reducer
+         * 
+         * Adds several todos read from a file (CSV, calendar or text import)
+         * in one step, so they can be undone together.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Array<Object>} action.payload - Todo data, as for addTodo; may also set isCompleted, createdAt and subtasks ({ title, isCompleted })
+         */
+        todosImported: {
+            reducer: (state, action) => {
+                action.payload.forEach(data => {
+                    state.todos.push(buildNewTodo(state, data))
+                    mergeAvailableTags(state, data.tags)
+                })
+            },
+            prepare: (todos) => {
+                const now = new Date().toISOString()
+                return {
+                    payload: todos.map(data => ({ ...data, id: nanoid(), createdAt: data.createdAt || now }))
+                }
             }
-            
-            // Persist todos to localStorage
-            localStorage.setItem('todos', JSON.stringify(state.todos))
         },
 
         /**
@@ -102,35 +277,40 @@ export const todoSlice = createSlice({
          * @param {string} action.payload.targetDate - Updated target date (ISO string)
          * @param {string} action.payload.priority - Updated priority level
          * @param {Array} action.payload.tags - Updated tags array
+         * @param {Object} action.payload.recurrence - Updated repeat rule (null to stop repeating)
+         * @param {Array<number>} action.payload.reminders - Updated reminder offsets
          */
-        updateTodo:(state, action) => {
-            // Find and update the specific todo
-            state.todos = state.todos.map((todo) => (
-                todo.id === action.payload.id ? {
-                    ...todo,                                            // Preserve existing properties
-                    title: action.payload.title,
-                    description: action.payload.description,
-                    targetDate: action.payload.targetDate,
-                    priority: action.payload.priority,
-                    tags: action.payload.tags || []
-                } : todo
-            ))
-            
-            // Update available tags (prevent duplicates)
-            if (action.payload.tags && action.payload.tags.length > 0) {
-                const newTags = action.payload.tags.filter(tag => !state.availableTags.includes(tag))
-                state.availableTags = [...state.availableTags, ...newTags]
-                localStorage.setItem('availableTags', JSON.stringify(state.availableTags))
-            }
-            
-            // Persist updated todos to localStorage
-            localStorage.setItem('todos', JSON.stringify(state.todos))
+        updateTodo: {
+            reducer: (state, action) => {
+                // Find and update the specific todo
+                state.todos = state.todos.map((todo) => (
+                    todo.id === action.payload.id ? {
+                        ...todo,                                            // Preserve existing properties
+                        title: action.payload.title,
+                        description: action.payload.description,
+                        targetDate: action.payload.targetDate,
+                        priority: action.payload.priority,
+                        tags: action.payload.tags || [],
+                        recurrence: action.payload.recurrence || null,
+                        reminders: action.payload.reminders || [],
+                        projectId: action.payload.projectId || null,
+                        updatedAt: action.payload.updatedAt
+                    } : todo
+                ))
+                
+                // Update available tags (prevent duplicates)
+                mergeAvailableTags(state, action.payload.tags)
+            },
+            prepare: (data) => ({
+                payload: { ...data, updatedAt: new Date().toISOString() }
+            })
         },
 
         /**
          * Remove Todo Reducer
          * 
          * Removes a todo from the state by filtering out the todo with matching ID.
+         * This deletes it for good; use trashTodo to move it to the trash.
          * 
          * @param {Object} state - Current Redux state
          * @param {Object} action - Action object with payload containing todo ID
@@ -139,9 +319,58 @@ export const todoSlice = createSlice({
         removeTodo: (state, action) => {
             // Filter out the todo with matching ID
             state.todos = state.todos.filter((todo) => todo.id !== action.payload)
-            
-            // Persist updated todos to localStorage
-            localStorage.setItem('todos', JSON.stringify(state.todos))
+        },
+
+        /**
+         * Remove Todos Reducer
+         * 
+         * Deletes several todos for good (emptying or purging the trash).
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Array<string>} action.payload - IDs of the todos to remove
+         */
+        removeTodos: (state, action) => {
+            const ids = new Set(action.payload)
+            state.todos = state.todos.filter((todo) => !ids.has(todo.id))
+        },
+
+        /**
+         * Trash Todo Reducer
+         * 
+         * Moves a todo to the trash by stamping it with deletedAt.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload - ID of the todo to trash
+         */
+        trashTodo: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload)
+                if (!todo) return
+                todo.deletedAt = action.meta.updatedAt
+                todo.updatedAt = action.meta.updatedAt
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Restore From Trash Reducer
+         * 
+         * Takes a todo back out of the trash.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload - ID of the todo to restore
+         */
+        restoreFromTrash: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload)
+                if (!todo) return
+                todo.deletedAt = null
+                todo.updatedAt = action.meta.updatedAt
+            },
+            prepare: prepareTodoChange
         },
 
         /**
@@ -149,34 +378,675 @@ export const todoSlice = createSlice({
          * 
          * Toggles the completion status of a todo by ID.
          * Finds the todo and flips its isCompleted boolean value.
+         * Completing a recurring todo also creates its next occurrence.
          * 
          * @param {Object} state - Current Redux state
          * @param {Object} action - Action object with payload containing todo ID
          * @param {string} action.payload - ID of todo to toggle
          */
-        toggleComplete: (state, action) => {
-            // Find todo and toggle its completion status
-            state.todos = state.todos.map((todo) => (
-                todo.id === action.payload ? {...todo, isCompleted: !todo.isCompleted} : todo
-            ))
-            
-            // Persist updated todos to localStorage
-            localStorage.setItem('todos', JSON.stringify(state.todos))
+        toggleComplete: {
+            reducer: (state, action) => {
+                // Find todo and toggle its completion status
+                const todo = findTodo(state, action.payload)
+                if (!todo) return
+                todo.isCompleted = !todo.isCompleted
+                todo.updatedAt = action.meta.updatedAt
+                if (todo.isCompleted) spawnNextOccurrence(state, todo, action.meta)
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Add Subtask Reducer
+         * 
+         * Appends a checklist item to a todo.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Parent todo ID
+         * @param {string} action.payload.title - Subtask title
+         */
+        addSubtask: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                if (!todo) return
+                todo.subtasks.push({
+                    id: action.payload.id,
+                    title: action.payload.title,
+                    isCompleted: false
+                })
+                todo.updatedAt = action.meta.updatedAt
+                syncParentCompletion(state, todo, action.meta)
+            },
+            prepare: (payload) => prepareTodoChange({ ...payload, id: nanoid() })
+        },
+
+        /**
+         * Update Subtask Reducer
+         * 
+         * Renames a checklist item.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Parent todo ID
+         * @param {string} action.payload.subtaskId - Subtask ID
+         * @param {string} action.payload.title - New title
+         */
+        updateSubtask: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                const subtask = todo?.subtasks.find(item => item.id === action.payload.subtaskId)
+                if (!subtask) return
+                subtask.title = action.payload.title
+                todo.updatedAt = action.meta.updatedAt
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Toggle Subtask Reducer
+         * 
+         * Flips a checklist item's completion, then updates the parent if it
+         * follows its subtasks.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Parent todo ID
+         * @param {string} action.payload.subtaskId - Subtask ID
+         */
+        toggleSubtask: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                const subtask = todo?.subtasks.find(item => item.id === action.payload.subtaskId)
+                if (!subtask) return
+                subtask.isCompleted = !subtask.isCompleted
+                todo.updatedAt = action.meta.updatedAt
+                syncParentCompletion(state, todo, action.meta)
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Move Subtask Reducer
+         * 
+         * Moves a checklist item to a new position in the list.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Parent todo ID
+         * @param {string} action.payload.subtaskId - Subtask ID
+         * @param {number} action.payload.toIndex - New position (clamped to the list)
+         */
+        moveSubtask: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                if (!todo) return
+                const fromIndex = todo.subtasks.findIndex(item => item.id === action.payload.subtaskId)
+                if (fromIndex === -1) return
+                const toIndex = Math.max(0, Math.min(action.payload.toIndex, todo.subtasks.length - 1))
+                const [subtask] = todo.subtasks.splice(fromIndex, 1)
+                todo.subtasks.splice(toIndex, 0, subtask)
+                todo.updatedAt = action.meta.updatedAt
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Remove Subtask Reducer
+         * 
+         * Deletes a checklist item.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Parent todo ID
+         * @param {string} action.payload.subtaskId - Subtask ID
+         */
+        removeSubtask: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                if (!todo) return
+                todo.subtasks = todo.subtasks.filter(item => item.id !== action.payload.subtaskId)
+                todo.updatedAt = action.meta.updatedAt
+                syncParentCompletion(state, todo, action.meta)
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Set Complete With Subtasks Reducer
+         * 
+         * Turns automatic parent completion on or off for a todo.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Parent todo ID
+         * @param {boolean} action.payload.enabled - Whether the parent follows its subtasks
+         */
+        setCompleteWithSubtasks: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                if (!todo) return
+                todo.completeWithSubtasks = action.payload.enabled
+                todo.updatedAt = action.meta.updatedAt
+                syncParentCompletion(state, todo, action.meta)
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Snooze Reminder Reducer
+         * 
+         * Makes a todo's reminder fire again at a later time.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Todo ID
+         * @param {string} action.payload.until - When to remind again (ISO string)
+         */
+        snoozeReminder: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                if (!todo) return
+                todo.snoozedUntil = action.payload.until
+                todo.updatedAt = action.meta.updatedAt
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Move Todo Reducer
+         * 
+         * Moves a todo in the manual order. When the orders have run too close
+         * together, every todo is renumbered 0, 1, 2... in its current order.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Todo ID
+         * @param {number} action.payload.order - New position (see getMovedOrder)
+         */
+        moveTodo: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                if (!todo) return
+                todo.order = action.payload.order
+                todo.updatedAt = action.meta.updatedAt
+
+                const sorted = sortTodos(state.todos, 'manual')
+                if (!needsRenumbering(sorted)) return
+                sorted.forEach((item, index) => {
+                    if (item.order === index) return
+                    item.order = index
+                    item.updatedAt = action.meta.updatedAt
+                })
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Set Target Date Reducer
+         * 
+         * Moves a todo to another date (e.g. dragged in the calendar). Without
+         * a date its reminders are dropped, like in the todo form; a pending
+         * snooze is dropped either way since it was for the old date.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Todo ID
+         * @param {string|null} action.payload.targetDate - New target date (ISO string)
+         */
+        setTargetDate: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                if (!todo) return
+                todo.targetDate = action.payload.targetDate
+                if (!todo.targetDate) todo.reminders = []
+                todo.snoozedUntil = null
+                todo.updatedAt = action.meta.updatedAt
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Set Todo Priority Reducer
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Todo ID
+         * @param {string|null} action.payload.priority - high, medium, low, or null
+         */
+        setTodoPriority: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                if (!todo) return
+                todo.priority = action.payload.priority
+                todo.updatedAt = action.meta.updatedAt
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Bulk Update Todos Reducer
+         * 
+         * Applies one change to several todos at once, so it is undone as a
+         * single step. Completing works like toggleComplete (recurring todos
+         * get their next occurrence) and dates like setTargetDate. Trashed
+         * and unknown todos are skipped.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Array<string>} action.payload.ids - Todo IDs
+         * @param {Object} action.payload.changes - What to change:
+         *   isCompleted (boolean), trash (true), priority (high, medium, low or null),
+         *   targetDate (ISO string or null), shiftDays (days to move dated todos by),
+         *   addTags and removeTags (arrays of tags)
+         */
+        bulkUpdateTodos: {
+            reducer: (state, action) => {
+                const { ids, changes } = action.payload
+                const { updatedAt, nextOccurrenceIds } = action.meta
+                ids.forEach(id => {
+                    const todo = findTodo(state, id)
+                    if (!todo || todo.deletedAt) return
+                    if ('priority' in changes) todo.priority = changes.priority
+                    if ('targetDate' in changes) {
+                        todo.targetDate = changes.targetDate
+                        if (!todo.targetDate) todo.reminders = []
+                        todo.snoozedUntil = null
+                    }
+                    if (changes.shiftDays && todo.targetDate) {
+                        todo.targetDate = addDays(new Date(todo.targetDate), changes.shiftDays).toISOString()
+                        todo.snoozedUntil = null
+                    }
+                    if (changes.addTags) todo.tags = [...new Set([...todo.tags, ...changes.addTags])]
+                    if (changes.removeTags) todo.tags = todo.tags.filter(tag => !changes.removeTags.includes(tag))
+                    if ('isCompleted' in changes && todo.isCompleted !== changes.isCompleted) {
+                        todo.isCompleted = changes.isCompleted
+                        if (todo.isCompleted) spawnNextOccurrence(state, todo, { updatedAt, nextOccurrenceId: nextOccurrenceIds[id] })
+                    }
+                    if (changes.trash) todo.deletedAt = updatedAt
+                    todo.updatedAt = updatedAt
+                })
+                mergeAvailableTags(state, changes.addTags)
+            },
+            prepare: (payload) => ({
+                payload,
+                meta: {
+                    updatedAt: new Date().toISOString(),
+                    nextOccurrenceIds: Object.fromEntries(payload.ids.map(id => [id, nanoid()]))
+                }
+            })
+        },
+
+        /**
+         * Set Todo Status Reducer
+         * 
+         * Moves a todo to another board column. Moving it into the last column
+         * completes it (creating the next occurrence of a recurring todo) and
+         * moving it out of there reopens it.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.todoId - Todo ID
+         * @param {string} action.payload.status - Column ID
+         */
+        setTodoStatus: {
+            reducer: (state, action) => {
+                const todo = findTodo(state, action.payload.todoId)
+                if (!todo) return
+                const columns = getBoardColumns(state.settings)
+                const isDone = columns[columns.length - 1].id === action.payload.status
+                todo.status = action.payload.status
+                todo.updatedAt = action.meta.updatedAt
+                if (isDone !== todo.isCompleted) {
+                    todo.isCompleted = isDone
+                    if (isDone) spawnNextOccurrence(state, todo, action.meta)
+                }
+            },
+            prepare: prepareTodoChange
+        },
+
+        /**
+         * Todos Hydrated Reducer
+         * 
+         * Puts the user's stored todos and tags into the state once they have
+         * been read from storage. Ignored if a different user logged in while
+         * the data was loading.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.namespace - Namespace the data was loaded for
+         * @param {Array} action.payload.todos - Stored todos
+         * @param {Array} action.payload.availableTags - Stored tags
+         * @param {Object} action.payload.settings - Stored settings
+         * @param {Array} action.payload.projects - Stored projects
+         * @param {Array<string>} action.payload.warnings - Problems found while loading
+         */
+        todosHydrated: (state, action) => {
+            if (action.payload.namespace !== state.namespace) return
+            state.todos = action.payload.todos
+            state.availableTags = action.payload.availableTags
+            state.settings = action.payload.settings
+            state.projects = action.payload.projects || []
+            state.isHydrated = true
+            state.storageWarning = action.payload.warnings?.length
+                ? action.payload.warnings.join(' ')
+                : null
+        },
+
+        /**
+         * Backup Imported Reducer
+         * 
+         * Replaces the user's todos, tags, settings and projects with the
+         * result of importing a backup (see todoBackup.js).
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Array} action.payload.todos - Todos after the import
+         * @param {Array} action.payload.availableTags - Tags after the import
+         * @param {Object} action.payload.settings - Settings after the import
+         * @param {Array} action.payload.projects - Projects after the import
+         */
+        backupImported: (state, action) => {
+            state.todos = action.payload.todos
+            state.availableTags = action.payload.availableTags
+            state.settings = action.payload.settings
+            state.projects = action.payload.projects
+        },
+
+        /**
+         * Storage Failed Reducer
+         * 
+         * Records that stored data could not be loaded at all. The todos stay
+         * unhydrated, so nothing is written over the unreadable data.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload - Error message to show the user
+         */
+        storageFailed: (state, action) => {
+            state.storageWarning = action.payload
+        },
+
+        /**
+         * Clear Storage Warning Reducer
+         * 
+         * Dismisses the stored data warning.
+         */
+        clearStorageWarning: (state) => {
+            state.storageWarning = null
+        },
+
+        /**
+         * Update Settings Reducer
+         * 
+         * Changes some of the user's preferences.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Object} action.payload - Settings to change (see DEFAULT_TODO_SETTINGS)
+         */
+        updateSettings: (state, action) => {
+            state.settings = { ...state.settings, ...action.payload }
+        },
+
+        /**
+         * Set List Filter Reducer
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Object} action.payload - Filter fields to change (status, smartList)
+         */
+        setListFilter: (state, action) => {
+            state.listFilter = { ...state.listFilter, ...action.payload }
+        },
+
+        /**
+         * Set Active Todo Reducer
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string|null} action.payload - Todo ID, or null for none
+         */
+        setActiveTodo: (state, action) => {
+            state.activeTodoId = action.payload
+        },
+
+        /**
+         * Add Project Reducer
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.name - Project name
+         * @param {string} action.payload.color - Color name (see PROJECT_COLORS)
+         * @param {string} action.payload.icon - Icon name (see PROJECT_ICONS)
+         */
+        addProject: {
+            reducer: (state, action) => {
+                state.projects.push(action.payload)
+            },
+            prepare: ({ name, color, icon }) => ({
+                payload: { id: nanoid(), name, color, icon, archived: false, createdAt: new Date().toISOString() }
+            })
+        },
+
+        /**
+         * Update Project Reducer
+         * 
+         * Renames, recolors, archives or unarchives a project.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.id - Project ID
+         * @param {Object} action.payload.changes - Fields to change (name, color, icon, archived)
+         */
+        updateProject: (state, action) => {
+            const project = state.projects.find(item => item.id === action.payload.id)
+            if (project) Object.assign(project, action.payload.changes)
+        },
+
+        /**
+         * Remove Project Reducer
+         * 
+         * Deletes a project. Its todos either move to the Inbox or go to the
+         * trash with it; todos already in the trash are restored to the Inbox.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload.id - Project ID
+         * @param {boolean} action.payload.deleteTodos - Trash the project's todos instead of moving them
+         */
+        removeProject: {
+            reducer: (state, action) => {
+                const { id, deleteTodos } = action.payload
+                state.projects = state.projects.filter(project => project.id !== id)
+                state.todos.forEach(todo => {
+                    if (todo.projectId !== id) return
+                    if (deleteTodos && !todo.deletedAt) todo.deletedAt = action.meta.updatedAt
+                    todo.projectId = null
+                    todo.updatedAt = action.meta.updatedAt
+                })
+            },
+            prepare: (payload) => ({ payload, meta: { updatedAt: new Date().toISOString() } })
+        },
+
+        /**
+         * Restore Project Reducer
+         * 
+         * Puts a removed project back after its todos could not be saved.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Object} action.payload.project - Removed project
+         * @param {number} action.payload.index - Its position before removal
+         */
+        restoreProject: (state, action) => {
+            const { project, index } = action.payload
+            if (state.projects.some(item => item.id === project.id)) return
+            state.projects.splice(index, 0, project)
+        },
+
+        /**
+         * Todos Loaded Reducer
+         * 
+         * Replaces the todo list with the server's copy and adds their tags
+         * to the available tags.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Array} action.payload - Todos returned by the server
+         */
+        todosLoaded: (state, action) => {
+            state.todos = action.payload
+            mergeAvailableTags(state, action.payload.flatMap(todo => todo.tags || []))
+        },
+
+        /**
+         * Todo Synced Reducer
+         * 
+         * Replaces a todo with the version stored by the server once a request
+         * succeeds. Ignored if the todo was removed in the meantime.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Object} action.payload - Todo as stored by the server
+         */
+        todoSynced: (state, action) => {
+            const index = state.todos.findIndex(todo => todo.id === action.payload.id)
+            if (index === -1) return
+            state.todos[index] = action.payload
+        },
+
+        /**
+         * Restore Todo Reducer
+         * 
+         * Rolls back an optimistic change after a failed request by putting
+         * back the previous version of a todo at its previous position.
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {Object} action.payload.todo - Todo snapshot taken before the change
+         * @param {number} action.payload.index - Position of the todo before the change
+         */
+        restoreTodo: (state, action) => {
+            const { todo, index } = action.payload
+            const currentIndex = state.todos.findIndex(item => item.id === todo.id)
+            if (currentIndex === -1) {
+                state.todos.splice(index, 0, todo)
+            } else {
+                state.todos[currentIndex] = todo
+            }
+        },
+
+        /**
+         * Sync Failed Reducer
+         * 
+         * @param {Object} state - Current Redux state
+         * @param {Object} action - Action object
+         * @param {string} action.payload - Error message to show the user
+         */
+        syncFailed: (state, action) => {
+            state.syncError = action.payload
+        },
+
+        /**
+         * Clear Sync Error Reducer
+         * 
+         * Dismisses the last sync error message.
+         */
+        clearSyncError: (state) => {
+            state.syncError = null
         }
+    },
+    extraReducers: (builder) => {
+        /**
+         * Switch to the logged-in user's namespace
+         * 
+         * Their data is loaded by hydrateTodos, which the persistence
+         * middleware dispatches right after login.
+         */
+        const switchUser = (state, action) => {
+            state.namespace = getUserNamespace(action.payload.user)
+            state.todos = []
+            state.availableTags = []
+            state.projects = []
+            state.settings = DEFAULT_TODO_SETTINGS
+            state.listFilter = DEFAULT_LIST_FILTER
+            state.activeTodoId = null
+            state.isHydrated = false
+            state.syncError = null
+            state.storageWarning = null
+        }
+
+        builder
+            .addCase(loginUser.fulfilled, switchUser)
+            .addCase(registerUser.fulfilled, switchUser)
+            /**
+             * Clear the previous user's data from memory on logout
+             */
+            .addCase(logoutUser.fulfilled, (state) => {
+                state.namespace = null
+                state.todos = []
+                state.availableTags = []
+                state.projects = []
+                state.settings = DEFAULT_TODO_SETTINGS
+                state.listFilter = DEFAULT_LIST_FILTER
+                state.activeTodoId = null
+                state.isHydrated = false
+                state.syncError = null
+                state.storageWarning = null
+            })
     }
 })
 
 /**
  * Export action creators
  * 
- * These action creators are automatically generated by Redux Toolkit
- * and can be imported and dispatched from components.
+ * These action creators are automatically generated by Redux Toolkit.
+ * Components should dispatch the sync thunks from todoThunks.js, which
+ * wrap these actions with server requests and rollback.
  * 
  * Usage example:
- * import { addTodo, updateTodo, removeTodo, toggleComplete } from '@/features/todo/todoSlice'
- * dispatch(addTodo({ title: 'New Todo', description: 'Todo description' }))
+ * import { createTodo } from '@/features/todo/todoThunks'
+ * dispatch(createTodo({ title: 'New Todo', description: 'Todo description' }))
  */
-export const { addTodo, updateTodo, removeTodo, toggleComplete } = todoSlice.actions
+export const {
+    addTodo,
+    todosImported,
+    updateTodo,
+    removeTodo,
+    removeTodos,
+    trashTodo,
+    restoreFromTrash,
+    toggleComplete,
+    addSubtask,
+    updateSubtask,
+    toggleSubtask,
+    moveSubtask,
+    removeSubtask,
+    setCompleteWithSubtasks,
+    snoozeReminder,
+    moveTodo,
+    setTargetDate,
+    setTodoPriority,
+    bulkUpdateTodos,
+    setTodoStatus,
+    todosHydrated,
+    backupImported,
+    storageFailed,
+    clearStorageWarning,
+    updateSettings,
+    setListFilter,
+    setActiveTodo,
+    addProject,
+    updateProject,
+    removeProject,
+    restoreProject,
+    todosLoaded,
+    todoSynced,
+    restoreTodo,
+    syncFailed,
+    clearSyncError
+} = todoSlice.actions
 
 /**
  * Export the reducer
@@ -0,0 +1,102 @@
+/**
+ * todoSort.js - Sort modes for the todo list
+ *
+ * The chosen mode is saved per user in `settings.sortMode`. In manual
+ * mode todos are shown by their `order` field: a number that only has to
+ * be larger than the todo above it, so moving a todo only changes that
+ * one todo (it gets a value between its new neighbours). Once repeated
+ * moves bring two orders too close to halve the gap again, the whole list
+ * is renumbered (see needsRenumbering).
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+const PRIORITY_ORDER = { 'high': 0, 'medium': 1, 'low': 2, null: 3, undefined: 3 }
+
+// Neighbouring orders closer than this are renumbered, well before halving the gap runs out of precision
+const MIN_ORDER_GAP = 1e-6
+
+/**
+ * Available sort modes, in the order they are offered
+ */
+export const TODO_SORT_MODES = [
+    { value: 'priority', label: 'Priority' },
+    { value: 'dueDate', label: 'Due date' },
+    { value: 'createdAt', label: 'Newest first' },
+    { value: 'title', label: 'A → Z' },
+    { value: 'manual', label: 'Manual' },
+]
+
+// Missing values sort after every real one
+const compareNullable = (a, b, compare) => {
+    if (a == null && b == null) return 0
+    if (a == null) return 1
+    if (b == null) return -1
+    return compare(a, b)
+}
+
+const COMPARATORS = {
+    priority: (a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority],
+    dueDate: (a, b) => compareNullable(a.targetDate, b.targetDate, (x, y) => new Date(x) - new Date(y)),
+    createdAt: (a, b) => compareNullable(a.createdAt, b.createdAt, (x, y) => new Date(y) - new Date(x)),
+    title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }),
+    manual: (a, b) => compareNullable(a.order, b.order, (x, y) => x - y),
+}
+
+/**
+ * Sort todos for display
+ *
+ * Ties keep the order of the input list.
+ *
+ * @param {Array} todos - Todos to sort (not mutated)
+ * @param {string} mode - One of TODO_SORT_MODES
+ * @returns {Array} Sorted copy
+ */
+export const sortTodos = (todos, mode) => {
+    const compare = COMPARATORS[mode] || COMPARATORS.priority
+    return [...todos].sort(compare)
+}
+
+/**
+ * `order` for a todo added at the end of the manual order
+ *
+ * @param {Array} todos - All todos
+ * @returns {number} One more than the largest order in use
+ */
+export const getNextOrder = (todos) => (
+    todos.reduce((max, todo) => (typeof todo.order === 'number' ? Math.max(max, todo.order) : max), -1) + 1
+)
+
+/**
+ * Check whether a todo could no longer be placed between two neighbours
+ *
+ * @param {Array} sortedTodos - Todos in manual order
+ * @returns {boolean} Whether two neighbouring orders are too close (or equal)
+ */
+export const needsRenumbering = (sortedTodos) => sortedTodos.some((todo, index) => {
+    const next = sortedTodos[index + 1]
+    return typeof todo.order === 'number' && typeof next?.order === 'number' && next.order - todo.order < MIN_ORDER_GAP
+})
+
+/**
+ * `order` for a todo moved to a position in a manually sorted list
+ *
+ * @param {Array} sortedTodos - The list as shown, in manual order
+ * @param {string} todoId - Todo being moved
+ * @param {number} toIndex - Position to move it to, counted without the todo itself
+ * @returns {number|null} New order, or null when the todo does not move
+ */
+export const getMovedOrder = (sortedTodos, todoId, toIndex) => {
+    const fromIndex = sortedTodos.findIndex(todo => todo.id === todoId)
+    const others = sortedTodos.filter(todo => todo.id !== todoId)
+    const index = Math.max(0, Math.min(toIndex, others.length))
+    if (fromIndex === -1 || index === fromIndex) return null
+
+    const before = others[index - 1]?.order
+    const after = others[index]?.order
+    if (typeof before !== 'number' && typeof after !== 'number') return getNextOrder(sortedTodos)
+    if (typeof before !== 'number') return after - 1
+    if (typeof after !== 'number') return before + 1
+    return (before + after) / 2
+}
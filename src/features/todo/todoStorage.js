@@ -0,0 +1,257 @@
+/**
+ * todoStorage.js - Per-user persistence helpers for the todo slice
+ *
+ * Every user gets their own storage namespace so that people sharing
+ * a browser never see each other's todos or tags. Reads and writes go
+ * through a storage adapter (see ./storage).
+ *
+ * Key format: `<key>:<namespace>` (e.g. `todos:jane@example.com`)
+ *
+ * The schema version is stored under `todoSchemaVersion:<namespace>`, the
+ * user's settings under `todoSettings:<namespace>` and their projects under
+ * `projects:<namespace>`.
+ * On load the data is validated and migrated to the current version
+ * (see ./todoSchema); todos whose fields are unusable after the upgrade are
+ * set aside too. Values that cannot be read are copied to a
+ * `quarantine:<key>:<timestamp>` key instead of crashing the app, and a
+ * warning is returned for the UI.
+ *
+ * Older data is moved into the adapter the first time a user's data is
+ * loaded and the adapter has nothing for them yet:
+ * - per-user localStorage keys (when the adapter is not localStorage)
+ * - the old global `todos` / `availableTags` keys, which go to the first
+ *   user who logs in after the upgrade
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { CorruptValueError } from "./storage";
+import {
+    DEFAULT_TODO_SETTINGS,
+    TODO_SCHEMA_VERSION,
+    getTodoProblem,
+    isValidProject,
+    isValidSettings,
+    isValidTag,
+    isValidTodo,
+    migrateTodoData,
+} from "./todoSchema";
+
+// Base storage keys (used without a namespace before todos were scoped per user)
+const TODOS_KEY = 'todos'
+const TAGS_KEY = 'availableTags'
+const VERSION_KEY = 'todoSchemaVersion'
+const SETTINGS_KEY = 'todoSettings'
+const PROJECTS_KEY = 'projects'
+
+/**
+ * Get the storage namespace for a user
+ *
+ * The email is used because it is the identity the user types in
+ * on both the login and signup screens.
+ *
+ * @param {Object|null} user - Authenticated user object
+ * @returns {string|null} Namespace string or null when no user is logged in
+ */
+export const getUserNamespace = (user) => (
+    user?.email ? user.email.trim().toLowerCase() : null
+)
+
+/**
+ * Build a namespaced storage key
+ *
+ * @param {string} key - Base key name
+ * @param {string} namespace - User namespace
+ * @returns {string} Namespaced key
+ */
+const getUserKey = (key, namespace) => `${key}:${namespace}`
+
+/**
+ * Read one value through the adapter
+ *
+ * @returns {Promise<{value: *}|{corrupt: *}>} The decoded value, or the raw value when it cannot be decoded
+ */
+const readEntry = async (adapter, key) => {
+    try {
+        return { value: await adapter.getItem(key) }
+    } catch (error) {
+        if (error instanceof CorruptValueError) return { corrupt: error.raw }
+        throw error
+    }
+}
+
+// Same as readEntry, for data left in localStorage by earlier versions
+const readLocalEntry = (key) => {
+    const raw = localStorage.getItem(key)
+    try {
+        return { value: raw === null ? null : JSON.parse(raw) }
+    } catch (error) {
+        return { corrupt: raw }
+    }
+}
+
+/**
+ * Find data left in localStorage by earlier versions of the app
+ *
+ * @param {import('./storage').StorageAdapter} adapter - Current storage adapter
+ * @param {string} namespace - User namespace
+ * @returns {{todos: Object, tags: Object, keys: Array<string>}|null} Old entries and the keys they came from
+ */
+const findLegacyEntries = (adapter, namespace) => {
+    const sources = [
+        [getUserKey(TODOS_KEY, namespace), getUserKey(TAGS_KEY, namespace)],
+        [TODOS_KEY, TAGS_KEY],
+    ]
+    // The localStorage adapter already reads the per-user keys itself
+    const candidates = adapter.name === 'localStorage' ? sources.slice(1) : sources
+
+    for (const keys of candidates) {
+        if (keys.some(key => localStorage.getItem(key) !== null)) {
+            const [todos, tags] = keys.map(readLocalEntry)
+            return { todos, tags, keys }
+        }
+    }
+    return null
+}
+
+/**
+ * Turn a stored entry into a list of valid items, quarantining bad data
+ *
+ * @param {Object} entry - Result of readEntry
+ * @param {function(*): boolean} isValid - Item validator
+ * @param {function(*): Promise<void>} quarantine - Saves the original value aside
+ * @param {Array<string>} warnings - Collects messages for the user
+ * @param {string} label - What the items are, for messages
+ * @returns {Promise<Array>} Valid items
+ */
+const sanitizeEntry = async (entry, isValid, quarantine, warnings, label) => {
+    if ('corrupt' in entry) {
+        await quarantine(entry.corrupt)
+        warnings.push(`Your saved ${label} could not be read and were set aside.`)
+        return []
+    }
+    if (entry.value === null) return []
+    if (!Array.isArray(entry.value)) {
+        await quarantine(entry.value)
+        warnings.push(`Your saved ${label} were in an unknown format and were set aside.`)
+        return []
+    }
+
+    const valid = entry.value.filter(isValid)
+    const invalidCount = entry.value.length - valid.length
+    if (invalidCount > 0) {
+        await quarantine(entry.value)
+        warnings.push(`${invalidCount} of your saved ${label} could not be read and were set aside.`)
+    }
+    return valid
+}
+
+/**
+ * Turn the stored settings into a complete settings object, quarantining bad data
+ *
+ * @param {Object} entry - Result of readEntry
+ * @param {function(*): Promise<void>} quarantine - Saves the original value aside
+ * @param {Array<string>} warnings - Collects messages for the user
+ * @returns {Promise<Object>} Settings with defaults for anything missing
+ */
+const sanitizeSettings = async (entry, quarantine, warnings) => {
+    if ('corrupt' in entry || (entry.value !== null && !isValidSettings(entry.value))) {
+        await quarantine('corrupt' in entry ? entry.corrupt : entry.value)
+        warnings.push('Your saved settings could not be read and were reset.')
+        return DEFAULT_TODO_SETTINGS
+    }
+    return { ...DEFAULT_TODO_SETTINGS, ...entry.value }
+}
+
+/**
+ * Load a user's todos, tags, settings and projects
+ *
+ * @param {import('./storage').StorageAdapter} adapter - Storage adapter
+ * @param {string|null} namespace - User namespace
+ * @returns {Promise<{todos: Array, availableTags: Array, settings: Object, projects: Array, warnings: Array<string>}>}
+ *   Stored data in the current schema (empty when logged out) and messages about data that was set aside
+ * @throws {Error} When the adapter itself cannot be read
+ */
+export const loadTodoData = async (adapter, namespace) => {
+    if (!namespace) return { todos: [], availableTags: [], settings: DEFAULT_TODO_SETTINGS, projects: [], warnings: [] }
+
+    const warnings = []
+    let todosEntry = await readEntry(adapter, getUserKey(TODOS_KEY, namespace))
+    let tagsEntry = await readEntry(adapter, getUserKey(TAGS_KEY, namespace))
+    const versionEntry = await readEntry(adapter, getUserKey(VERSION_KEY, namespace))
+    const settingsEntry = await readEntry(adapter, getUserKey(SETTINGS_KEY, namespace))
+    const projectsEntry = await readEntry(adapter, getUserKey(PROJECTS_KEY, namespace))
+    const hasStoredData = todosEntry.value !== null || tagsEntry.value !== null
+
+    // Unversioned data predates schema versioning
+    let version = hasStoredData ? 0 : TODO_SCHEMA_VERSION
+    if (Number.isInteger(versionEntry.value)) version = versionEntry.value
+
+    let legacyKeys = []
+    if (!hasStoredData) {
+        const legacy = findLegacyEntries(adapter, namespace)
+        if (legacy) {
+            todosEntry = legacy.todos
+            tagsEntry = legacy.tags
+            legacyKeys = legacy.keys
+            version = 0
+        }
+    }
+
+    const quarantine = (key) => (value) => (
+        adapter.setItem(`quarantine:${key}:${Date.now()}`, value)
+    )
+    const todosKey = getUserKey(TODOS_KEY, namespace)
+    const tagsKey = getUserKey(TAGS_KEY, namespace)
+    const settingsKey = getUserKey(SETTINGS_KEY, namespace)
+    const projectsKey = getUserKey(PROJECTS_KEY, namespace)
+    const settings = await sanitizeSettings(settingsEntry, quarantine(settingsKey), warnings)
+    const projects = await sanitizeEntry(projectsEntry, isValidProject, quarantine(projectsKey), warnings, 'projects')
+
+    let data = {
+        todos: await sanitizeEntry(todosEntry, isValidTodo, quarantine(todosKey), warnings, 'tasks'),
+        availableTags: await sanitizeEntry(tagsEntry, isValidTag, quarantine(tagsKey), warnings, 'tags'),
+    }
+
+    try {
+        data = migrateTodoData(data, version)
+    } catch (error) {
+        await quarantine(todosKey)(data.todos)
+        await quarantine(tagsKey)(data.availableTags)
+        warnings.push(`${error.message}. Your saved tasks were set aside.`)
+        data = { todos: [], availableTags: [] }
+    }
+
+    // Todos with fields the app can't use (e.g. tags that are not a list) would break rendering
+    const unusable = data.todos.filter(todo => getTodoProblem(todo))
+    if (unusable.length > 0) {
+        await quarantine(todosKey)(unusable)
+        warnings.push(`${unusable.length} of your saved tasks could not be read and were set aside.`)
+        data = { ...data, todos: data.todos.filter(todo => !unusable.includes(todo)) }
+    }
+
+    // Write back anything that was migrated, moved or cleaned up
+    if (version !== TODO_SCHEMA_VERSION || legacyKeys.length > 0 || warnings.length > 0) {
+        await saveTodoData(adapter, namespace, { ...data, settings, projects })
+        legacyKeys.forEach(key => localStorage.removeItem(key))
+    }
+
+    return { ...data, settings, projects, warnings }
+}
+
+/**
+ * Persist a user's todos, tags, settings and projects with the current schema version
+ *
+ * @param {import('./storage').StorageAdapter} adapter - Storage adapter
+ * @param {string|null} namespace - User namespace (no-op when null)
+ * @param {{todos: Array, availableTags: Array, settings: Object, projects: Array}} data - Data to save
+ */
+export const saveTodoData = async (adapter, namespace, { todos, availableTags, settings, projects = [] }) => {
+    if (!namespace) return
+    await adapter.setItem(getUserKey(TODOS_KEY, namespace), todos)
+    await adapter.setItem(getUserKey(TAGS_KEY, namespace), availableTags)
+    await adapter.setItem(getUserKey(SETTINGS_KEY, namespace), settings)
+    await adapter.setItem(getUserKey(PROJECTS_KEY, namespace), projects)
+    await adapter.setItem(getUserKey(VERSION_KEY, namespace), TODO_SCHEMA_VERSION)
+}
@@ -0,0 +1,551 @@
+/**
+ * todoThunks.js - Server sync thunks for todos
+ *
+ * Components dispatch these thunks instead of the plain slice actions.
+ * Each one applies its change to the store immediately (optimistic update),
+ * then sends it through the configured todo API. When the request fails
+ * the change is rolled back and `syncError` is set for the UI.
+ *
+ * With the local todo API every request succeeds immediately, so the app
+ * behaves exactly as before when no server is configured.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { createAsyncThunk } from "@reduxjs/toolkit";
+import {
+    addSubtask,
+    addTodo,
+    backupImported,
+    bulkUpdateTodos,
+    moveSubtask,
+    moveTodo,
+    removeProject,
+    removeSubtask,
+    removeTodo,
+    removeTodos,
+    restoreFromTrash,
+    restoreProject,
+    restoreTodo,
+    setCompleteWithSubtasks,
+    setTargetDate,
+    setTodoPriority,
+    setTodoStatus,
+    snoozeReminder,
+    storageFailed,
+    syncFailed,
+    todoSynced,
+    todosHydrated,
+    todosImported,
+    todosLoaded,
+    toggleComplete,
+    toggleSubtask,
+    trashTodo,
+    updateSubtask,
+    updateTodo,
+} from "./todoSlice";
+import { loadTodoData } from "./todoStorage";
+import { dropHistoryEntry, forgetTodos, redoTodos, undoTodos } from "./todoHistory";
+import { getExpiredTrash } from "./todoSelectors";
+import { mergeBackup } from "./todoBackup";
+
+/**
+ * Snapshot a todo and its position so a failed request can be rolled back
+ *
+ * @param {Object} state - Root Redux state
+ * @param {string} id - Todo ID
+ * @returns {{todo: Object, index: number}|null} Snapshot, or null if the todo does not exist
+ */
+const snapshotTodo = (state, id) => {
+    const index = state.todo.todos.findIndex(todo => todo.id === id)
+    return index === -1 ? null : { todo: state.todo.todos[index], index }
+}
+
+const findTodo = (state, id) => state.todo.todos.find(todo => todo.id === id)
+
+/**
+ * Dispatch a change and find the undo history entry it added
+ *
+ * @param {Function} dispatch - Redux dispatch
+ * @param {Function} getState - Redux getState
+ * @param {Object} action - Slice action to apply
+ * @returns {number|null} ID of the new entry, or null when none was added
+ */
+const dispatchChange = (dispatch, getState, action) => {
+    const { lastId } = getState().todo.history
+    dispatch(action)
+    const entryId = getState().todo.history.lastId
+    return entryId === lastId ? null : entryId
+}
+
+/**
+ * Apply a change to one todo and save it, creating the next occurrence on
+ * the server too if the change completed a recurring todo
+ *
+ * @param {Object} action - Slice action to apply
+ * @param {string} id - ID of the changed todo
+ * @param {Object} thunkApi - Thunk API of the calling thunk
+ * @param {function(Object, string|null): Promise<Object>} save - Sends the changed todo to the server
+ * @returns {Promise<Object>} Fulfilled or rejected result for the calling thunk
+ */
+const applyTodoChange = async (action, id, { dispatch, extra, getState, rejectWithValue }, save) => {
+    const snapshot = snapshotTodo(getState(), id)
+    if (!snapshot) return rejectWithValue('Task not found.')
+
+    const entryId = dispatchChange(dispatch, getState, action)
+    const occurrence = findTodo(getState(), action.meta?.nextOccurrenceId)
+    try {
+        const saved = await save(findTodo(getState(), id), getState().auth.token)
+        dispatch(todoSynced(saved))
+        if (occurrence) {
+            dispatch(todoSynced(await extra.todoApi.createTodo(occurrence, getState().auth.token)))
+        }
+        return saved
+    } catch (error) {
+        dispatch(restoreTodo(snapshot))
+        if (occurrence) dispatch(removeTodo(occurrence.id))
+        dispatch(dropHistoryEntry(entryId))
+        return failSync(dispatch, rejectWithValue, error, 'Could not update your task.')
+    }
+}
+
+/**
+ * Record the error for the UI and reject the thunk
+ */
+const failSync = (dispatch, rejectWithValue, error, fallbackMessage) => {
+    const message = error.message || fallbackMessage
+    dispatch(syncFailed(message))
+    return rejectWithValue(message)
+}
+
+/**
+ * Load the logged-in user's todos from storage, then from the server
+ *
+ * Dispatched at startup and after every login by the persistence middleware.
+ */
+export const hydrateTodos = createAsyncThunk(
+    'todo/hydrateTodos',
+    async (_, { dispatch, extra, getState, rejectWithValue }) => {
+        const { namespace } = getState().todo
+        if (!namespace) return
+
+        let data
+        try {
+            data = await loadTodoData(extra.storage, namespace)
+        } catch (error) {
+            console.error('Could not load stored todos:', error)
+            const message = 'Your saved tasks could not be loaded. Changes made now will not be saved.'
+            dispatch(storageFailed(message))
+            return rejectWithValue(message)
+        }
+        dispatch(todosHydrated({ namespace, ...data }))
+        await dispatch(fetchTodos())
+        await dispatch(purgeExpiredTrash())
+    }
+)
+
+/**
+ * Load all todos from the server
+ *
+ * Keeps the local todos when the API has no server copy.
+ */
+export const fetchTodos = createAsyncThunk(
+    'todo/fetchTodos',
+    async (_, { dispatch, extra, getState, rejectWithValue }) => {
+        try {
+            const todos = await extra.todoApi.fetchTodos(getState().auth.token)
+            if (todos) dispatch(todosLoaded(todos))
+            return todos
+        } catch (error) {
+            return failSync(dispatch, rejectWithValue, error, 'Could not load your tasks.')
+        }
+    }
+)
+
+/**
+ * Create a todo
+ *
+ * @param {Object} data - Same payload as the `addTodo` action
+ */
+export const createTodo = createAsyncThunk(
+    'todo/createTodo',
+    async (data, { dispatch, extra, getState, rejectWithValue }) => {
+        const action = addTodo(data)
+        const { id } = action.payload
+        const entryId = dispatchChange(dispatch, getState, action)
+        try {
+            const saved = await extra.todoApi.createTodo(findTodo(getState(), id), getState().auth.token)
+            dispatch(todoSynced(saved))
+            return saved
+        } catch (error) {
+            dispatch(removeTodo(id))
+            dispatch(dropHistoryEntry(entryId))
+            return failSync(dispatch, rejectWithValue, error, 'Could not save your task.')
+        }
+    }
+)
+
+/**
+ * Create several todos read from a file
+ *
+ * All of them are removed again if one cannot be saved, from the server
+ * too, and the import is taken out of the undo history.
+ *
+ * @param {Array<Object>} todos - Same payload as the `todosImported` action
+ * @returns {Array} Todos as stored by the server
+ */
+export const importTodos = createAsyncThunk(
+    'todo/importTodos',
+    async (todos, { dispatch, extra, getState, rejectWithValue }) => {
+        const action = todosImported(todos)
+        const ids = action.payload.map(todo => todo.id)
+        const entryId = dispatchChange(dispatch, getState, action)
+        const saved = []
+        try {
+            for (const id of ids) {
+                saved.push(await extra.todoApi.createTodo(findTodo(getState(), id), getState().auth.token))
+            }
+            saved.forEach(todo => dispatch(todoSynced(todo)))
+            return saved
+        } catch (error) {
+            dispatch(removeTodos(ids))
+            dispatch(dropHistoryEntry(entryId))
+            // Best effort: a todo left on the server would come back on the next load
+            for (const todo of saved) {
+                try {
+                    await extra.todoApi.deleteTodo(todo.id, getState().auth.token)
+                } catch (deleteError) {
+                    console.error('Could not delete an imported todo:', deleteError)
+                }
+            }
+            return failSync(dispatch, rejectWithValue, error, 'Could not save the imported tasks.')
+        }
+    }
+)
+
+/**
+ * Build a thunk that applies a slice action to one todo and saves the
+ * whole todo through `todoApi.updateTodo`, rolling back on failure
+ *
+ * @param {string} typePrefix - Thunk action type prefix
+ * @param {Function} actionCreator - Slice action creator to apply
+ * @param {function(Object): string} [getTodoId] - Reads the todo ID from the thunk argument
+ * @returns {Function} Async thunk action creator taking the slice action's payload
+ */
+const createTodoChangeThunk = (typePrefix, actionCreator, getTodoId = (payload) => payload.todoId) => (
+    createAsyncThunk(
+        typePrefix,
+        (payload, thunkApi) => applyTodoChange(
+            actionCreator(payload),
+            getTodoId(payload),
+            thunkApi,
+            thunkApi.extra.todoApi.updateTodo
+        )
+    )
+)
+
+/**
+ * Save edits to a todo
+ *
+ * @param {Object} data - Same payload as the `updateTodo` action
+ */
+export const saveTodo = createTodoChangeThunk('todo/saveTodo', updateTodo, (data) => data.id)
+
+/**
+ * Subtask thunks
+ *
+ * Each takes the same payload as the slice action of the same purpose
+ * (`addSubtask`, `updateSubtask`, ...) and saves the parent todo.
+ */
+export const createSubtask = createTodoChangeThunk('todo/createSubtask', addSubtask)
+export const saveSubtask = createTodoChangeThunk('todo/saveSubtask', updateSubtask)
+export const toggleSubtaskComplete = createTodoChangeThunk('todo/toggleSubtaskComplete', toggleSubtask)
+export const reorderSubtask = createTodoChangeThunk('todo/reorderSubtask', moveSubtask)
+export const deleteSubtask = createTodoChangeThunk('todo/deleteSubtask', removeSubtask)
+export const saveCompleteWithSubtasks = createTodoChangeThunk('todo/saveCompleteWithSubtasks', setCompleteWithSubtasks)
+
+/**
+ * Snooze a todo's reminder
+ *
+ * @param {{todoId: string, until: string}} payload - Same payload as the `snoozeReminder` action
+ */
+export const snoozeTodoReminder = createTodoChangeThunk('todo/snoozeReminder', snoozeReminder)
+
+/**
+ * Move a todo in the manual order
+ *
+ * Saves every todo whose order changed, since the move may renumber the
+ * whole list, and puts them all back if that fails.
+ *
+ * @param {{todoId: string, order: number}} payload - Same payload as the `moveTodo` action
+ * @returns {Array<Object>} Todos saved by the server
+ */
+export const reorderTodo = createAsyncThunk(
+    'todo/reorderTodo',
+    async (payload, { dispatch, extra, getState, rejectWithValue }) => {
+        const before = getState().todo.todos
+        if (!findTodo(getState(), payload.todoId)) return rejectWithValue('Task not found.')
+
+        const entryId = dispatchChange(dispatch, getState, moveTodo(payload))
+        const after = getState().todo.todos
+        try {
+            const saved = await saveTodoListChanges(before, after, extra.todoApi, getState().auth.token)
+            saved.forEach(todo => dispatch(todoSynced(todo)))
+            return saved
+        } catch (error) {
+            before.forEach((todo, index) => {
+                if (!after.includes(todo)) dispatch(restoreTodo({ todo, index }))
+            })
+            dispatch(dropHistoryEntry(entryId))
+            return failSync(dispatch, rejectWithValue, error, 'Could not move your task.')
+        }
+    }
+)
+
+/**
+ * Move a todo to another date
+ *
+ * @param {{todoId: string, targetDate: string|null}} payload - Same payload as the `setTargetDate` action
+ */
+export const rescheduleTodo = createTodoChangeThunk('todo/rescheduleTodo', setTargetDate)
+
+/**
+ * Change a todo's priority
+ *
+ * @param {{todoId: string, priority: string|null}} payload - Same payload as the `setTodoPriority` action
+ */
+export const changeTodoPriority = createTodoChangeThunk('todo/changeTodoPriority', setTodoPriority)
+
+/**
+ * Move a todo to another board column
+ *
+ * @param {{todoId: string, status: string}} payload - Same payload as the `setTodoStatus` action
+ */
+export const moveTodoToColumn = createTodoChangeThunk('todo/moveTodoToColumn', setTodoStatus)
+
+/**
+ * Toggle a todo's completion status
+ *
+ * @param {string} id - Todo ID
+ */
+export const toggleTodo = createAsyncThunk(
+    'todo/toggleTodo',
+    (id, thunkApi) => applyTodoChange(toggleComplete(id), id, thunkApi, thunkApi.extra.todoApi.toggleTodo)
+)
+
+/**
+ * Move a todo to the trash
+ *
+ * @param {string} id - Todo ID
+ */
+export const deleteTodo = createTodoChangeThunk('todo/deleteTodo', trashTodo, (id) => id)
+
+/**
+ * Take a todo back out of the trash
+ *
+ * @param {string} id - Todo ID
+ */
+export const restoreTodoFromTrash = createTodoChangeThunk('todo/restoreFromTrash', restoreFromTrash, (id) => id)
+
+/**
+ * Delete todos for good
+ *
+ * @param {Array<string>} ids - Todo IDs
+ */
+export const deleteTodosPermanently = createAsyncThunk(
+    'todo/deleteTodosPermanently',
+    async (ids, { dispatch, extra, getState, rejectWithValue }) => {
+        const snapshots = ids.map(id => snapshotTodo(getState(), id)).filter(Boolean)
+        if (snapshots.length === 0) return []
+
+        dispatch(removeTodos(ids))
+        try {
+            for (const { todo } of snapshots) {
+                await extra.todoApi.deleteTodo(todo.id, getState().auth.token)
+            }
+            // Undoing an earlier change must not bring them back
+            dispatch(forgetTodos(ids))
+            return ids
+        } catch (error) {
+            // Put back in their original order so the positions stay valid
+            [...snapshots]
+                .sort((a, b) => a.index - b.index)
+                .forEach(snapshot => dispatch(restoreTodo(snapshot)))
+            return failSync(dispatch, rejectWithValue, error, 'Could not delete your tasks.')
+        }
+    }
+)
+
+/**
+ * Delete a project
+ *
+ * Its todos move to the Inbox, or to the trash when `deleteTodos` is set;
+ * each changed todo is saved, and everything is put back if one fails.
+ *
+ * @param {{id: string, deleteTodos: boolean}} payload - Same payload as the `removeProject` action
+ */
+export const deleteProject = createAsyncThunk(
+    'todo/deleteProject',
+    async (payload, { dispatch, extra, getState, rejectWithValue }) => {
+        const { projects, todos } = getState().todo
+        const index = projects.findIndex(project => project.id === payload.id)
+        if (index === -1) return rejectWithValue('Project not found.')
+        const project = projects[index]
+        const snapshots = todos
+            .map((todo, todoIndex) => ({ todo, index: todoIndex }))
+            .filter(snapshot => snapshot.todo.projectId === payload.id)
+
+        dispatch(removeProject(payload))
+        try {
+            for (const { todo } of snapshots) {
+                dispatch(todoSynced(await extra.todoApi.updateTodo(findTodo(getState(), todo.id), getState().auth.token)))
+            }
+            return payload.id
+        } catch (error) {
+            snapshots.forEach(snapshot => dispatch(restoreTodo(snapshot)))
+            dispatch(restoreProject({ project, index }))
+            return failSync(dispatch, rejectWithValue, error, 'Could not delete your project.')
+        }
+    }
+)
+
+/**
+ * Delete trashed todos that are older than the user's retention period
+ */
+export const purgeExpiredTrash = createAsyncThunk(
+    'todo/purgeExpiredTrash',
+    async (_, { dispatch, getState }) => {
+        const expired = getExpiredTrash(getState(), new Date())
+        if (expired.length === 0) return []
+        return dispatch(deleteTodosPermanently(expired.map(todo => todo.id))).unwrap()
+    }
+)
+
+/**
+ * Send the difference between two todo lists to the server
+ *
+ * @param {Array} before - List the server currently has
+ * @param {Array} after - List to save
+ * @param {Object} todoApi - Todo API
+ * @param {string|null} token - Session token
+ * @returns {Promise<Array>} Todos as stored by the server
+ */
+const saveTodoListChanges = async (before, after, todoApi, token) => {
+    const beforeById = new Map(before.map(todo => [todo.id, todo]))
+    const afterIds = new Set(after.map(todo => todo.id))
+    const saved = []
+
+    for (const todo of after) {
+        const previous = beforeById.get(todo.id)
+        if (!previous) {
+            saved.push(await todoApi.createTodo(todo, token))
+        } else if (previous !== todo) {
+            saved.push(await todoApi.updateTodo(todo, token))
+        }
+    }
+    for (const todo of before) {
+        if (!afterIds.has(todo.id)) await todoApi.deleteTodo(todo.id, token)
+    }
+    return saved
+}
+
+/**
+ * Build a thunk that moves through the undo history and saves the
+ * restored list, moving back again if the server rejects it
+ *
+ * @param {string} typePrefix - Thunk action type prefix
+ * @param {Function} travel - History action to apply (undoTodos or redoTodos)
+ * @param {Function} travelBack - History action that reverses it
+ * @returns {Function} Async thunk action creator
+ */
+const createHistoryThunk = (typePrefix, travel, travelBack) => createAsyncThunk(
+    typePrefix,
+    async (_, { dispatch, extra, getState, rejectWithValue }) => {
+        const before = getState().todo.todos
+        dispatch(travel())
+        const after = getState().todo.todos
+        if (after === before) return []
+
+        try {
+            const saved = await saveTodoListChanges(before, after, extra.todoApi, getState().auth.token)
+            saved.forEach(todo => dispatch(todoSynced(todo)))
+            return saved
+        } catch (error) {
+            dispatch(travelBack())
+            return failSync(dispatch, rejectWithValue, error, 'Could not update your tasks.')
+        }
+    }
+)
+
+/**
+ * Undo the last change to the todo list
+ */
+export const undoTodoChange = createHistoryThunk('todo/undoChange', undoTodos, redoTodos)
+
+/**
+ * Redo the last undone change to the todo list
+ */
+export const redoTodoChange = createHistoryThunk('todo/redoChange', redoTodos, undoTodos)
+
+/**
+ * Import a parsed backup
+ *
+ * Saves the resulting todo list to the server and puts the previous data
+ * back if that fails.
+ *
+ * @param {{backup: Object, strategy: string}} payload - Result of parseBackup and the import strategy
+ * @returns {Object} What happened to the todos (see mergeBackup)
+ */
+export const importBackup = createAsyncThunk(
+    'todo/importBackup',
+    async ({ backup, strategy }, { dispatch, extra, getState, rejectWithValue }) => {
+        const { todos, availableTags, settings, projects } = getState().todo
+        const previous = { todos, availableTags, settings, projects }
+        const { data, summary } = mergeBackup(previous, backup, strategy)
+        dispatch(backupImported(data))
+
+        try {
+            const saved = await saveTodoListChanges(todos, data.todos, extra.todoApi, getState().auth.token)
+            saved.forEach(todo => dispatch(todoSynced(todo)))
+            return summary
+        } catch (error) {
+            dispatch(backupImported(previous))
+            return failSync(dispatch, rejectWithValue, error, 'Could not import your backup.')
+        }
+    }
+)
+
+/**
+ * Apply one change to several todos and save them
+ *
+ * The change is a single `bulkUpdateTodos` action, so it is undone in
+ * one step. If saving fails, the todos are put back and the next
+ * occurrences it created are removed.
+ *
+ * @param {{ids: Array<string>, changes: Object}} payload - Same payload as the `bulkUpdateTodos` action
+ * @returns {Array<Object>} Todos saved by the server
+ */
+export const bulkEditTodos = createAsyncThunk(
+    'todo/bulkEditTodos',
+    async (payload, { dispatch, extra, getState, rejectWithValue }) => {
+        const before = getState().todo.todos
+        const snapshots = payload.ids.map(id => snapshotTodo(getState(), id)).filter(Boolean)
+        if (snapshots.length === 0) return []
+
+        const entryId = dispatchChange(dispatch, getState, bulkUpdateTodos(payload))
+        const after = getState().todo.todos
+        try {
+            const saved = await saveTodoListChanges(before, after, extra.todoApi, getState().auth.token)
+            saved.forEach(todo => dispatch(todoSynced(todo)))
+            return saved
+        } catch (error) {
+            snapshots.forEach(snapshot => dispatch(restoreTodo(snapshot)))
+            const beforeIds = new Set(before.map(todo => todo.id))
+            const occurrenceIds = after.filter(todo => !beforeIds.has(todo.id)).map(todo => todo.id)
+            if (occurrenceIds.length > 0) dispatch(removeTodos(occurrenceIds))
+            dispatch(dropHistoryEntry(entryId))
+            return failSync(dispatch, rejectWithValue, error, 'Could not update your tasks.')
+        }
+    }
+)
@@ -0,0 +1,199 @@
+/**
+ * todoTxt.js - todo.txt export and import
+ *
+ * One todo per line, in the todo.txt format
+ * (https://github.com/todotxt/todo.txt):
+ *
+ *   (A) 2026-10-01 Write report +work +q4 due:2026-10-31
+ *   x 2026-10-20 2026-10-01 Write report +work pri:A due:2026-10-31
+ *
+ * Mapping:
+ * - "x " at the start: completed
+ * - Priority (A) / (B) / (C): high / medium / low; D to Z import as low.
+ *   Completed lines keep it as pri:A, as the format suggests
+ * - Creation date: createdAt; the completion date of a completed line
+ *   is written from updatedAt and ignored on import
+ * - +project and @context: tags (exported as +tag; spaces and "%" are
+ *   percent-encoded, see tagWords.js)
+ * - due:YYYY-MM-DD: targetDate (the day only)
+ * Other key:value pairs stay in the title. Title words that would read
+ * back as one of the above (+1, @john, due:tomorrow, pri:A, or a leading
+ * "x", "(A)" or date) get a backslash in front ("\+1"), as does a word
+ * that starts with a backslash; import removes it. Descriptions and
+ * subtasks have no place in the format and are not exported.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import { format, isValid, parse } from "date-fns";
+import { decodeTagWord, encodeTagWord } from "./tagWords";
+
+const DATE_FORMAT = 'yyyy-MM-dd'
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const PRIORITY_LETTERS = { high: 'A', medium: 'B', low: 'C' }
+
+// Title words read as tags, fields or escapes anywhere on the line
+const RESERVED_WORD_PATTERN = /^(?:[+@\\]|due:|pri:)/
+// Title words read as the completion mark, priority or a date when nothing comes before them
+const LEADING_WORD_PATTERN = /^(?:x|\([A-Z]\)|\d{4}-\d{2}-\d{2})$/
+
+/**
+ * Priority of a todo.txt priority letter
+ *
+ * @param {string} letter - A to Z
+ * @returns {string} Todo priority
+ */
+const fromPriorityLetter = (letter) => (letter === 'A' ? 'high' : letter === 'B' ? 'medium' : 'low')
+
+/**
+ * Format an ISO date as a todo.txt date
+ *
+ * @param {string} date - ISO date string
+ * @returns {string} Local day as YYYY-MM-DD
+ */
+const formatTxtDate = (date) => format(new Date(date), DATE_FORMAT)
+
+/**
+ * Parse a todo.txt date
+ *
+ * @param {string} text - YYYY-MM-DD
+ * @returns {Date|null} Local midnight of that day, or null when invalid
+ */
+const parseTxtDate = (text) => {
+    const date = parse(text, DATE_FORMAT, new Date())
+    return isValid(date) ? date : null
+}
+
+/**
+ * Write a title so that its words read back as the title
+ *
+ * @param {string} title - Todo title
+ * @param {boolean} hasCreationDate - Whether a creation date comes before the title;
+ *   without one, the first word could be read as a completion mark, priority or date
+ * @returns {string} Title on one line, with reserved words escaped
+ */
+const escapeTitle = (title, hasCreationDate) => title.replace(/\s+/g, ' ').trim().split(' ')
+    .map((word, index) => (
+        RESERVED_WORD_PATTERN.test(word) || (!hasCreationDate && index === 0 && LEADING_WORD_PATTERN.test(word))
+            ? `\\${word}`
+            : word
+    ))
+    .join(' ')
+
+/**
+ * Read a title word written by escapeTitle
+ *
+ * @param {string} word - Title word
+ * @returns {string} Word without its escaping backslash
+ */
+const unescapeWord = (word) => (word.startsWith('\\') ? word.slice(1) : word)
+
+/**
+ * todo.txt line of one todo
+ *
+ * @param {Object} todo - Todo object
+ * @returns {string} Line without a line break
+ */
+const toTodoTxtLine = (todo) => {
+    const parts = []
+    if (todo.isCompleted) {
+        parts.push('x')
+        // The format only allows a creation date after a completion date
+        if (todo.createdAt) parts.push(formatTxtDate(todo.updatedAt || todo.createdAt))
+    } else if (todo.priority) {
+        parts.push(`(${PRIORITY_LETTERS[todo.priority]})`)
+    }
+    if (todo.createdAt) parts.push(formatTxtDate(todo.createdAt))
+    parts.push(escapeTitle(todo.title, Boolean(todo.createdAt)))
+    parts.push(...(todo.tags || []).map(tag => `+${encodeTagWord(tag)}`))
+    if (todo.isCompleted && todo.priority) parts.push(`pri:${PRIORITY_LETTERS[todo.priority]}`)
+    if (todo.targetDate) parts.push(`due:${formatTxtDate(todo.targetDate)}`)
+    return parts.join(' ')
+}
+
+/**
+ * Build a todo.txt file
+ *
+ * @param {Array} todos - Todos, in the order to list them
+ * @returns {string} File contents
+ */
+export const toTodoTxt = (todos) => todos.map(toTodoTxtLine).join('\n') + '\n'
+
+/**
+ * File name for a todo.txt export
+ *
+ * @param {Date} [now] - Export time
+ * @returns {string} e.g. "todos-2026-10-19.txt"
+ */
+export const getTodoTxtFileName = (now = new Date()) => `todos-${format(now, DATE_FORMAT)}.txt`
+
+/**
+ * Turn one todo.txt line into todo data for `importTodos`
+ *
+ * @param {string} line - Non-empty line
+ * @returns {{todo: Object}|{error: string}} Todo data, or why the line was left out
+ */
+const parseTodoTxtLine = (line) => {
+    const tokens = line.trim().split(/\s+/)
+    const isCompleted = tokens[0] === 'x'
+    let priority = null
+    let createdAt
+
+    if (isCompleted) {
+        tokens.shift()
+        if (DATE_PATTERN.test(tokens[0])) tokens.shift()    // Completion date
+    } else if (/^\([A-Z]\)$/.test(tokens[0])) {
+        priority = fromPriorityLetter(tokens.shift()[1])
+    }
+    if (DATE_PATTERN.test(tokens[0])) {
+        const date = parseTxtDate(tokens.shift())
+        if (date) createdAt = date.toISOString()
+    }
+
+    const words = []
+    const tags = []
+    let targetDate = null
+    for (const token of tokens) {
+        const tag = token.match(/^[+@](\S+)$/)
+        const due = token.match(/^due:(.*)$/)
+        const pri = token.match(/^pri:([A-Z])$/)
+        if (tag) {
+            tags.push(decodeTagWord(tag[1]))
+        } else if (due) {
+            const date = DATE_PATTERN.test(due[1]) ? parseTxtDate(due[1]) : null
+            if (!date) return { error: `invalid due date "${due[1]}"` }
+            targetDate = date.toISOString()
+        } else if (pri) {
+            priority = fromPriorityLetter(pri[1])
+        } else {
+            words.push(unescapeWord(token))
+        }
+    }
+
+    const title = words.join(' ')
+    if (!title) return { error: 'missing title' }
+    return {
+        todo: { title, description: '', targetDate, priority, tags: [...new Set(tags)], isCompleted, createdAt },
+    }
+}
+
+/**
+ * Read a todo.txt file
+ *
+ * @param {string} text - File contents
+ * @returns {{todos: Array<Object>, errors: Array<{line: number, message: string}>}}
+ *   Todo data for `importTodos` and the lines left out (counting from 1)
+ */
+export const parseTodoTxt = (text) => {
+    const todos = []
+    const errors = []
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return
+        const result = parseTodoTxtLine(line)
+        if (result.error) errors.push({ line: index + 1, message: result.error })
+        else todos.push(result.todo)
+    })
+    return { todos, errors }
+}
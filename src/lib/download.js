@@ -0,0 +1,26 @@
+/**
+ * download.js - Save generated text as a file
+ *
+ * Used by the export features to hand a file to the browser without a
+ * server round trip.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+/**
+ * Download text as a file
+ *
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  // Revoke after the click has been handled, or some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,93 @@
+/**
+ * keyboard.js - Shared helpers for keyboard shortcuts
+ *
+ * Lists every key binding of the app for the shortcut help overlay and
+ * decides when single-key shortcuts should stay out of the way (typing
+ * in a field, an open dialog).
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+// Elements whose own keys should win over the app's shortcuts
+const NON_TEXT_INPUTS = ['checkbox', 'radio', 'button', 'submit', 'reset']
+
+/**
+ * Check whether an element takes typed text
+ *
+ * Read-only fields (e.g. a todo's title outside edit mode) don't.
+ *
+ * @param {Element|null} element - Usually the event target
+ * @returns {boolean} Whether the element is an editable text field
+ */
+export const isTextField = (element) => (
+  Boolean(element?.isContentEditable) ||
+  ((element?.tagName === 'TEXTAREA' || (element?.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(element.type))) &&
+    !element.readOnly)
+)
+
+/**
+ * Check whether a single-key shortcut (e.g. "j") should be ignored
+ *
+ * @param {KeyboardEvent} e - Keyboard event
+ * @returns {boolean} True while typing, with Ctrl/Cmd/Alt held, or while a dialog is open
+ */
+export const isShortcutBlocked = (e) => (
+  e.defaultPrevented ||
+  e.ctrlKey || e.metaKey || e.altKey ||
+  isTextField(e.target) ||
+  Boolean(document.querySelector('[aria-modal="true"]'))
+)
+
+// Label of the Ctrl key, Cmd on Apple devices
+export const MOD_KEY = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl'
+
+/**
+ * Every key binding, grouped by where it works
+ *
+ * Each binding lists its alternatives; each alternative is the keys pressed together.
+ */
+export const KEYBOARD_SHORTCUTS = [
+  {
+    title: 'Anywhere',
+    bindings: [
+      { keys: [[MOD_KEY, 'K']], label: 'Open the command palette' },
+      { keys: [['?']], label: 'Show these shortcuts' },
+      { keys: [[MOD_KEY, 'Z']], label: 'Undo the last change' },
+      { keys: [[MOD_KEY, 'Shift', 'Z'], [MOD_KEY, 'Y']], label: 'Redo' },
+      { keys: [['Esc']], label: 'Close a dialog or form' },
+    ],
+  },
+  {
+    title: 'Task list',
+    bindings: [
+      { keys: [['j'], ['k']], label: 'Next / previous task' },
+      { keys: [['x']], label: 'Complete or reopen the task' },
+      { keys: [['e']], label: 'Edit the task' },
+      { keys: [['d']], label: 'Move the task to the trash' },
+      { keys: [['p']], label: 'Cycle the priority (high, medium, low, none)' },
+      { keys: [['Alt', '↑'], ['Alt', '↓']], label: 'Move the task (manual sort) or a subtask' },
+    ],
+  },
+  {
+    title: 'Board',
+    bindings: [
+      { keys: [['Alt', '←'], ['Alt', '→']], label: 'Move the card to the previous / next column' },
+    ],
+  },
+  {
+    title: 'Command palette',
+    bindings: [
+      { keys: [['↑'], ['↓']], label: 'Choose a command' },
+      { keys: [['Enter']], label: 'Run it' },
+    ],
+  },
+  {
+    title: 'Fields',
+    bindings: [
+      { keys: [['Enter'], [',']], label: 'Add the typed tag' },
+      { keys: [['Backspace']], label: 'Remove the last tag (in an empty tag field)' },
+      { keys: [['Enter']], label: 'Add or save a subtask' },
+    ],
+  },
+]
@@ -0,0 +1,70 @@
+/**
+ * projectStyles.js - Colors and icons for projects
+ *
+ * Maps the color and icon names stored on a project (see
+ * features/todo/projects.js) to Tailwind classes and lucide icons.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+import {
+  BookOpen,
+  Briefcase,
+  Code,
+  Folder,
+  Heart,
+  Home,
+  Inbox,
+  ShoppingCart,
+  Star,
+  User,
+} from "lucide-react"
+
+// Full class names, so Tailwind keeps them in the build
+const PROJECT_COLOR_CLASSES = {
+  blue: 'text-blue-600 bg-blue-500',
+  green: 'text-green-600 bg-green-500',
+  red: 'text-red-600 bg-red-500',
+  orange: 'text-orange-600 bg-orange-500',
+  purple: 'text-purple-600 bg-purple-500',
+  pink: 'text-pink-600 bg-pink-500',
+  teal: 'text-teal-600 bg-teal-500',
+  gray: 'text-gray-600 bg-gray-500',
+}
+
+const PROJECT_ICON_COMPONENTS = {
+  folder: Folder,
+  briefcase: Briefcase,
+  home: Home,
+  user: User,
+  star: Star,
+  heart: Heart,
+  book: BookOpen,
+  cart: ShoppingCart,
+  code: Code,
+}
+
+/**
+ * Text color class for a project's icon
+ *
+ * @param {string} color - Project color name
+ * @returns {string} Tailwind class
+ */
+export const getProjectTextColor = (color) => (PROJECT_COLOR_CLASSES[color] || PROJECT_COLOR_CLASSES.gray).split(' ')[0]
+
+/**
+ * Background color class for a project's color swatch
+ *
+ * @param {string} color - Project color name
+ * @returns {string} Tailwind class
+ */
+export const getProjectBackgroundColor = (color) => (PROJECT_COLOR_CLASSES[color] || PROJECT_COLOR_CLASSES.gray).split(' ')[1]
+
+/**
+ * Icon component for a project (the Inbox icon when there is no project)
+ *
+ * @param {Object|null} project - Project, or null for the Inbox
+ * @returns {Function} lucide-react icon component
+ */
+export const getProjectIcon = (project) => (project ? PROJECT_ICON_COMPONENTS[project.icon] || Folder : Inbox)
@@ -0,0 +1,41 @@
+/**
+ * tagColors.js - Consistent colors for tag badges
+ *
+ * Shared by TagInput and the tag filter bar so a tag looks the same
+ * wherever it is shown.
+ *
+ * @author Sarthak Gupta
+ * @version 1.0.0
+ */
+
+// Available color schemes for tags
+const TAG_COLORS = [
+  'bg-blue-100 text-blue-800 border-blue-200',
+  'bg-green-100 text-green-800 border-green-200',
+  'bg-yellow-100 text-yellow-800 border-yellow-200',
+  'bg-purple-100 text-purple-800 border-purple-200',
+  'bg-pink-100 text-pink-800 border-pink-200',
+  'bg-indigo-100 text-indigo-800 border-indigo-200',
+  'bg-red-100 text-red-800 border-red-200',
+  'bg-orange-100 text-orange-800 border-orange-200',
+]
+
+/**
+ * Generate consistent colors for tags
+ * 
+ * Uses a hash function to assign consistent colors to tags based on their string value.
+ * This ensures the same tag always gets the same color across the application.
+ * 
+ * @param {string} tag - The tag string to generate color for
+ * @returns {string} Tailwind CSS classes for consistent tag coloring
+ */
+export const getTagColor = (tag) => {
+  // Generate consistent hash from tag string
+  let hash = 0
+  for (let i = 0; i < tag.length; i++) {
+    hash = tag.charCodeAt(i) + ((hash << 5) - hash)
+  }
+  
+  // Return color based on hash modulo
+  return TAG_COLORS[Math.abs(hash) % TAG_COLORS.length]
+}